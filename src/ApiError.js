@@ -1,19 +1,141 @@
+/* The reasons of spotify's player errors mapped to what can be done about them */
+const REASONS = {
+  NO_PREV_TRACK: 'There is no previous track in the context.',
+  NO_NEXT_TRACK: 'There is no next track in the context.',
+  NO_SPECIFIC_TRACK: 'The requested track does not exist.',
+  ALREADY_PAUSED: 'The playback is already paused.',
+  NOT_PAUSED: 'The playback has to be paused first.',
+  NOT_PLAYING_LOCALLY:
+    'The command only works for playback on the local device.',
+  NOT_PLAYING_TRACK: 'The command needs a track to be playing.',
+  NOT_PLAYING_CONTEXT:
+    'The command needs a context (album, playlist, show) to be playing.',
+  ENDLESS_CONTEXT:
+    'Shuffle can not be changed for an endless context such as a radio.',
+  CONTEXT_DISALLOW: 'The command is not allowed for the playing context.',
+  ALREADY_PLAYING: 'The track is already playing from its resume point.',
+  RATE_LIMITED:
+    'Too many playback changes were made - wait before changing the playback again.',
+  REMOTE_CONTROL_DISALLOW:
+    'The playing context can not be controlled remotely.',
+  DEVICE_NOT_CONTROLLABLE:
+    'The device can not be controlled remotely - control it from the device itself.',
+  VOLUME_CONTROL_DISALLOW:
+    'The volume of the device can not be changed remotely.',
+  NO_ACTIVE_DEVICE:
+    'Start playing on a device, or transfer the playback to a device of the user first.',
+  PREMIUM_REQUIRED:
+    'Controlling the playback needs a user with Spotify Premium.',
+  UNKNOWN:
+    'Spotify refused the command without a reason - often nothing is loaded to play, so start a context or track first.',
+};
+
 class ApiError extends Error {
   /**
    * API Error.
-   * @param {number} status - The fetch response status.
-   * @param {string} message - The error message.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
    * @extends {Error}
    */
-  constructor(error) {
+  constructor(error, response) {
+    const guidance = REASONS[error.reason];
+
     /* prettier-ignore */
-    super(`API Error: status ${error.status} - ${error.message}`);
+    super(`API Error: status ${error.status} - ${error.message}` + (guidance ? ` - ${guidance}` : ''));
 
     /**
-     * The fetch response status.
-     * @type {number}
+     * The error object from the response body.
+     * @type {object}
      */
     this.error = error;
+
+    /**
+     * The status of the response.
+     * @type {number|undefined}
+     */
+    this.status = error.status || (response && response.status);
+
+    /**
+     * Spotify's reason for the error - only given by some endpoints. eg: 'NO_ACTIVE_DEVICE'
+     * @type {string|undefined}
+     */
+    this.reason = error.reason;
+
+    /**
+     * The code of a player error - its reason prefixed with 'ERR_PLAYER_'. eg: 'ERR_PLAYER_NO_ACTIVE_DEVICE'
+     * @type {string|undefined}
+     */
+    this.code = guidance ? 'ERR_PLAYER_' + error.reason : undefined;
+
+    /**
+     * What can be done about a player error.
+     * @type {string|undefined}
+     */
+    this.guidance = guidance;
+
+    /**
+     * The method of the request.
+     * @type {string|undefined}
+     */
+    this.method = response && response.request && response.request.method;
+
+    /**
+     * The url of the request.
+     * @type {string|undefined}
+     */
+    this.path = response && response.request && response.request.path;
+
+    /**
+     * The headers of the response.
+     * @type {node-fetch#Headers|undefined}
+     */
+    this.headers = response && response.headers;
+
+    /**
+     * The attempts made for the request.
+     * @type {Attempt[]}
+     */
+    this.attempts = (response && response.attempts) || [];
+  }
+
+  /**
+   * Creates the error for an error response - the most specific subclass for its status and reason.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
+   * @returns {ApiError}
+   */
+  static from(error, response) {
+    const status = error.status || (response && response.status);
+    const Structure = ApiError.type(status, error.reason);
+
+    return new Structure(error, response);
+  }
+
+  /**
+   * Get the class of the error for a status and a reason.
+   * @param {number} status - The status of the response.
+   * @param {string} [reason] - Spotify's reason for the error.
+   * @returns {Function}
+   */
+  static type(status, reason) {
+    /* The subclasses are required here, as they extend this class */
+    if (status == 401) {
+      return require('./UnauthorizedError.js');
+    } else if (status == 403 && reason == 'PREMIUM_REQUIRED') {
+      return require('./PremiumRequiredError.js');
+    } else if (status == 403) {
+      return require('./ForbiddenError.js');
+    } else if (status == 404 && reason == 'NO_ACTIVE_DEVICE') {
+      return require('./NoActiveDeviceError.js');
+    } else if (status == 404) {
+      return require('./NotFoundError.js');
+    } else if (status == 429) {
+      return require('./RateLimitError.js');
+    } else if (status >= 500) {
+      return require('./ServerError.js');
+    }
+
+    return ApiError;
   }
 }
 
@@ -0,0 +1,26 @@
+class AppAccessError extends Error {
+  /**
+   * App Access Error - the request is made on behalf of a user, but the client only has app access (client credentials).
+   * @param {string} method - The method of the request.
+   * @param {string} path - The path of the request.
+   * @extends {Error}
+   */
+  constructor(method, path) {
+    /* prettier-ignore */
+    super(`App Access Error: ${method.toUpperCase()} ${path} requires a user access token - the client only has app access (client credentials).`);
+
+    /**
+     * The method of the request.
+     * @type {string}
+     */
+    this.method = method;
+
+    /**
+     * The path of the request.
+     * @type {string}
+     */
+    this.path = path;
+  }
+}
+
+module.exports = AppAccessError;
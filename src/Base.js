@@ -6,6 +6,19 @@ class Base {
   constructor(data) {
     Object.assign(this, data);
   }
+
+  /**
+   * Get if an item is playable - items with restrictions aren't, and it isn't known when the request had no market.
+   * @param {object} data - The item object data.
+   * @returns {boolean|null}
+   */
+  static playable(data) {
+    if (data.is_playable !== undefined) {
+      return data.is_playable;
+    }
+
+    return data.restrictions ? false : null;
+  }
 }
 
 module.exports = Base;
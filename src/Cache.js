@@ -0,0 +1,183 @@
+const fetch = require('node-fetch');
+const MemoryCache = require('./stores/MemoryCache.js');
+
+/* The time in milliseconds the responses of every category are used without revalidating them - null isn't cached */
+const TTL = {
+  catalog: 86400000,
+  browse: 3600000,
+  search: 3600000,
+  playlist: 0,
+  user: null,
+  player: null,
+};
+
+class Cache {
+  /**
+   * Caches the responses of GET requests - fresh responses are served without a request and stale ones are revalidated with their ETag.
+   * A store which fails to read or save a response never fails the request - it's sent, or answered, as if nothing was cached.
+   * @param {CacheOptions} [options]
+   */
+  constructor({ store = new MemoryCache(), ttl = {} } = {}) {
+    /**
+     * The store the responses are cached in.
+     * @type {MemoryCache|FileCache|Object}
+     */
+    this.store = store;
+
+    /**
+     * The time in milliseconds the responses of every category are used without revalidating them.
+     * @type {CacheTTL}
+     */
+    this.ttl = Object.assign({}, TTL, ttl);
+  }
+
+  /**
+   * Get the category of an endpoint, which decides how long its responses are cached.
+   * @param {string} endpoint - The endpoint of the request, without the base url of the api. eg: /me/tracks?limit=20
+   * @returns {string} - One of 'catalog', 'browse', 'search', 'playlist', 'user' or 'player'.
+   */
+  category(endpoint) {
+    const { pathname, searchParams } = new URL(endpoint, 'http://localhost');
+
+    if (/^\/me\/player/.test(pathname)) {
+      return 'player';
+    } else if (
+      /^\/me(\/|$)/.test(pathname) ||
+      searchParams.get('market') == 'from_token'
+    ) {
+      return 'user';
+    } else if (/^\/(playlists|users)\//.test(pathname)) {
+      return 'playlist';
+    } else if (/^\/search/.test(pathname)) {
+      return 'search';
+    } else if (/^\/(browse|recommendations)/.test(pathname)) {
+      return 'browse';
+    }
+
+    return 'catalog';
+  }
+
+  /**
+   * Serves a GET request from the cache, sending it when the cached response is missing or stale.
+   * A 304 Not Modified response is answered with the cached response.
+   * @param {string} path - The url of the request.
+   * @param {string} endpoint - The endpoint of the request, without the base url of the api.
+   * @param {node-fetch#Options} options - The options for the fetch.
+   * @param {Function} send - Sends the request with the options given, returning a promise of its response.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  request(path, endpoint, options, send) {
+    const ttl = this.ttl[this.category(endpoint)];
+
+    if (typeof ttl != 'number') {
+      return send(options);
+    }
+
+    return this.read(path).then((entry) => {
+      if (entry && entry.expires_at > Date.now()) {
+        return this.response(entry);
+      }
+
+      let opts = options;
+
+      if (entry && entry.etag) {
+        const headers = Object.assign({}, options.headers, {
+          'If-None-Match': entry.etag,
+        });
+
+        opts = Object.assign({}, options, { headers });
+      }
+
+      return send(opts).then((response) => {
+        if (response.status == 304 && entry) {
+          entry.expires_at = Date.now() + ttl;
+
+          return this.save(path, entry).then(() =>
+            this.response(entry, response)
+          );
+        }
+
+        const etag = response.headers.get('etag');
+
+        /* Responses without an ETag can't be revalidated, so there's no use keeping them without a ttl */
+        if (response.status != 200 || (!ttl && !etag)) {
+          return response;
+        }
+
+        return response.text().then((body) => {
+          const cached = {
+            body,
+            headers: Array.from(response.headers.entries()),
+            etag,
+            expires_at: Date.now() + ttl,
+          };
+
+          return this.save(path, cached).then(() =>
+            this.response(cached, response, false)
+          );
+        });
+      });
+    });
+  }
+
+  /**
+   * Reads a cached response from the store - resolves null when the store fails.
+   * @param {string} path - The url of the request.
+   * @returns {Promise<CachedResponse|null>}
+   */
+  read(path) {
+    return Promise.resolve()
+      .then(() => this.store.get(path))
+      .catch(() => null);
+  }
+
+  /**
+   * Saves a response to the store - a response which couldn't be saved is still answered.
+   * @param {string} path - The url of the request.
+   * @param {CachedResponse} entry - The response to cache.
+   * @returns {Promise<void>}
+   */
+  save(path, entry) {
+    return Promise.resolve()
+      .then(() => this.store.set(path, entry))
+      .catch(() => null);
+  }
+
+  /**
+   * Creates a response from a cached response.
+   * @param {CachedResponse} entry - The cached response.
+   * @param {node-fetch#Response} [original] - The response the cached response was revalidated or created with.
+   * @param {boolean} [cached=true] - If the response was served from the cache.
+   * @returns {node-fetch#Response}
+   */
+  response(entry, original, cached = true) {
+    const response = new fetch.Response(entry.body, {
+      status: 200,
+      headers: entry.headers,
+    });
+
+    response.attempts = original ? original.attempts : [];
+    response.cached = cached;
+
+    return response;
+  }
+}
+
+module.exports = Cache;
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {Object} [store] - The store the responses are cached in - a MemoryCache by default.
+ * @property {CacheTTL} [ttl] - The time in milliseconds the responses of every category are used without revalidating them.
+ */
+
+/**
+ * The time in milliseconds the responses of every category are used without revalidating them - 0 always revalidates them and null doesn't cache them.
+ * @typedef {Object} CacheTTL
+ * @property {number|null} [catalog=86400000] - Tracks, albums, artists, shows, episodes, audio features and markets.
+ * @property {number|null} [browse=3600000] - Categories, new releases, featured playlists and recommendations.
+ * @property {number|null} [search=3600000] - Search results.
+ * @property {number|null} [playlist=0] - Playlists and their items.
+ * @property {number|null} [user=null] - The current user's profile and library, and requests for the market of the current user.
+ * @property {number|null} [player=null] - The playback state of the current user.
+ */
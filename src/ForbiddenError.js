@@ -0,0 +1,15 @@
+const ApiError = require('./ApiError.js');
+
+class ForbiddenError extends ApiError {
+  /**
+   * Forbidden Error - spotify responded with 403, the request isn't allowed for the user or the app.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
+   * @extends {ApiError}
+   */
+  constructor(error, response) {
+    super(error, response);
+  }
+}
+
+module.exports = ForbiddenError;
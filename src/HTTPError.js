@@ -13,6 +13,36 @@ class HTTPError extends Error {
      * @type {node-fetch#Response}
      */
     this.response = response;
+
+    /**
+     * The status of the response.
+     * @type {number}
+     */
+    this.status = response.status;
+
+    /**
+     * The method of the request.
+     * @type {string|undefined}
+     */
+    this.method = response.request && response.request.method;
+
+    /**
+     * The url of the request.
+     * @type {string|undefined}
+     */
+    this.path = response.request && response.request.path;
+
+    /**
+     * The headers of the response.
+     * @type {node-fetch#Headers}
+     */
+    this.headers = response.headers;
+
+    /**
+     * The attempts made for the request.
+     * @type {Attempt[]}
+     */
+    this.attempts = response.attempts || [];
   }
 }
 
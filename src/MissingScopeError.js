@@ -0,0 +1,35 @@
+class MissingScopeError extends Error {
+  /**
+   * Missing Scope Error - the access token wasn't granted a scope the request needs.
+   * @param {Array<string|string[]>} scopes - The scopes which are missing - a list of scopes means any one of them.
+   * @param {string} method - The method of the request.
+   * @param {string} path - The path of the request.
+   * @extends {Error}
+   */
+  constructor(scopes, method, path) {
+    const names = scopes.map((s) => (Array.isArray(s) ? s.join(' or ') : s));
+
+    /* prettier-ignore */
+    super(`Missing Scope Error: ${method.toUpperCase()} ${path} requires the scopes ${names.join(', ')}`);
+
+    /**
+     * The scopes which are missing.
+     * @type {Array<string|string[]>}
+     */
+    this.scopes = scopes;
+
+    /**
+     * The method of the request.
+     * @type {string}
+     */
+    this.method = method;
+
+    /**
+     * The path of the request.
+     * @type {string}
+     */
+    this.path = path;
+  }
+}
+
+module.exports = MissingScopeError;
@@ -0,0 +1,19 @@
+class MissingTokenError extends Error {
+  /**
+   * Missing Token Error - a client acting on behalf of a user has no token for the user, and can't get one.
+   * @param {string} user - The Spotify ID of the user.
+   * @extends {Error}
+   */
+  constructor(user) {
+    /* prettier-ignore */
+    super(`Missing Token Error: there is no token for the user ${user} - give one to the client or save one to the store.`);
+
+    /**
+     * The Spotify ID of the user.
+     * @type {string}
+     */
+    this.user = user;
+  }
+}
+
+module.exports = MissingTokenError;
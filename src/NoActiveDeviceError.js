@@ -0,0 +1,15 @@
+const NotFoundError = require('./NotFoundError.js');
+
+class NoActiveDeviceError extends NotFoundError {
+  /**
+   * No Active Device Error - the player command needs a device the user is playing on.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
+   * @extends {NotFoundError}
+   */
+  constructor(error, response) {
+    super(error, response);
+  }
+}
+
+module.exports = NoActiveDeviceError;
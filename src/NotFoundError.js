@@ -0,0 +1,15 @@
+const ApiError = require('./ApiError.js');
+
+class NotFoundError extends ApiError {
+  /**
+   * Not Found Error - spotify responded with 404, the item or the endpoint doesn't exist.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
+   * @extends {ApiError}
+   */
+  constructor(error, response) {
+    super(error, response);
+  }
+}
+
+module.exports = NotFoundError;
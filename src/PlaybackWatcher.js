@@ -0,0 +1,339 @@
+const EventEmitter = require('events');
+const Track = require('./structures/Track.js');
+const Episode = require('./structures/Episode.js');
+const HTTPError = require('./HTTPError.js');
+
+/* The difference in milliseconds from the expected progress which counts as a seek */
+const TOLERANCE = 2000;
+
+class PlaybackWatcher extends EventEmitter {
+  /**
+   * Polls the user's playback state and emits events for what changed between polls.
+   * Polls sooner when the item is about to end and less often while nothing is playing.
+   * @param {Spotify} spotify - The spotify client.
+   * @param {WatchOptions} [options]
+   * @extends {EventEmitter}
+   */
+  constructor(
+    spotify,
+    { interval = 5000, maxInterval = 60000, types = ['track', 'episode'] } = {}
+  ) {
+    super();
+
+    /**
+     * The spotify client.
+     * @type {Spotify}
+     */
+    this.spotify = spotify;
+
+    /**
+     * The time in milliseconds between polls while something is playing.
+     * @type {number}
+     */
+    this.interval = interval;
+
+    /**
+     * The longest time in milliseconds between polls while nothing is playing.
+     * @type {number}
+     */
+    this.maxInterval = maxInterval;
+
+    /**
+     * The types of items the client supports.
+     * @type {AdditionalTypes[]}
+     */
+    this.types = types;
+
+    /**
+     * The playback state from the last poll - null when nothing is playing.
+     * @type {State|null}
+     */
+    this.state = null;
+
+    /**
+     * The timestamp in milliseconds of the last poll.
+     * @type {number|null}
+     */
+    this.checked = null;
+
+    /**
+     * The number of polls in a row where nothing was playing.
+     * @type {number}
+     */
+    this.idle = 0;
+
+    /**
+     * The number of polls in a row which failed.
+     * @type {number}
+     */
+    this.failures = 0;
+
+    /**
+     * The timeout of the next poll.
+     * @type {Timeout|null}
+     */
+    this.timeout = null;
+
+    /**
+     * If the watcher is polling.
+     * @type {boolean}
+     */
+    this.running = false;
+  }
+
+  /**
+   * Starts polling the playback state.
+   * @returns {PlaybackWatcher}
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.poll();
+    }
+
+    return this;
+  }
+
+  /**
+   * Stops polling the playback state.
+   * @returns {PlaybackWatcher}
+   */
+  stop() {
+    this.running = false;
+
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+
+    return this;
+  }
+
+  /**
+   * Requests the playback state, emits what changed and schedules the next poll.
+   * @returns {Promise<void>}
+   */
+  poll() {
+    this.timeout = null;
+
+    return this.spotify.player
+      .state(this.types)
+      .catch((error) => {
+        /* Spotify responds with 204 No Content when nothing is playing */
+        if (error instanceof HTTPError && error.response.status == 204) {
+          return null;
+        }
+
+        throw error;
+      })
+      .then(
+        (state) => {
+          if (!this.running) {
+            return;
+          }
+
+          this.failures = 0;
+          this.update(state, Date.now());
+          this.schedule();
+        },
+        (error) => {
+          if (!this.running) {
+            return;
+          }
+
+          this.failures++;
+          this.schedule();
+
+          /* A failed poll is retried, so it's only emitted when listened to */
+          if (this.listenerCount('error')) {
+            this.emit('error', error);
+          }
+        }
+      );
+  }
+
+  /**
+   * Schedules the next poll.
+   * @returns {void}
+   */
+  schedule() {
+    if (this.running) {
+      this.timeout = setTimeout(() => this.poll(), this.delay());
+    }
+  }
+
+  /**
+   * Get the time in milliseconds until the next poll.
+   * @returns {number}
+   */
+  delay() {
+    const state = this.state;
+    const backoff = Math.max(this.idle, this.failures);
+
+    if (backoff) {
+      return Math.min(this.interval * 2 ** backoff, this.maxInterval);
+    }
+
+    if (state.item) {
+      const remaining = state.item.duration_ms - state.progress_ms;
+
+      /* Polls again right after the item ends so the next one is caught quickly */
+      if (remaining < this.interval) {
+        return Math.max(remaining + 500, 1000);
+      }
+    }
+
+    return this.interval;
+  }
+
+  /**
+   * Emits the changes between the last playback state and a new one.
+   * @param {State|null} state - The new playback state.
+   * @param {number} now - The timestamp in milliseconds of the poll.
+   * @returns {void}
+   */
+  update(state, now) {
+    const before = this.state || {};
+    const after = state || {};
+    const elapsed = this.checked ? now - this.checked : 0;
+
+    this.state = state;
+    this.checked = now;
+    this.idle = after.is_playing ? 0 : this.idle + 1;
+
+    const item = after.item || null;
+    const last = before.item || null;
+
+    if ((item && item.uri) != (last && last.uri)) {
+      this.emit('trackChange', this.structure(item), this.structure(last));
+    } else if (item && before.progress_ms !== undefined) {
+      const expected = before.progress_ms + (before.is_playing ? elapsed : 0);
+
+      if (Math.abs(after.progress_ms - expected) > TOLERANCE) {
+        this.emit('seek', after.progress_ms, state);
+      }
+    }
+
+    if (Boolean(after.is_playing) != Boolean(before.is_playing)) {
+      this.emit(after.is_playing ? 'play' : 'pause', state);
+    }
+
+    const device = after.device || null;
+    const previous = before.device || null;
+
+    if ((device && device.id) != (previous && previous.id)) {
+      this.emit('deviceChange', device, previous);
+    }
+
+    if (device && device.volume_percent != (previous || {}).volume_percent) {
+      this.emit(
+        'volumeChange',
+        device.volume_percent,
+        previous ? previous.volume_percent : null
+      );
+    }
+
+    if (state && after.shuffle_state !== before.shuffle_state) {
+      this.emit('shuffleChange', after.shuffle_state);
+    }
+
+    if (state && after.repeat_state !== before.repeat_state) {
+      this.emit('repeatChange', after.repeat_state);
+    }
+
+    if (after.is_playing) {
+      this.emit('progress', after.progress_ms, state);
+    }
+  }
+
+  /**
+   * Creates the structure of the item being played.
+   * @param {object|null} item - The track or episode object data.
+   * @returns {Track|Episode|null}
+   */
+  structure(item) {
+    if (!item) {
+      return null;
+    }
+
+    if (item.type == 'episode') {
+      return new Episode(this.spotify, item);
+    }
+
+    return new Track(this.spotify, item);
+  }
+}
+
+module.exports = PlaybackWatcher;
+
+/**
+ * @typedef {Object} WatchOptions
+ * @property {number} [interval=5000] - The time in milliseconds between polls while something is playing.
+ * @property {number} [maxInterval=60000] - The longest time in milliseconds between polls while nothing is playing - the wait doubles on every idle poll until it reaches this.
+ * @property {AdditionalTypes[]} [types=['track', 'episode']] - The types of items the client supports.
+ */
+
+/**
+ * Emitted when the item being played changes - the items are null when nothing is playing.
+ * @event PlaybackWatcher#trackChange
+ * @param {Track|Episode|null} item - The item being played.
+ * @param {Track|Episode|null} previous - The item played before.
+ */
+
+/**
+ * Emitted when the playback starts or resumes.
+ * @event PlaybackWatcher#play
+ * @param {State} state - The playback state.
+ */
+
+/**
+ * Emitted when the playback pauses or stops.
+ * @event PlaybackWatcher#pause
+ * @param {State|null} state - The playback state - null when nothing is playing.
+ */
+
+/**
+ * Emitted when the position in the item jumps further than it could have played since the last poll.
+ * @event PlaybackWatcher#seek
+ * @param {number} progress - The position in the item in milliseconds.
+ * @param {State} state - The playback state.
+ */
+
+/**
+ * Emitted when the volume changes.
+ * @event PlaybackWatcher#volumeChange
+ * @param {number} volume - The volume in percent.
+ * @param {number|null} previous - The volume before in percent.
+ */
+
+/**
+ * Emitted when the playback moves to another device.
+ * @event PlaybackWatcher#deviceChange
+ * @param {Device|null} device - The active device.
+ * @param {Device|null} previous - The device active before.
+ */
+
+/**
+ * Emitted when shuffle is turned on or off.
+ * @event PlaybackWatcher#shuffleChange
+ * @param {boolean} shuffle - If shuffle is on.
+ */
+
+/**
+ * Emitted when the repeat mode changes.
+ * @event PlaybackWatcher#repeatChange
+ * @param {RepeatStates} repeat - The repeat mode.
+ */
+
+/**
+ * Emitted when a poll fails - only emitted when listened to. The watcher keeps polling, waiting longer after every failed poll.
+ * @event PlaybackWatcher#error
+ * @param {Error} error - The error the poll failed with.
+ */
+
+/**
+ * Emitted on every poll while something is playing.
+ * @event PlaybackWatcher#progress
+ * @param {number} progress - The position in the item in milliseconds.
+ * @param {State} state - The playback state.
+ */
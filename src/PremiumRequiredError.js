@@ -0,0 +1,15 @@
+const ForbiddenError = require('./ForbiddenError.js');
+
+class PremiumRequiredError extends ForbiddenError {
+  /**
+   * Premium Required Error - the player command needs a user with Spotify Premium.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
+   * @extends {ForbiddenError}
+   */
+  constructor(error, response) {
+    super(error, response);
+  }
+}
+
+module.exports = PremiumRequiredError;
@@ -0,0 +1,242 @@
+/* The types of items every field filter can be used to search for */
+const FILTERS = {
+  track: ['track'],
+  album: ['album', 'artist', 'track'],
+  artist: ['album', 'artist', 'track'],
+  year: ['album', 'artist', 'track'],
+  genre: ['artist', 'track'],
+  isrc: ['track'],
+  upc: ['album'],
+  tag: ['album'],
+};
+
+const TAGS = ['new', 'hipster'];
+
+class Query {
+  /**
+   * Builds a search query with spotify's field filters - every method returns the query so they can be chained.
+   * Every method is also available statically to start a query. eg: `Query.track('x').artist('y').year(1990, 1999).not('live')`
+   * @param {string} [text] - Words to search for in any field.
+   */
+  constructor(text) {
+    /**
+     * The terms of the query, in the order they were added.
+     * @type {QueryTerm[]}
+     */
+    this.terms = [];
+
+    if (text) {
+      this.text(text);
+    }
+  }
+
+  /**
+   * Search for words in any field.
+   * @param {string} value - The words to search for.
+   * @returns {Query}
+   */
+  text(value) {
+    return this.add(null, value);
+  }
+
+  /**
+   * Search for a track name.
+   * @param {string} value - The name of the track.
+   * @returns {Query}
+   */
+  track(value) {
+    return this.add('track', value);
+  }
+
+  /**
+   * Search for an album name.
+   * @param {string} value - The name of the album.
+   * @returns {Query}
+   */
+  album(value) {
+    return this.add('album', value);
+  }
+
+  /**
+   * Search for an artist name.
+   * @param {string} value - The name of the artist.
+   * @returns {Query}
+   */
+  artist(value) {
+    return this.add('artist', value);
+  }
+
+  /**
+   * Search for items released in a year or in a range of years.
+   * @param {number} from - The year, or the first year of the range.
+   * @param {number} [to] - The last year of the range.
+   * @returns {Query}
+   */
+  year(from, to) {
+    const years = to === undefined ? [from] : [from, to];
+
+    if (!years.every(Number.isInteger)) {
+      throw new Error(
+        `${years.join('-')} is not a valid year or range of years.`
+      );
+    }
+
+    return this.add('year', years.join('-'));
+  }
+
+  /**
+   * Search for a genre.
+   * @param {string} value - The genre.
+   * @returns {Query}
+   */
+  genre(value) {
+    return this.add('genre', value);
+  }
+
+  /**
+   * Search for a track by its International Standard Recording Code.
+   * @param {string} value - The ISRC of the track.
+   * @returns {Query}
+   */
+  isrc(value) {
+    return this.add('isrc', value);
+  }
+
+  /**
+   * Search for an album by its Universal Product Code.
+   * @param {string} value - The UPC of the album.
+   * @returns {Query}
+   */
+  upc(value) {
+    return this.add('upc', value);
+  }
+
+  /**
+   * Search for albums with a tag - 'new' for albums released in the past two weeks and 'hipster' for albums in the lowest 10% of popularity.
+   * @param {string} value - The tag, 'new' or 'hipster'.
+   * @returns {Query}
+   */
+  tag(value) {
+    if (!TAGS.includes(value)) {
+      throw new Error(
+        `${value} is not a tag - the tags are ${TAGS.join(', ')}.`
+      );
+    }
+
+    return this.add('tag', value);
+  }
+
+  /**
+   * Exclude the items matching words.
+   * @param {string} value - The words to exclude.
+   * @returns {Query}
+   */
+  not(value) {
+    return this.add(null, value, true);
+  }
+
+  /**
+   * Adds a term to the query.
+   * @param {string|null} filter - The field filter - null for words in any field.
+   * @param {string|number} value - The value of the term.
+   * @param {boolean} [negated=false] - If the items matching the term are excluded.
+   * @returns {Query}
+   */
+  add(filter, value, negated = false) {
+    value = String(value === undefined || value === null ? '' : value).trim();
+
+    if (!value) {
+      throw new Error(`The ${filter || 'text'} of a query can't be empty.`);
+    }
+
+    this.terms.push({ filter, value, negated });
+    return this;
+  }
+
+  /**
+   * Checks the field filters of the query can be used to search for the types - throws when they can't.
+   * @param {string[]} types - The types of items searched for.
+   * @returns {void}
+   */
+  validate(types) {
+    this.terms.forEach(({ filter }) => {
+      if (!filter) {
+        return;
+      }
+
+      const invalid = types.filter((type) => !FILTERS[filter].includes(type));
+
+      if (invalid.length) {
+        /* prettier-ignore */
+        throw new Error(`The ${filter} filter can't be used to search for ${invalid.join(', ')} - only for ${FILTERS[filter].join(', ')}.`);
+      }
+    });
+  }
+
+  /**
+   * The query as spotify's search syntax.
+   * @returns {string}
+   */
+  toString() {
+    return this.terms
+      .map(({ filter, value, negated }) => {
+        let term = filter ? filter + ':' + Query.escape(value) : value;
+
+        if (negated) {
+          term = 'NOT ' + Query.escape(value);
+        }
+
+        return term;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Escapes a value so it's read as a single term - values holding spaces, colons or operators are quoted.
+   * @param {string} value - The value of the term.
+   * @returns {string}
+   */
+  static escape(value) {
+    /* Spotify has no way to escape quotes within a quoted value */
+    value = value.replace(/"/g, '').trim();
+
+    if (/[\s:]/.test(value) || /^(AND|OR|NOT)$/.test(value)) {
+      return '"' + value + '"';
+    }
+
+    return value;
+  }
+
+  /**
+   * The field filters mapped to the types of items they can be used to search for.
+   * @type {Object<string, string[]>}
+   */
+  static get filters() {
+    return FILTERS;
+  }
+}
+
+/* Every method can also start a query. eg: Query.track('x') */
+[
+  'text',
+  'track',
+  'album',
+  'artist',
+  'year',
+  'genre',
+  'isrc',
+  'upc',
+  'tag',
+  'not',
+].forEach((name) => {
+  Query[name] = (...args) => new Query()[name](...args);
+});
+
+module.exports = Query;
+
+/**
+ * @typedef {Object} QueryTerm
+ * @property {string|null} filter - The field filter - null for words in any field.
+ * @property {string} value - The value of the term.
+ * @property {boolean} negated - If the items matching the term are excluded.
+ */
@@ -0,0 +1,23 @@
+const ApiError = require('./ApiError.js');
+
+class RateLimitError extends ApiError {
+  /**
+   * Rate Limit Error - spotify responded with 429, too many requests were made and the retries ran out.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
+   * @extends {ApiError}
+   */
+  constructor(error, response) {
+    super(error, response);
+
+    const header = this.headers && this.headers.get('retry-after');
+
+    /**
+     * The time in seconds to wait before making another request - null when spotify didn't say.
+     * @type {number|null}
+     */
+    this.retryAfter = header ? Number(header) : null;
+  }
+}
+
+module.exports = RateLimitError;
@@ -0,0 +1,120 @@
+class RetryPolicy {
+  /**
+   * Decides which failed requests are retried and how long to wait before retrying them.
+   * @param {RetryOptions} [options]
+   */
+  constructor({
+    attempts = 3,
+    backoff = 500,
+    factor = 2,
+    maxBackoff = 30000,
+    jitter = true,
+    statuses = [500, 502, 503, 504],
+    codes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'],
+    methods = ['GET', 'PUT', 'DELETE'],
+  } = {}) {
+    /**
+     * The maximum number of attempts of a request - including the first one.
+     * @type {number}
+     */
+    this.attempts = attempts;
+
+    /**
+     * The wait in milliseconds before the first retry.
+     * @type {number}
+     */
+    this.backoff = backoff;
+
+    /**
+     * The factor the wait is multiplied by on every following retry.
+     * @type {number}
+     */
+    this.factor = factor;
+
+    /**
+     * The longest wait in milliseconds before a retry.
+     * @type {number}
+     */
+    this.maxBackoff = maxBackoff;
+
+    /**
+     * If the wait is randomised between 0 and the backoff, so retries of concurrent requests are spread out.
+     * @type {boolean}
+     */
+    this.jitter = jitter;
+
+    /**
+     * The response statuses which are retried.
+     * @type {number[]}
+     */
+    this.statuses = statuses;
+
+    /**
+     * The network error codes which are retried.
+     * @type {string[]}
+     */
+    this.codes = codes;
+
+    /**
+     * The methods of the requests which are retried - by default the idempotent ones, as a failed POST (eg: adding tracks to a playlist) may have been applied already.
+     * @type {string[]}
+     */
+    this.methods = methods.map((method) => method.toUpperCase());
+  }
+
+  /**
+   * Checks if a failed attempt should be retried.
+   * @param {Attempt} attempt - The failed attempt.
+   * @param {number} count - The number of attempts made so far.
+   * @param {string} [method='GET'] - The method of the request.
+   * @returns {boolean}
+   */
+  retryable(attempt, count, method = 'GET') {
+    if (
+      count >= this.attempts ||
+      !this.methods.includes(method.toUpperCase())
+    ) {
+      return false;
+    }
+
+    if (attempt.error) {
+      return this.codes.includes(attempt.error.code);
+    }
+
+    return this.statuses.includes(attempt.status);
+  }
+
+  /**
+   * Gets the wait before a retry.
+   * @param {number} count - The number of attempts made so far.
+   * @returns {number}
+   */
+  delay(count) {
+    const backoff = this.backoff * Math.pow(this.factor, count - 1);
+    const delay = Math.min(this.maxBackoff, backoff);
+
+    return this.jitter ? Math.round(Math.random() * delay) : delay;
+  }
+}
+
+module.exports = RetryPolicy;
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [attempts=3] - The maximum number of attempts of a request - including the first one.
+ * @property {number} [backoff=500] - The wait in milliseconds before the first retry.
+ * @property {number} [factor=2] - The factor the wait is multiplied by on every following retry.
+ * @property {number} [maxBackoff=30000] - The longest wait in milliseconds before a retry.
+ * @property {boolean} [jitter=true] - If the wait is randomised between 0 and the backoff.
+ * @property {number[]} [statuses=[500, 502, 503, 504]] - The response statuses which are retried.
+ * @property {string[]} [codes] - The network error codes which are retried. By default: ECONNRESET, ECONNREFUSED, ETIMEDOUT, EAI_AGAIN and EPIPE.
+ * @property {string[]} [methods=['GET', 'PUT', 'DELETE']] - The methods of the requests which are retried - POST requests aren't retried by default, as the failed attempt may have been applied already.
+ */
+
+/**
+ * @typedef {Object} Attempt
+ * @property {number} attempt - The number of the attempt, starting from 1.
+ * @property {number} [status] - The status of the response.
+ * @property {Error} [error] - The network error when there was no response.
+ * @property {number} [wait] - The time waited in milliseconds before the following attempt.
+ */
@@ -0,0 +1,112 @@
+class Scheduler {
+  /**
+   * Queues the requests to spotify's api - caps how many run at once and holds them back while rate limited.
+   * @param {RateLimitOptions} [options]
+   */
+  constructor({ concurrency = 10, retries = 3, maxWait = 60000 } = {}) {
+    /**
+     * The maximum number of requests running at once.
+     * @type {number}
+     */
+    this.concurrency = concurrency;
+
+    /**
+     * The maximum number of times a rate limited request is retried.
+     * @type {number}
+     */
+    this.retries = retries;
+
+    /**
+     * The longest wait in milliseconds before retrying a rate limited request.
+     * @type {number}
+     */
+    this.maxWait = maxWait;
+
+    /**
+     * The requests waiting to be run.
+     * @type {Object[]}
+     */
+    this.queue = [];
+
+    /**
+     * The number of requests running.
+     * @type {number}
+     */
+    this.active = 0;
+
+    /**
+     * The timestamp in milliseconds until which requests are held back.
+     * @type {number}
+     */
+    this.until = 0;
+
+    /**
+     * The timeout which resumes the queue once the scheduler is no longer paused.
+     * @type {Timeout|null}
+     */
+    this.timeout = null;
+  }
+
+  /**
+   * Adds a request to the queue.
+   * @param {Function} task - Sends the request, returning a promise of its response.
+   * @returns {Promise<*>}
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dequeue();
+    });
+  }
+
+  /**
+   * Holds back every queued request for an amount of time.
+   * @param {number} ms - The time to wait in milliseconds.
+   * @returns {void}
+   */
+  pause(ms) {
+    this.until = Math.max(this.until, Date.now() + ms);
+  }
+
+  /**
+   * Runs the queued requests while there is capacity and the scheduler isn't paused.
+   * @returns {void}
+   */
+  dequeue() {
+    if (this.timeout) {
+      return;
+    }
+
+    const wait = this.until - Date.now();
+
+    if (wait > 0) {
+      this.timeout = setTimeout(() => {
+        this.timeout = null;
+        this.dequeue();
+      }, wait);
+      return;
+    }
+
+    while (this.queue.length && this.active < this.concurrency) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.dequeue();
+        });
+    }
+  }
+}
+
+module.exports = Scheduler;
+
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {number} [concurrency=10] - The maximum number of requests running at once.
+ * @property {number} [retries=3] - The maximum number of times a request is retried after spotify responds with 429 Too Many Requests.
+ * @property {number} [maxWait=60000] - The longest `Retry-After` in milliseconds that is waited for - longer waits resolve the 429 response instead.
+ */
@@ -0,0 +1,15 @@
+const ApiError = require('./ApiError.js');
+
+class ServerError extends ApiError {
+  /**
+   * Server Error - spotify responded with a 5xx status, the request failed on spotify's side.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
+   * @extends {ApiError}
+   */
+  constructor(error, response) {
+    super(error, response);
+  }
+}
+
+module.exports = ServerError;
@@ -1,3 +1,5 @@
+const qs = require('querystring');
+const EventEmitter = require('events');
 const Util = require('./Util.js');
 
 const PlayerManager = require('./managers/Player.js');
@@ -9,22 +11,42 @@ const AlbumManager = require('./managers/Album.js');
 const ArtistManager = require('./managers/Artist.js');
 const CategoryManager = require('./managers/Categories.js');
 const UserManager = require('./managers/User.js');
+const AuthManager = require('./managers/Auth.js');
+
+const SearchResult = require('./structures/SearchResult.js');
+const Query = require('./Query.js');
 
 const HTTPError = require('./HTTPError.js');
 const ApiError = require('./ApiError.js');
 
-class Spotify {
+class Spotify extends EventEmitter {
   /**
-   * Spotify Client.
+   * Spotify Client - emits the lifecycle of every request sent to spotify.
    * @param {string} access_token - The client's access token.
+   * @param {SpotifyOptions} [options] - The options for the client.
+   * @extends {EventEmitter}
    */
-  constructor(access_token) {
+  constructor(access_token, options = {}) {
+    super();
+
     /**
      * The client's access token.
      * @type {string}
      */
     this.access_token = access_token;
 
+    /**
+     * The options for the client.
+     * @type {SpotifyOptions}
+     */
+    this.options = options;
+
+    /**
+     * The default market of the catalog requests - an ISO 3166-1 alpha-2 country code, or 'from_token' for the country of the user.
+     * @type {string|null}
+     */
+    this.market = options.market || null;
+
     /**
      * The util for the spotify client.
      * @type {Util}
@@ -86,8 +108,14 @@ class Spotify {
     this.users = new UserManager(this);
 
     /**
-     * The Refresher from node module 'spotify-oauth2'
-     * @type {Refresher|null}
+     * The Auth Manager.
+     * @type {AuthManager}
+     */
+    this.auth = new AuthManager(this);
+
+    /**
+     * The Refresher from node module 'spotify-oauth2' - or the Auth Manager once a code is exchanged.
+     * @type {Refresher|AuthManager|null}
      */
     this.refresher = null;
   }
@@ -97,8 +125,7 @@ class Spotify {
    * @returns {Promise<string[]>}
    */
   genres() {
-    /* prettier-ignore */
-    const path = 'https://api.spotify.com/v1/recommendations/available-genre-seeds';
+    const path = '/recommendations/available-genre-seeds';
 
     return new Promise((resolve, reject) => {
       this.util
@@ -106,17 +133,18 @@ class Spotify {
           path,
         })
         .then((response) => {
-          this.util.toJson(response).then((body) => {
+          return this.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const genres = body.genres;
                 resolve(genres);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -125,7 +153,7 @@ class Spotify {
    * @returns {Promise<string[]>}
    */
   markets() {
-    const path = 'https://api.spotify.com/v1/markets ';
+    const path = '/markets';
 
     return new Promise((resolve, reject) => {
       this.util
@@ -133,20 +161,109 @@ class Spotify {
           path,
         })
         .then((response) => {
-          this.util.toJson(response).then((body) => {
+          return this.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const markets = body.markets;
                 resolve(markets);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
+            }
+            reject(new HTTPError(response));
+          });
+        })
+        .catch(reject);
+    });
+  }
+
+  /**
+   * Get Spotify catalog information about several types of items with a single request.
+   * @param {string|Query} query - Your search query - a query built with field filters is checked against the types first.
+   * @param {MultiSearchOptions} [options]
+   * @returns {Promise<SearchResult|HTTPError|ApiError>}
+   */
+  search(
+    query,
+    {
+      types = SearchResult.types,
+      market,
+      external = false,
+      limit = 20,
+      offset = 0,
+    } = {}
+  ) {
+    types = Array.isArray(types) ? types : [types];
+
+    const unknown = types.filter((type) => !SearchResult.types.includes(type));
+
+    if (!types.length || unknown.length) {
+      /* prettier-ignore */
+      return Promise.reject(new Error(`${unknown.join(', ') || 'No type'} can't be searched for - the types are ${SearchResult.types.join(', ')}.`));
+    }
+
+    if (query instanceof Query) {
+      try {
+        query.validate(types);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    const opts = {
+      q: String(query),
+      type: types.join(','),
+      limit,
+      offset,
+    };
+
+    market = this.util.market(market);
+
+    if (market) {
+      opts['market'] = market;
+    }
+
+    if (external) {
+      opts['include_external'] = 'audio';
+    }
+
+    const options = qs.stringify(opts);
+    const path = '/search?' + options;
+
+    return new Promise((resolve, reject) => {
+      this.util
+        .fetch({
+          path,
+        })
+        .then((response) => {
+          return this.util.toJson(response).then((body) => {
+            if (body) {
+              if (response.status == 200) {
+                const result = new SearchResult(this, body);
+                return resolve(result);
+              }
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
+  /**
+   * Add a middleware which every request goes through - it runs after the built-in authorization, deduplication and caching and before the retries.
+   * @param {Middleware} middleware - The middleware.
+   * @returns {Spotify}
+   */
+  use(middleware) {
+    if (typeof middleware != 'function') {
+      throw new Error('A middleware has to be a function.');
+    }
+
+    this.util.middlewares.push(middleware);
+    return this;
+  }
+
   /**
    * Set a property of the spotify client.
    * @param {string} key - The key of spotify to set.
@@ -164,6 +281,68 @@ class Spotify {
 
 module.exports = Spotify;
 
+/**
+ * @typedef {Object} SpotifyOptions
+ * @property {string} [clientId] - The client id of the app.
+ * @property {string} [clientSecret] - The client secret of the app - not needed for PKCE.
+ * @property {string} [redirectUri] - The uri spotify redirects to after authorization.
+ * @property {TokenStore} [store] - The store the tokens are read from on startup and saved to on every refresh.
+ * @property {string} [storeKey='default'] - The key the client's token is saved under in the store.
+ * @property {string} [user] - The Spotify ID of the user the client acts on behalf of - the client never falls back to app access, and rejects with a MissingTokenError when it has no token for the user.
+ * @property {RateLimitOptions} [rateLimit] - The options for queuing the requests and retrying them when rate limited.
+ * @property {Scheduler} [scheduler] - A scheduler shared with other clients - used instead of creating one from `rateLimit`.
+ * @property {RetryOptions} [retry] - The policy for retrying requests which failed with a network error or a server error.
+ * @property {string} [apiUrl='https://api.spotify.com/v1'] - The base url of the api - eg: a local stand-in server or a proxy.
+ * @property {string} [accountsUrl='https://accounts.spotify.com'] - The base url of the accounts service.
+ * @property {Function} [fetch] - The fetch implementation which sends the requests - node-fetch by default.
+ * @property {boolean} [dedupe=false] - Shares identical GET requests made at the same time, so only one of them is sent.
+ * @property {CacheOptions|Cache|boolean} [cache] - Caches the responses of GET requests - `true` caches them in memory with the default ttls, a Cache is shared with other clients.
+ * @property {string} [market] - The default market of the catalog requests - an ISO 3166-1 alpha-2 country code, or 'from_token' for the country of the user. Tracks are relinked for the market and marked as playable or not.
+ * @property {boolean} [autoTransfer=false] - When no device is active, `player.start` and `player.resume` transfer the playback to the last known device - or to the first of the user's devices when none is known.
+ */
+
+/**
+ * Emitted when a request is sent - once for every attempt.
+ * @event Spotify#request
+ * @param {RequestEvent} event - The method, path and attempt of the request.
+ */
+
+/**
+ * Emitted when a response is received.
+ * @event Spotify#response
+ * @param {RequestEvent} event - The method, path, attempt, status and duration of the request.
+ */
+
+/**
+ * Emitted when spotify responds with 429 Too Many Requests.
+ * @event Spotify#rateLimited
+ * @param {RequestEvent} event - The details of the request - `wait` is the Retry-After time in milliseconds.
+ */
+
+/**
+ * Emitted when a request is about to be retried.
+ * @event Spotify#retry
+ * @param {RequestEvent} event - The details of the failed attempt and the time waited before retrying it.
+ */
+
+/**
+ * Emitted when the access token is renewed.
+ * @event Spotify#tokenRefreshed
+ * @param {StoredToken} token - The new token.
+ */
+
+/**
+ * Emitted when a token couldn't be read from or saved to the store - the request goes on as if no token was saved.
+ * @event Spotify#storeError
+ * @param {StoreErrorEvent} event - The key of the token, the operation which failed and the error.
+ */
+
+/**
+ * Emitted when a request fails without a response - only emitted when listened to, so an unhandled error event never throws.
+ * @event Spotify#error
+ * @param {RequestEvent} event - The method and path of the request and the error.
+ */
+
 /**
  * Track, album, artist joined with their id by a colon. eg: spotify:album:5ht7ItJgpBH7W6vJ5BqpPr
  * @typedef {string} ContextURI
@@ -175,9 +354,29 @@ module.exports = Spotify;
  * @property {number} [offset=0] - The index of the first item to return. Use with limit to get the next set of items.
  */
 
+/**
+ * @typedef {Object} MarketOptions
+ * @property {string|null} [market] - An ISO 3166-1 alpha-2 country code or 'from_token' - the items are relinked for the market and marked as playable or not. By default the client's market, null requests without a market.
+ */
+
+/**
+ * @typedef {LimitOptions} MarketLimitOptions
+ * @property {string|null} [market] - An ISO 3166-1 alpha-2 country code or 'from_token' - the items are relinked for the market and marked as playable or not. By default the client's market, null requests without a market.
+ */
+
 /**
  * @typedef {Object} SearchOptions
+ * @property {string|null} [market] - An ISO 3166-1 alpha-2 country code or 'from_token' - only content playable in that market is returned. By default the client's market, null searches without a market.
  * @property {boolean} [external=false] - If the client can play externally hosted audio content, and marks the content as playable in the response.
  * @property {number} [limit=20] - The maximum number of items to return. Minimum: 1. Maximum: 50.
  * @property {number} [offset=0] - The index of the first item to return. Use with limit to get the next set of items.
  */
+
+/**
+ * @typedef {Object} MultiSearchOptions
+ * @property {string|string[]} [types] - The types of items to search for - track, album, artist, playlist, show or episode. By default every type.
+ * @property {string|null} [market] - An ISO 3166-1 alpha-2 country code or 'from_token' - only content playable in that market is returned. By default the client's market, null searches without a market.
+ * @property {boolean} [external=false] - If the client can play externally hosted audio content, and marks the content as playable in the response.
+ * @property {number} [limit=20] - The maximum number of items to return for each type. Minimum: 1. Maximum: 50.
+ * @property {number} [offset=0] - The index of the first item to return for each type. Use with limit to get the next set of items.
+ */
@@ -0,0 +1,117 @@
+const EventEmitter = require('events');
+const Spotify = require('./Spotify.js');
+const Scheduler = require('./Scheduler.js');
+const Cache = require('./Cache.js');
+const MemoryStore = require('./stores/MemoryStore.js');
+
+class SpotifyPool extends EventEmitter {
+  /**
+   * A pool of spotify clients acting on behalf of many users.
+   * The clients share the scheduler, the cache and the token store while keeping their own tokens and refreshers.
+   * @param {SpotifyOptions} [options] - The options for every client of the pool.
+   * @extends {EventEmitter}
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The options for every client of the pool.
+     * @type {SpotifyOptions}
+     */
+    this.options = options;
+
+    /**
+     * The scheduler shared by every client - so the pool is rate limited as a whole.
+     * @type {Scheduler}
+     */
+    this.scheduler = options.scheduler || new Scheduler(options.rateLimit);
+
+    /**
+     * The cache shared by every client - null when caching isn't enabled.
+     * @type {Cache|null}
+     */
+    this.cache = null;
+
+    if (options.cache instanceof Cache) {
+      this.cache = options.cache;
+    } else if (options.cache) {
+      this.cache = new Cache(options.cache === true ? {} : options.cache);
+    }
+
+    /**
+     * The token store shared by every client - tokens are saved under the user's id.
+     * @type {TokenStore}
+     */
+    this.store = options.store || new MemoryStore();
+
+    /**
+     * The clients mapped by the user's id.
+     * @type {Map<string, Spotify>}
+     */
+    this.clients = new Map();
+  }
+
+  /**
+   * Get the client acting on behalf of a user - the client is created on first use.
+   * A client without a token for the user - given or saved - rejects its requests with a MissingTokenError, it never falls back to app access.
+   * A token given is saved to the store in the background - a store which fails is emitted as an `error` when listened to, and the client keeps using the token.
+   * @param {string} id - The Spotify ID of the user.
+   * @param {Token|StoredToken} [token] - The user's token - not needed when it's saved in the store.
+   * @returns {Spotify}
+   */
+  forUser(id, token) {
+    let client = this.clients.get(id);
+
+    if (!client) {
+      const options = Object.assign({}, this.options, {
+        scheduler: this.scheduler,
+        cache: this.cache,
+        store: this.store,
+        storeKey: id,
+        user: id,
+      });
+
+      client = new Spotify(null, options);
+      client.on('storeError', ({ error }) => {
+        if (this.listenerCount('error')) {
+          this.emit('error', error, id);
+        }
+      });
+
+      this.clients.set(id, client);
+    }
+
+    if (token) {
+      client.auth.update(token);
+    }
+
+    return client;
+  }
+
+  /**
+   * Check if the pool has a client for a user.
+   * @param {string} id - The Spotify ID of the user.
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.clients.has(id);
+  }
+
+  /**
+   * Remove the client of a user from the pool - the user's token stays in the store.
+   * @param {string} id - The Spotify ID of the user.
+   * @returns {boolean}
+   */
+  remove(id) {
+    return this.clients.delete(id);
+  }
+}
+
+module.exports = SpotifyPool;
+
+/**
+ * Emitted when a user's token couldn't be read from or saved to the store - only emitted when listened to.
+ * @event SpotifyPool#error
+ * @param {Error} error - The error of the store.
+ * @param {string} id - The Spotify ID of the user.
+ */
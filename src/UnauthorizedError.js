@@ -0,0 +1,15 @@
+const ApiError = require('./ApiError.js');
+
+class UnauthorizedError extends ApiError {
+  /**
+   * Unauthorized Error - spotify responded with 401, the access token is missing, expired or revoked.
+   * @param {object} error - The error object from the response body.
+   * @param {node-fetch#Response} [response] - The fetch Response.
+   * @extends {ApiError}
+   */
+  constructor(error, response) {
+    super(error, response);
+  }
+}
+
+module.exports = UnauthorizedError;
@@ -1,4 +1,13 @@
 const fetch = require('node-fetch');
+const Scheduler = require('./Scheduler.js');
+const RetryPolicy = require('./RetryPolicy.js');
+const Cache = require('./Cache.js');
+const MissingScopeError = require('./MissingScopeError.js');
+const AppAccessError = require('./AppAccessError.js');
+const HTTPError = require('./HTTPError.js');
+const ApiError = require('./ApiError.js');
+
+const API = 'https://api.spotify.com/v1';
 
 class Util {
   /**
@@ -11,31 +20,119 @@ class Util {
      * @type {Spotify}
      */
     this.spotify = Spotify;
+
+    /**
+     * The base url of the api the requests are sent to.
+     * @type {string}
+     */
+    this.api = (Spotify.options.apiUrl || API).replace(/\/$/, '');
+
+    /**
+     * The fetch implementation which sends the requests.
+     * @type {Function}
+     */
+    this.transport = Spotify.options.fetch || fetch;
+
+    /**
+     * The scheduler queuing the requests.
+     * @type {Scheduler}
+     */
+    this.scheduler =
+      Spotify.options.scheduler || new Scheduler(Spotify.options.rateLimit);
+
+    /**
+     * The policy for retrying failed requests.
+     * @type {RetryPolicy}
+     */
+    this.retry = new RetryPolicy(Spotify.options.retry);
+
+    /**
+     * The cache of the responses - null when caching isn't enabled.
+     * @type {Cache|null}
+     */
+    this.cache = null;
+
+    if (Spotify.options.cache instanceof Cache) {
+      this.cache = Spotify.options.cache;
+    } else if (Spotify.options.cache) {
+      const options =
+        Spotify.options.cache === true ? {} : Spotify.options.cache;
+      this.cache = new Cache(options);
+    }
+
+    /**
+     * The GET requests in flight mapped by their url and token - null when identical requests aren't shared.
+     * @type {Map<string, Promise<SharedResponse>>|null}
+     */
+    this.inflight = Spotify.options.dedupe ? new Map() : null;
+
+    /**
+     * The middlewares added to the client - run after the built-in authorization, deduplication and caching and before the retries.
+     * @type {Middleware[]}
+     */
+    this.middlewares = [];
   }
 
   /**
-   * Checks to see if the Response if json.
+   * Reads the json body of a Response - resolves null when there is no body.
+   * An error response with a body which isn't json (eg: a gateway's html page) resolves an error object, other responses which aren't json reject with an HTTPError.
+   * An error response without a body resolves an error object when its status has an error of its own (eg: a 503 is a ServerError), so it's told apart like spotify's errors.
    * @param {node-fetch#Response} response
-   * @returns {object|null}
+   * @returns {Promise<object|null|HTTPError>}
    */
   toJson(response) {
-    return new Promise((resolve) => {
-      response.text().then((text) => {
-        if (text) {
-          resolve(JSON.parse(text));
-        } else {
-          resolve(null);
-        }
-      });
+    return new Promise((resolve, reject) => {
+      response
+        .text()
+        .then((text) => {
+          if (!text) {
+            if (!response.ok && ApiError.type(response.status) != ApiError) {
+              return resolve({
+                error: {
+                  status: response.status,
+                  message: response.statusText || 'The response has no body',
+                },
+              });
+            }
+
+            return resolve(null);
+          }
+
+          try {
+            resolve(JSON.parse(text));
+          } catch (error) {
+            if (response.ok) {
+              return reject(new HTTPError(response));
+            }
+
+            resolve({
+              error: {
+                status: response.status,
+                message: response.statusText || 'The response is not json',
+              },
+            });
+          }
+        })
+        .catch(reject);
     });
   }
 
   /**
-   * Fetchs from spotify's api.
+   * Get the market of a catalog request - the market given for the request, or else the client's default market.
+   * @param {string|null} [market] - The market given for the request - null requests without a market.
+   * @returns {string|null}
+   */
+  market(market) {
+    return market === undefined ? this.spotify.market : market;
+  }
+
+  /**
+   * Fetchs from spotify's api - the request goes through the middlewares of the client.
    * @param {string} path - The path to fetch from.
    * @param {string} method - The method used in the fetch.
    * @param {object} body - The body for the fetch.
    * @param {node-fetch#Options} options - The options for the fetch.
+   * @param {Array<string|string[]>} [scopes=[]] - The scopes the request needs - a list of scopes means any one of them.
    * @returns {Promise<node-fetch#Response>}
    */
   fetch({
@@ -47,9 +144,10 @@ class Util {
         'Content-Type': 'application/json',
       },
     },
+    scopes = [],
   }) {
+    path = this.url(path);
     options['method'] = method;
-    options.headers['Authorization'] = 'Bearer ' + this.spotify.access_token;
 
     if (Object.keys(body).length) {
       if (typeof body == 'object') {
@@ -59,23 +157,487 @@ class Util {
       }
     }
 
-    return new Promise((resolve) => {
-      fetch(path, options).then((response) => {
-        if (response.status == 401 && this.spotify.refresher) {
-          this.spotify.refresher.request().then((res) => {
-            if (res.access_token) {
-              this.spotify.set('access_token', res.access_token);
-              resolve(this.fetch({ path, method, body, options }));
-            } else {
-              resolve(response);
-            }
-          });
-        } else {
-          resolve(response);
+    const request = { path, method, options, scopes };
+    const stack = [this.authorize, this.shared, this.cached]
+      .map((middleware) => middleware.bind(this))
+      .concat(this.middlewares, this.retrying.bind(this));
+
+    return this.run(stack, request).catch((error) => {
+      this.emit('error', {
+        method: method.toUpperCase(),
+        path,
+        error,
+      });
+
+      throw error;
+    });
+  }
+
+  /**
+   * Resolves the path of an endpoint against the base url of the api.
+   * Links to spotify's api (eg: the next page) are moved to the base url, other urls are kept.
+   * @param {string} path - The path of the endpoint or a url.
+   * @returns {string}
+   */
+  url(path) {
+    if (path.startsWith(API)) {
+      return this.api + path.slice(API.length);
+    } else if (/^https?:\/\//.test(path)) {
+      return path;
+    }
+
+    return this.api + path;
+  }
+
+  /**
+   * Sends a request which doesn't need the client's access token (eg: token requests) - only through the middlewares added to the client and the retries.
+   * @param {string} path - The path to fetch from.
+   * @param {node-fetch#Options} options - The options for the fetch.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  request(path, options) {
+    const request = {
+      path,
+      method: options.method || 'get',
+      options,
+      scopes: [],
+    };
+
+    const stack = this.middlewares.concat(this.retrying.bind(this));
+    return this.run(stack, request);
+  }
+
+  /**
+   * Runs a request through a stack of middlewares, sending it once the last one calls `next`.
+   * @param {Middleware[]} stack - The middlewares.
+   * @param {SpotifyRequest} request - The request.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  run(stack, request) {
+    const dispatch = (index, req) => {
+      if (index == stack.length) {
+        return this.send(req);
+      }
+
+      const next = (changed = req) => dispatch(index + 1, changed);
+      return Promise.resolve().then(() => stack[index](req, next));
+    };
+
+    return dispatch(0, request).then((response) => {
+      /* Kept for the errors of the response */
+      response.request = {
+        method: request.method.toUpperCase(),
+        path: request.path,
+      };
+
+      return response;
+    });
+  }
+
+  /**
+   * Sends a single attempt of a request through the scheduler.
+   * @param {SpotifyRequest} request - The request.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  send(request) {
+    const { path, options } = request;
+
+    const event = {
+      method: (options.method || 'get').toUpperCase(),
+      path,
+      attempt: request.attempt || 1,
+    };
+
+    return this.scheduler.schedule(() => {
+      const start = Date.now();
+      this.emit('request', event);
+
+      return this.transport(path, options).then((response) => {
+        this.emit(
+          'response',
+          Object.assign({}, event, {
+            status: response.status,
+            duration: Date.now() - start,
+          })
+        );
+
+        return response;
+      });
+    });
+  }
+
+  /**
+   * Emits an event of the request lifecycle on the spotify client - errors are only emitted when they're listened to.
+   * @param {string} event - The name of the event.
+   * @param {RequestEvent} data - The details of the request.
+   * @returns {void}
+   */
+  emit(event, data) {
+    if (event == 'error' && !this.spotify.listenerCount('error')) {
+      return;
+    }
+
+    this.spotify.emit(event, data);
+  }
+
+  /**
+   * The built-in middleware which authorizes requests - renews the access token ahead of its expiry, checks the scopes and renews the token once when spotify responds with 401 Unauthorized.
+   * @param {SpotifyRequest} request - The request.
+   * @param {Function} next - Passes the request on to the next middleware.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  authorize(request, next) {
+    const { path, method, options, scopes } = request;
+    const auth = this.spotify.auth;
+
+    return auth.authorize().then(() => {
+      if (auth.app && this.personal(path, method)) {
+        throw new AppAccessError(method, path);
+      }
+
+      const missing = auth.missing(scopes);
+
+      if (missing.length) {
+        throw new MissingScopeError(missing, method, path);
+      }
+
+      const token = this.spotify.access_token;
+      options.headers['Authorization'] = 'Bearer ' + token;
+
+      return next(request).then((response) => {
+        if (response.status != 401 || request.renewed) {
+          return response;
+        }
+
+        const retry = Object.assign({}, request, { renewed: true });
+
+        /* The token was already renewed by another request */
+        if (this.spotify.access_token != token) {
+          return this.authorize(retry, next);
         }
+
+        return auth.renew().then((res) => {
+          if (res && res.access_token) {
+            return this.authorize(retry, next);
+          }
+
+          return response;
+        });
+      });
+    });
+  }
+
+  /**
+   * The built-in middleware which shares identical GET requests in flight, when enabled.
+   * @param {SpotifyRequest} request - The request.
+   * @param {Function} next - Passes the request on to the next middleware.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  shared(request, next) {
+    if (!this.inflight || request.method != 'get') {
+      return next(request);
+    }
+
+    const key = request.path + ' ' + request.options.headers['Authorization'];
+    return this.share(key, () => next(request));
+  }
+
+  /**
+   * The built-in middleware which serves GET requests from the cache, when enabled.
+   * @param {SpotifyRequest} request - The request.
+   * @param {Function} next - Passes the request on to the next middleware.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  cached(request, next) {
+    if (!this.cache || request.method != 'get') {
+      return next(request);
+    }
+
+    return this.cache.request(
+      request.path,
+      this.endpoint(request.path),
+      request.options,
+      (options) => next(Object.assign({}, request, { options }))
+    );
+  }
+
+  /**
+   * Shares a request with every identical request made while it's in flight - each one resolves its own copy of the response.
+   * @param {string} key - The url and token of the request.
+   * @param {Function} send - Sends the request, returning a promise of its response.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  share(key, send) {
+    let shared = this.inflight.get(key);
+
+    if (!shared) {
+      /* The body is read once so every caller can read its own copy */
+      shared = send()
+        .then((response) =>
+          response.text().then((body) => ({ response, body }))
+        )
+        .finally(() => this.inflight.delete(key));
+
+      this.inflight.set(key, shared);
+    }
+
+    return shared.then(({ response, body }) => {
+      const copy = new fetch.Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
       });
+
+      copy.attempts = response.attempts;
+      copy.cached = response.cached;
+
+      return copy;
+    });
+  }
+
+  /**
+   * Checks if a request is made on behalf of a user - which isn't possible with app access.
+   * @param {string} path - The path to fetch from.
+   * @param {string} method - The method used in the fetch.
+   * @returns {boolean}
+   */
+  personal(path, method) {
+    return method != 'get' || /^\/me(\/|\?|$)/.test(this.endpoint(path));
+  }
+
+  /**
+   * Get the endpoint of a url - the url without the base url of the api.
+   * @param {string} path - The url of the request.
+   * @returns {string} - eg: /me/tracks?limit=20
+   */
+  endpoint(path) {
+    return path.startsWith(this.api) ? path.slice(this.api.length) : path;
+  }
+
+  /**
+   * The built-in middleware which retries a request when spotify responds with 429 Too Many Requests or when it fails in a way the retry policy allows.
+   * The attempts made are kept as `attempts` on the final response or error.
+   * @param {SpotifyRequest} request - The request.
+   * @param {Function} next - Sends an attempt of the request.
+   * @param {Attempt[]} [history=[]] - The attempts made so far.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  retrying(request, next, history = []) {
+    const { scheduler, retry } = this;
+    const attempt = { attempt: history.length + 1 };
+    history.push(attempt);
+
+    const limited = history.filter((a) => a.status == 429).length;
+    const failed = history.length - limited;
+
+    const event = {
+      method: request.method.toUpperCase(),
+      path: request.path,
+      attempt: attempt.attempt,
+    };
+
+    return next(Object.assign({}, request, { attempt: attempt.attempt })).then(
+      (response) => {
+        attempt.status = response.status;
+
+        if (response.status == 429) {
+          const wait =
+            (Number(response.headers.get('retry-after')) || 1) * 1000;
+          const info = Object.assign({}, event, { status: 429, wait });
+
+          this.emit('rateLimited', info);
+
+          if (limited < scheduler.retries && wait <= scheduler.maxWait) {
+            attempt.wait = wait;
+            scheduler.pause(wait);
+
+            this.emit('retry', info);
+            return this.retrying(request, next, history);
+          }
+        }
+
+        if (retry.retryable(attempt, failed, request.method)) {
+          return this.wait(request, next, history, failed);
+        }
+
+        response.attempts = history;
+        return response;
+      },
+      (error) => {
+        attempt.error = error;
+
+        if (retry.retryable(attempt, failed, request.method)) {
+          return this.wait(request, next, history, failed);
+        }
+
+        error.attempts = history;
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Waits for the backoff of the retry policy before retrying a request.
+   * @param {SpotifyRequest} request - The request.
+   * @param {Function} next - Sends an attempt of the request.
+   * @param {Attempt[]} history - The attempts made so far.
+   * @param {number} count - The number of failed attempts made so far.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  wait(request, next, history, count) {
+    const wait = this.retry.delay(count);
+    const attempt = history[history.length - 1];
+    attempt.wait = wait;
+
+    this.emit('retry', {
+      method: request.method.toUpperCase(),
+      path: request.path,
+      attempt: attempt.attempt,
+      status: attempt.status,
+      error: attempt.error,
+      wait,
     });
+
+    return new Promise((resolve) => setTimeout(resolve, wait)).then(() =>
+      this.retrying(request, next, history)
+    );
+  }
+
+  /**
+   * Splits a list of ids into chunks no larger than the endpoint accepts.
+   * @param {string|string[]} ids - The ids, as a list or separated by commas.
+   * @param {number} size - The most ids the endpoint accepts at once.
+   * @returns {Array<string[]>}
+   */
+  chunk(ids, size) {
+    const list = Array.isArray(ids) ? ids : String(ids).split(',');
+    const chunks = [];
+
+    for (let i = 0; i < list.length; i += size) {
+      chunks.push(list.slice(i, i + size));
+    }
+
+    /* An empty list is still sent, so spotify reports the error */
+    return chunks.length ? chunks : [[]];
+  }
+
+  /**
+   * Sends a request for every chunk of a list of ids.
+   * @param {string|string[]} ids - The ids, as a list or separated by commas.
+   * @param {number} size - The most ids the endpoint accepts at once.
+   * @param {Function} request - Sends the request for a chunk, given the chunk and its index.
+   * @param {boolean} [sequential=false] - If the requests are sent one after another - for changes which depend on order.
+   * @returns {Promise<Array>} The results of the requests, in the order of the chunks.
+   */
+  batch(ids, size, request, sequential = false) {
+    const chunks = this.chunk(ids, size);
+
+    if (!sequential) {
+      return Promise.all(chunks.map((chunk, index) => request(chunk, index)));
+    }
+
+    const results = [];
+
+    return chunks
+      .reduce(
+        (previous, chunk, index) =>
+          previous
+            .then(() => request(chunk, index))
+            .then((result) => results.push(result)),
+        Promise.resolve()
+      )
+      .then(() => results);
+  }
+
+  /**
+   * Adds the `iterate` and `fetchAll` helpers to the paged methods of a manager.
+   * @param {object} manager - The manager which owns the methods.
+   * @param {Object<string, number>} methods - The names of the paged methods mapped to the index of their options argument.
+   * @returns {void}
+   */
+  paginate(manager, methods) {
+    Object.entries(methods).forEach(([name, index]) => {
+      const method = manager[name].bind(manager);
+
+      method.iterate = (...args) => this.iterate(method, index, args);
+      method.fetchAll = (...args) => this.fetchAll(method, index, args);
+
+      manager[name] = method;
+    });
+  }
+
+  /**
+   * Iterates through every item of a paged method, following the `next` link once the current page is exhausted.
+   * @param {Function} method - The paged method.
+   * @param {number} index - The index of the method's options argument.
+   * @param {Array} args - The arguments passed to the method.
+   * @returns {AsyncGenerator<*>}
+   */
+  async *iterate(method, index, args) {
+    const params = args.slice();
+    params[index] = Object.assign({ limit: 50 }, args[index]);
+
+    let page = await method(...params);
+
+    while (page) {
+      yield* page;
+      page = await page.next();
+    }
+  }
+
+  /**
+   * Fetches every item of a paged method.
+   * @param {Function} method - The paged method.
+   * @param {number} index - The index of the method's options argument.
+   * @param {Array} args - The arguments passed to the method.
+   * @returns {Promise<Array>}
+   */
+  async fetchAll(method, index, args) {
+    const items = [];
+
+    for await (const item of this.iterate(method, index, args)) {
+      items.push(item);
+    }
+
+    return items;
   }
 }
 
 module.exports = Util;
+
+/**
+ * @typedef {Object} SharedResponse
+ * @property {node-fetch#Response} response - The response of the request.
+ * @property {string} body - The body of the response, read once for every caller.
+ */
+
+/**
+ * The details of a request given with the events of the spotify client.
+ * @typedef {Object} RequestEvent
+ * @property {string} method - The method of the request.
+ * @property {string} path - The url of the request.
+ * @property {number} [attempt] - The number of the attempt, starting from 1.
+ * @property {number} [status] - The status of the response.
+ * @property {number} [duration] - The time in milliseconds the response took.
+ * @property {number} [wait] - The time in milliseconds waited before the request is retried.
+ * @property {Error} [error] - The error the request failed with.
+ */
+
+/**
+ * @typedef {Object} SpotifyRequest
+ * @property {string} path - The url of the request.
+ * @property {string} method - The method of the request.
+ * @property {node-fetch#Options} options - The options for the fetch - the headers and the body.
+ * @property {Array<string|string[]>} scopes - The scopes the request needs.
+ * @property {number} [attempt] - The number of the attempt, starting from 1 - set by the retries.
+ * @property {boolean} [renewed] - If the access token was already renewed for the request.
+ */
+
+/**
+ * A function which can inspect or change a request before passing it on with `next`, and inspect or change the response `next` resolves.
+ * A middleware can also resolve a response itself without calling `next`.
+ * @callback Middleware
+ * @param {SpotifyRequest} request - The request.
+ * @param {Function} next - Passes the request - or a changed request - on, resolving its response.
+ * @returns {Promise<node-fetch#Response>|node-fetch#Response}
+ */
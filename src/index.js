@@ -1,8 +1,29 @@
 module.exports = {
   /* Spotify Client */
   Spotify: require('./Spotify.js'),
+  Cache: require('./Cache.js'),
+  SpotifyPool: require('./SpotifyPool.js'),
+  RetryPolicy: require('./RetryPolicy.js'),
+  Query: require('./Query.js'),
+  PlaybackWatcher: require('./PlaybackWatcher.js'),
+  Scheduler: require('./Scheduler.js'),
+
+  /* Errors */
+  ApiError: require('./ApiError.js'),
+  HTTPError: require('./HTTPError.js'),
+  MissingScopeError: require('./MissingScopeError.js'),
+  MissingTokenError: require('./MissingTokenError.js'),
+  AppAccessError: require('./AppAccessError.js'),
+  UnauthorizedError: require('./UnauthorizedError.js'),
+  ForbiddenError: require('./ForbiddenError.js'),
+  PremiumRequiredError: require('./PremiumRequiredError.js'),
+  NotFoundError: require('./NotFoundError.js'),
+  NoActiveDeviceError: require('./NoActiveDeviceError.js'),
+  RateLimitError: require('./RateLimitError.js'),
+  ServerError: require('./ServerError.js'),
 
   /* Managers */
+  AuthManager: require('./managers/Auth.js'),
   AlbumManager: require('./managers/Album.js'),
   ArtistManager: require('./managers/Artist.js'),
   AudioManager: require('./managers/Audio.js'),
@@ -11,15 +32,31 @@ module.exports = {
   PlayerManager: require('./managers/Player.js'),
   PlaylistManager: require('./managers/Playlist.js'),
   ShowManager: require('./managers/Show.js'),
-  TrackManager: require('./managers/Show.js'),
+  TrackManager: require('./managers/Track.js'),
   UserManager: require('./managers/User.js'),
 
+  /* Token Stores */
+  FileStore: require('./stores/FileStore.js'),
+  MemoryStore: require('./stores/MemoryStore.js'),
+
+  /* Cache Stores */
+  FileCache: require('./stores/FileCache.js'),
+  MemoryCache: require('./stores/MemoryCache.js'),
+
+  /* Testing - the mock and its fixtures are only loaded when used */
+  get MockSpotify() {
+    return require('./mock/MockSpotify.js');
+  },
+
   /* Structures */
   Album: require('./structures/Album.js'),
   Artist: require('./structures/Artist.js'),
   Audio: require('./structures/Audio.js'),
+  CursorPage: require('./structures/CursorPage.js'),
   Episode: require('./structures/Episode.js'),
+  Page: require('./structures/Page.js'),
   Playlist: require('./structures/Playlist.js'),
+  SearchResult: require('./structures/SearchResult.js'),
   Show: require('./structures/Show.js'),
   Track: require('./structures/Track.js'),
   User: require('./structures/User.js'),
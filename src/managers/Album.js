@@ -1,8 +1,9 @@
 const qs = require('querystring');
 const Album = require('../structures/Album.js');
 const Track = require('../structures/Track.js');
+const Page = require('../structures/Page.js');
 
-const API = 'https://api.spotify.com/v1/albums';
+const API = '/albums';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
 
@@ -17,15 +18,30 @@ class AlbumManager {
      * @type {Spotify}
      */
     this.spotify = spotify;
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      tracks: 1,
+      saved: 0,
+      releases: 0,
+      search: 1,
+    });
   }
 
   /**
    * Get Spotify catalog information for a single album.
    * @param {string} id - The Spotify ID of the album.
+   * @param {MarketOptions} [options]
    * @returns {Promise<Album|HTTPError|ApiError>}
    */
-  get(id) {
-    const path = API + '/' + id;
+  get(id, { market } = {}) {
+    const opts = {};
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
+    const path = API + '/' + id + '?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -33,31 +49,83 @@ class AlbumManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const album = new Album(this.spotify, body);
                 return resolve(album);
               }
-              reject(new ApiError(response));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
+  /**
+   * Get Spotify catalog information for several albums identified by their Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 20 are split into several requests.
+   * @param {MarketOptions} [options]
+   * @returns {Promise<Array<Album|null>|HTTPError|ApiError>} The albums in the order of the ids - null for the ids which weren't found.
+   */
+  getMany(ids, { market } = {}) {
+    market = this.spotify.util.market(market);
+
+    return this.spotify.util
+      .batch(ids, 20, (chunk) => {
+        const opts = {
+          ids: chunk.join(','),
+        };
+
+        if (market) opts['market'] = market;
+
+        const options = qs.stringify(opts);
+
+        const path = API + '?' + options;
+
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    const albums = body.albums.map((x) =>
+                      x ? new Album(this.spotify, x) : null
+                    );
+                    return resolve(albums);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
+        });
+      })
+      .then((results) => [].concat(...results));
+  }
+
   /**
    * Get Spotify catalog information about an album’s tracks.
    * @param {string} id - The Spotify ID of the album.
-   * @param {LimitOptions} options
-   * @returns {Promise<Track[]|HTTPError|ApiError>}
+   * @param {MarketLimitOptions} options
+   * @returns {Promise<Page<Track>|HTTPError|ApiError>}
    */
-  tracks(id, { limit = 20, offset = 0 } = {}) {
-    const options = qs.stringify({
+  tracks(id, { market, limit = 20, offset = 0 } = {}) {
+    const opts = {
       limit,
       offset,
-    });
+    };
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
 
     const path = API + '/' + id + '/tracks?' + options;
 
@@ -67,26 +135,29 @@ class AlbumManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const tracks = body.items.map(
+                const tracks = new Page(
+                  this.spotify,
+                  body,
                   (t) => new Track(this.spotify, t)
                 );
                 return resolve(tracks);
               }
-              reject(new ApiError(response));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get a list of the albums saved in the current Spotify user's 'Your Music' library.
    * @param {LimitOptions} options
-   * @returns {Promise<Album[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Album>|HTTPError|ApiError>}
    */
   saved({ limit = 20, offset = 0 } = {}) {
     const options = qs.stringify({
@@ -94,127 +165,153 @@ class AlbumManager {
       offset,
     });
 
-    const path = 'https://api.spotify.com/v1/me/albums?' + options;
+    const path = '/me/albums?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-library-read'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const albums = body.items.map(
-                  (a) => new Album(this.spotify, a)
+                const albums = new Page(
+                  this.spotify,
+                  body,
+                  (a) =>
+                    new Album(
+                      this.spotify,
+                      Object.assign({ added_at: a.added_at }, a.album)
+                    )
                 );
                 return resolve(albums);
               }
-              reject(new ApiError(response));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Save one or more albums to the current user's 'Your Music' library.
-   * @param {string|string[]} ids - A list of the Spotify IDs for the albums.
+   * @param {string|string[]} ids - A list of the Spotify IDs for the albums. Lists over 20 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   save(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 20, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = 'https://api.spotify.com/v1/me/albums?' + options;
+        const path = '/me/albums?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'put',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'put',
+              scopes: ['user-library-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 200) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Remove one or more albums to the current user's 'Your Music' library.
-   * @param {string|string[]} ids - A list of the Spotify IDs for the albums.
+   * @param {string|string[]} ids - A list of the Spotify IDs for the albums. Lists over 20 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   remove(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 20, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = 'https://api.spotify.com/v1/me/albums?' + options;
+        const path = '/me/albums?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'delete',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'delete',
+              scopes: ['user-library-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 200) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Check if one or more albums is already saved in the current Spotify user's 'Your Music' library.
-   * @param {string} ids - A list of the Spotify IDs for the albums.
+   * @param {string} ids - A list of the Spotify IDs for the albums. Lists over 20 are split into several requests.
    * @returns {Promise<boolean[]|HTTPError|ApiError>}
    */
   starred(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 20, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = 'https://api.spotify.com/v1/me/albums/contains?' + options;
+        const path = '/me/albums/contains?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                return resolve(body);
-              }
-              reject(new ApiError(response));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              scopes: ['user-library-read'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    return resolve(body);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => [].concat(...results));
   }
 
   /**
    * Get a list of new album releases featured in Spotify.
    * @param {LimitOptions} options
-   * @returns {Promise<Album[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Album>|HTTPError|ApiError>}
    */
   releases({ limit = 20, offset = 0 } = {}) {
     const options = qs.stringify({
@@ -222,7 +319,7 @@ class AlbumManager {
       offset,
     });
 
-    const path = 'https://api.spotify.com/v1/browse/new-releases?' + options;
+    const path = '/browse/new-releases?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -230,63 +327,36 @@ class AlbumManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const albums = body.albums.items.map(
-                  (a) => new Album(this.spotify, a)
+                const albums = new Page(
+                  this.spotify,
+                  body,
+                  (a) => new Album(this.spotify, a),
+                  'albums'
                 );
                 return resolve(albums);
               }
-              reject(new ApiError(response));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get Spotify catalog information about albums.
-   * @param {string} query - Your search query.
+   * @param {string|Query} query - Your search query.
    * @param {SearchOptions} options
-   * @returns {Promise<Album[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Album>|HTTPError|ApiError>}
    */
-  search(query, { external = false, limit = 20, offset = 0 } = {}) {
-    const opts = {
-      q: query,
-      type: 'album',
-      limit,
-      offset,
-    };
-
-    if (external) {
-      opts['include_external'] = 'audio';
-    }
+  search(query, options = {}) {
+    const opts = Object.assign({}, options, { types: ['album'] });
 
-    const options = qs.stringify(opts);
-    const path = 'https://api.spotify.com/v1/search?' + options;
-
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                const albums = body.albums.items.map(
-                  (a) => new Album(this.spotify, a)
-                );
-                return resolve(albums);
-              }
-              reject(new ApiError(response));
-            }
-            reject(new HTTPError(response));
-          });
-        });
-    });
+    return this.spotify.search(query, opts).then((result) => result.albums);
   }
 }
 
@@ -2,8 +2,9 @@ const qs = require('querystring');
 const Album = require('../structures/Album.js');
 const Artist = require('../structures/Artist.js');
 const Track = require('../structures/Track.js');
+const Page = require('../structures/Page.js');
 
-const API = 'https://api.spotify.com/v1/artists';
+const API = '/artists';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
 
@@ -18,6 +19,12 @@ class ArtistManager {
      * @type {Spotify}
      */
     this.spotify = spotify;
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      albums: 1,
+      search: 1,
+    });
   }
 
   /**
@@ -34,37 +41,83 @@ class ArtistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const artist = new Artist(this.spotify, body);
                 return resolve(artist);
               }
-              reject(new ApiError(response));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
+  /**
+   * Get Spotify catalog information for several artists identified by their Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
+   * @returns {Promise<Array<Artist|null>|HTTPError|ApiError>} The artists in the order of the ids - null for the ids which weren't found.
+   */
+  getMany(ids) {
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
+
+        const path = API + '?' + options;
+
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    const artists = body.artists.map((x) =>
+                      x ? new Artist(this.spotify, x) : null
+                    );
+                    return resolve(artists);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
+        });
+      })
+      .then((results) => [].concat(...results));
+  }
+
   /**
    * Get Spotify catalog information about an artist's albums.
    * @param {string} id - The Spotify ID of the artist.
    * @param {ArtistAlbumsOptions} options
-   * @returns {Promise<Album[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Album>|HTTPError|ApiError>}
    */
   /* prettier-ignore */
   albums(id, {
     groups = ['album', 'single', 'appears_on', 'compilation'],
+    market,
     limit = 20,
     offset = 0,
   } = {}) {
-    const options = qs.stringify({
+    const opts = {
       include_groups: Array.isArray(groups) ? groups.join(',') : groups,
       limit,
       offset,
-    });
+    };
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
 
     const path = API + '/' + id + '/albums?' + options;
 
@@ -74,130 +127,149 @@ class ArtistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then(body => {
+          return this.spotify.util.toJson(response).then(body => {
             if (body) {
               if (response.status == 200) {
-                const albums = body.items.map(
-                  (a) => new Album(this.spotify, a)
-                );
+                const albums = new Page(this.spotify, body, (a) => new Album(this.spotify, a));
                 return resolve(albums);
               }
-              reject(new ApiError(response));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Add the current user as a follower of one or more artists.
-   * @param {string|string[]} ids - The Spotify ID of the artist.
+   * @param {string|string[]} ids - The Spotify IDs of the artists. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   follow(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-      type: 'artist',
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+          type: 'artist',
+        });
 
-    const path = 'https://api.spotify.com/v1/me/following?' + options;
+        const path = '/me/following?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'put',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 204) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'put',
+              scopes: ['user-follow-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 204) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Remove the current user as a follower of one or more artists.
-   * @param {string|string[]} ids - The Spotify ID of the artist.
+   * @param {string|string[]} ids - The Spotify IDs of the artists. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   unfollow(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-      type: 'artist',
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+          type: 'artist',
+        });
 
-    const path = 'https://api.spotify.com/v1/me/following?' + options;
+        const path = '/me/following?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'delete',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'delete',
+              scopes: ['user-follow-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 204) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Check to see if the current user is following one or more artists.
-   * @param {string} ids - The Spotify ID of the artist.
+   * @param {string} ids - The Spotify IDs of the artists. Lists over 50 are split into several requests.
    * @param {string|string[]} users - A list of Spotify User IDs.
    * @returns {boolean[]|HTTPError|ApiError}
    */
   following(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-      type: 'artist',
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+          type: 'artist',
+        });
 
-    const path = 'https://api.spotify.com/v1/me/following/contains?' + options;
+        const path = '/me/following/contains?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                return resolve(body);
-              }
-              reject(new ApiError(response));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              scopes: ['user-follow-read'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    return resolve(body);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => [].concat(...results));
   }
 
   /**
-   * Get Spotify catalog information about an artist's top tracks by country.
+   * Get Spotify catalog information about an artist's top tracks by market.
    * @param {string} id - The Spotify ID of the artist.
-   * @param {string} country - An ISO 3166-1 alpha-2 country code.
+   * @param {MarketOptions} [options]
    * @returns {Promise<Track[]|HTTPError|ApiError>}
    */
-  top(id, country) {
-    const options = qs.stringify({
-      country,
-    });
+  top(id, { market } = {}) {
+    const opts = {};
 
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
     const path = API + '/' + id + '/top-tracks?' + options;
 
     return new Promise((resolve, reject) => {
@@ -206,7 +278,7 @@ class ArtistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const tracks = body.tracks.map(
@@ -214,11 +286,12 @@ class ArtistManager {
                 );
                 return resolve(tracks);
               }
-              reject(new ApiError(response));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -236,7 +309,7 @@ class ArtistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const artists = body.artists.map(
@@ -244,55 +317,25 @@ class ArtistManager {
                 );
                 return resolve(artists);
               }
-              reject(new ApiError(response));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get Spotify catalog information about artists.
-   * @param {string} query - Your search query.
+   * @param {string|Query} query - Your search query.
    * @param {SearchOptions} options
-   * @returns {Promise<Artist[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Artist>|HTTPError|ApiError>}
    */
-  search(query, { external = false, limit = 20, offset = 0 } = {}) {
-    const opts = {
-      q: query,
-      type: 'artist',
-      limit,
-      offset,
-    };
-
-    if (external) {
-      opts['include_external'] = 'audio';
-    }
-
-    const options = qs.stringify(opts);
-    const path = 'https://api.spotify.com/v1/search?' + options;
+  search(query, options = {}) {
+    const opts = Object.assign({}, options, { types: ['artist'] });
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                const artists = body.artists.items.map(
-                  (a) => new Artist(this.spotify, a)
-                );
-                return resolve(artists);
-              }
-              reject(new ApiError(response));
-            }
-            reject(new HTTPError(response));
-          });
-        });
-    });
+    return this.spotify.search(query, opts).then((result) => result.artists);
   }
 }
 
@@ -310,6 +353,7 @@ module.exports = ArtistManager;
 /**
  * @typedef {Object} ArtistAlbumsOptions
  * @param {AlbumGroups[]} [groups] - A list of keywords that will be used to filter the response.
+ * @param {string|null} [market] - An ISO 3166-1 alpha-2 country code or 'from_token' - only albums available in the market are returned. By default the client's market, null requests without a market.
  * @param {number} [limit=20] - The maximum number of items to return. Minimum: 1. Maximum: 50.
  * @param {number} [offset=0] - The index of the first item to return. Use with limit to get the next set of items.
  */
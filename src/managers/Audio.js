@@ -1,4 +1,3 @@
-const API = 'https://api.spotify.com/v1';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
 
@@ -21,7 +20,7 @@ class AudioManager {
    * @returns {Promise<Audio|HTTPError|ApiError>}
    */
   features(id) {
-    const path = API + '/audio-features/' + id;
+    const path = '/audio-features/' + id;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -29,16 +28,17 @@ class AudioManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 return resolve(body);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -48,7 +48,7 @@ class AudioManager {
    * @returns {Promise<Audio|HTTPError|ApiError>}
    */
   analysis(id) {
-    const path = API + '/audio-analysis/' + id;
+    const path = '/audio-analysis/' + id;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -56,16 +56,17 @@ class AudioManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 return resolve(body);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 }
@@ -0,0 +1,580 @@
+const qs = require('querystring');
+const crypto = require('crypto');
+
+const API = 'https://accounts.spotify.com';
+const MARGIN = 60000;
+const HTTPError = require('../HTTPError.js');
+const ApiError = require('../ApiError.js');
+const MissingTokenError = require('../MissingTokenError.js');
+
+class AuthManager {
+  /**
+   * Manages spotify authorization - the authorization code flow with or without PKCE and the client credentials flow.
+   * @param {Spotify} spotify - The spotify client.
+   */
+  constructor(spotify) {
+    /**
+     * The spotify client.
+     * @type {Spotify}
+     */
+    this.spotify = spotify;
+
+    /**
+     * The client id of the app.
+     * @type {string|undefined}
+     */
+    this.id = spotify.options.clientId;
+
+    /**
+     * The client secret of the app - not needed for PKCE.
+     * @type {string|undefined}
+     */
+    this.secret = spotify.options.clientSecret;
+
+    /**
+     * The uri spotify redirects to after the user grants or denies permission.
+     * @type {string|undefined}
+     */
+    this.redirect = spotify.options.redirectUri;
+
+    /**
+     * The Spotify ID of the user the client acts on behalf of - such a client never gets an app access token.
+     * @type {string|null}
+     */
+    this.user = spotify.options.user || null;
+
+    /**
+     * The base url of spotify's accounts service.
+     * @type {string}
+     */
+    this.accounts = (spotify.options.accountsUrl || API).replace(/\/$/, '');
+
+    /**
+     * The refresh token used to request new access tokens.
+     * @type {string|null}
+     */
+    this.refresh_token = null;
+
+    /**
+     * The grant type of the current access token - 'authorization_code' or 'client_credentials'.
+     * @type {string|null}
+     */
+    this.grant = null;
+
+    /**
+     * The scopes granted to the current access token - null when they aren't known.
+     * @type {string[]|null}
+     */
+    this.scopes = null;
+
+    /**
+     * The timestamp in milliseconds when the current access token expires.
+     * @type {number|null}
+     */
+    this.expires_at = null;
+
+    /**
+     * The token request in flight - shared by every request waiting on a renewed token.
+     * @type {Promise<Token|null>|null}
+     */
+    this.pending = null;
+
+    /**
+     * The store the tokens are read from and saved to.
+     * @type {TokenStore|null}
+     */
+    this.store = spotify.options.store || null;
+
+    /**
+     * The key the client's token is saved under in the store.
+     * @type {string}
+     */
+    this.key = spotify.options.storeKey || 'default';
+
+    /**
+     * The first read of the store.
+     * @type {Promise<StoredToken|null>|null}
+     */
+    this.loaded = null;
+  }
+
+  /**
+   * If the client only has app access - requests made on behalf of a user are rejected.
+   * @type {boolean}
+   */
+  get app() {
+    return this.grant == 'client_credentials';
+  }
+
+  /**
+   * Generates a PKCE code verifier and its code challenge.
+   * @returns {PKCE}
+   */
+  pkce() {
+    const verifier = crypto.randomBytes(64).toString('base64url');
+    const challenge = crypto
+      .createHash('sha256')
+      .update(verifier)
+      .digest('base64url');
+
+    return { verifier, challenge };
+  }
+
+  /**
+   * Builds the url to send the user to, where they grant the app permission.
+   * @param {AuthorizeOptions} [options]
+   * @returns {string}
+   */
+  url({
+    scopes = [],
+    state,
+    challenge,
+    redirect = this.redirect,
+    dialog,
+  } = {}) {
+    const opts = {
+      client_id: this.id,
+      response_type: 'code',
+      redirect_uri: redirect,
+    };
+
+    if (scopes.length) {
+      opts['scope'] = Array.isArray(scopes) ? scopes.join(' ') : scopes;
+    }
+
+    if (state) {
+      opts['state'] = state;
+    }
+
+    if (challenge) {
+      opts['code_challenge_method'] = 'S256';
+      opts['code_challenge'] = challenge;
+    }
+
+    if (dialog) {
+      opts['show_dialog'] = dialog;
+    }
+
+    return this.accounts + '/authorize?' + qs.stringify(opts);
+  }
+
+  /**
+   * Exchanges the authorization code for an access token and a refresh token.
+   * The tokens are set to the client, which then refreshes the access token itself.
+   * @param {string} code - The authorization code returned to the redirect uri.
+   * @param {ExchangeOptions} [options]
+   * @returns {Promise<Token|HTTPError|ApiError>}
+   */
+  exchange(code, { verifier, redirect = this.redirect } = {}) {
+    const body = {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirect,
+    };
+
+    if (verifier) {
+      body['client_id'] = this.id;
+      body['code_verifier'] = verifier;
+    }
+
+    return this.token(body);
+  }
+
+  /**
+   * Requests a new access token with the refresh token.
+   * @param {string} [token] - The refresh token - by default the one from the last exchange or refresh.
+   * @returns {Promise<Token|HTTPError|ApiError>}
+   */
+  refresh(token = this.refresh_token) {
+    const body = {
+      grant_type: 'refresh_token',
+      refresh_token: token,
+    };
+
+    if (!this.secret) {
+      body['client_id'] = this.id;
+    }
+
+    return this.token(body);
+  }
+
+  /**
+   * Requests an app access token with the client credentials flow.
+   * @returns {Promise<Token|HTTPError|ApiError>}
+   */
+  credentials() {
+    const body = {
+      grant_type: 'client_credentials',
+    };
+
+    return this.token(body);
+  }
+
+  /**
+   * Renews the access token ahead of time when the client has no access token or when it's about to expire.
+   * @returns {Promise<Token|null|HTTPError|ApiError>}
+   */
+  authorize() {
+    return this.load().then(() => {
+      const token = this.spotify.access_token;
+
+      if (token && !this.expiring(this.expires_at)) {
+        return null;
+      }
+
+      return this.renew();
+    });
+  }
+
+  /**
+   * Get the scopes a request needs which weren't granted to the access token - nothing is missing when the granted scopes aren't known.
+   * @param {Array<string|string[]>} scopes - The scopes the request needs - a list of scopes means any one of them.
+   * @returns {Array<string|string[]>}
+   */
+  missing(scopes) {
+    if (!this.scopes) {
+      return [];
+    }
+
+    const granted = (scope) => this.scopes.includes(scope);
+
+    return scopes.filter((scope) => {
+      if (Array.isArray(scope)) {
+        return !scope.some(granted);
+      }
+
+      return !granted(scope);
+    });
+  }
+
+  /**
+   * Checks if an access token expires soon.
+   * @param {number|null} expires_at - The timestamp in milliseconds when the access token expires.
+   * @returns {boolean}
+   */
+  expiring(expires_at) {
+    return Boolean(expires_at) && expires_at - MARGIN <= Date.now();
+  }
+
+  /**
+   * Renews the access token - with the client credentials flow for app access, otherwise with the client's refresher.
+   * Concurrent calls share the same token request - resolves null when the token can't be renewed.
+   * The client emits `tokenRefreshed` with the new token.
+   * @returns {Promise<Token|null|HTTPError|ApiError>}
+   */
+  renew() {
+    if (this.pending) {
+      return this.pending;
+    }
+
+    const token = this.spotify.access_token;
+
+    /* Another process sharing the store may have renewed the token already */
+    const request = this.read()
+      .catch((error) => {
+        this.failed('read', error);
+        return null;
+      })
+      .then((stored) => {
+        if (
+          stored &&
+          stored.access_token != token &&
+          !this.expiring(stored.expires_at)
+        ) {
+          this.apply(stored);
+          return stored;
+        }
+
+        return this.request(token);
+      })
+      .then((res) => {
+        if (res && res.access_token) {
+          this.spotify.emit('tokenRefreshed', {
+            access_token: this.spotify.access_token,
+            refresh_token: this.refresh_token,
+            expires_at: this.expires_at,
+            scopes: this.scopes,
+            grant: this.grant,
+          });
+        }
+
+        return res;
+      });
+
+    this.pending = request.finally(() => {
+      this.pending = null;
+    });
+
+    return this.pending;
+  }
+
+  /**
+   * Requests a new access token from wherever the client can get one - also allows the manager to be used as the client's refresher.
+   * A client of a user without a token rejects with a MissingTokenError.
+   * @param {string} [token] - The current access token.
+   * @returns {Promise<Token|null|HTTPError|ApiError|MissingTokenError>}
+   */
+  request(token = this.spotify.access_token) {
+    const refresher = this.spotify.refresher;
+
+    if (this.id && this.secret && !this.user && (this.app || !token)) {
+      return this.credentials();
+    } else if (refresher == this) {
+      return this.refresh();
+    } else if (refresher) {
+      return refresher.request().then((res) => {
+        if (!res.access_token) {
+          return res;
+        }
+
+        return this.update(res).then(() => res);
+      });
+    } else if (this.user && !token) {
+      return Promise.reject(new MissingTokenError(this.user));
+    }
+
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Sets a token to the client, keeps track of when it expires and saves it to the store.
+   * Resolves once saved - a token which couldn't be saved is still used, and the error is emitted as `storeError`.
+   * @param {Token} token - The token from spotify's accounts service.
+   * @returns {Promise<void>}
+   */
+  update(token) {
+    let expires_at = token.expires_at || null;
+
+    if (token.expires_in) {
+      expires_at = Date.now() + token.expires_in * 1000;
+    }
+
+    let scopes = token.scopes;
+
+    if (typeof token.scope == 'string') {
+      scopes = token.scope.split(' ').filter(Boolean);
+    }
+
+    this.apply({
+      access_token: token.access_token,
+      refresh_token: token.refresh_token,
+      expires_at,
+      scopes,
+      grant: token.grant,
+    });
+
+    const saved = this.save();
+
+    /* A token given to the client takes over the one in the store - even when it couldn't be saved */
+    if (!this.loaded) {
+      this.loaded = saved.then(() => null);
+    }
+
+    return saved;
+  }
+
+  /**
+   * Sets a saved token to the client.
+   * @param {StoredToken} token - The saved token.
+   * @returns {void}
+   */
+  apply(token) {
+    this.spotify.set('access_token', token.access_token);
+    this.expires_at = token.expires_at || null;
+
+    if (token.refresh_token) {
+      this.refresh_token = token.refresh_token;
+
+      /* The manager can refresh the token itself */
+      if (!this.spotify.refresher && this.id) {
+        this.spotify.set('refresher', this);
+      }
+    }
+
+    if (token.scopes) {
+      this.scopes = token.scopes;
+    }
+
+    if (token.grant) {
+      this.grant = token.grant;
+    }
+  }
+
+  /**
+   * Reads the client's token from the store once - the token is set to the client when found.
+   * A read which fails is emitted as `storeError` and counts as no token saved, and the store is read again on the next request.
+   * @returns {Promise<StoredToken|null>}
+   */
+  load() {
+    if (!this.loaded) {
+      const loading = this.read().then(
+        (token) => {
+          if (token && token.access_token) {
+            this.apply(token);
+          }
+
+          return token;
+        },
+        (error) => {
+          if (this.loaded == loading) {
+            this.loaded = null;
+          }
+
+          this.failed('read', error);
+          return null;
+        }
+      );
+
+      this.loaded = loading;
+    }
+
+    return this.loaded;
+  }
+
+  /**
+   * Reads the client's token from the store.
+   * @returns {Promise<StoredToken|null>}
+   */
+  read() {
+    if (!this.store) {
+      return Promise.resolve(null);
+    }
+
+    return Promise.resolve().then(() => this.store.get(this.key));
+  }
+
+  /**
+   * Saves the client's current token to the store - a save which fails is emitted as `storeError`, it never rejects.
+   * @returns {Promise<void>}
+   */
+  save() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+
+    const token = {
+      access_token: this.spotify.access_token,
+      refresh_token: this.refresh_token,
+      expires_at: this.expires_at,
+      scopes: this.scopes,
+      grant: this.grant,
+    };
+
+    return Promise.resolve()
+      .then(() => this.store.set(this.key, token))
+      .catch((error) => this.failed('save', error));
+  }
+
+  /**
+   * Emits an error of the store on the client.
+   * @param {string} operation - The operation which failed - 'read' or 'save'.
+   * @param {Error} error - The error of the store.
+   * @returns {void}
+   */
+  failed(operation, error) {
+    this.spotify.emit('storeError', { key: this.key, operation, error });
+  }
+
+  /**
+   * Requests a token from spotify's accounts service and sets it to the client.
+   * @param {object} body - The body of the token request.
+   * @returns {Promise<Token|HTTPError|ApiError>}
+   */
+  token(body) {
+    const grant = body.grant_type;
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    };
+
+    if (this.secret && !body.code_verifier) {
+      const credentials = this.id + ':' + this.secret;
+      headers['Authorization'] =
+        'Basic ' + Buffer.from(credentials).toString('base64');
+    }
+
+    const path = this.accounts + '/api/token';
+    const options = {
+      method: 'post',
+      headers,
+      body: qs.stringify(body),
+    };
+
+    return new Promise((resolve, reject) => {
+      this.spotify.util
+        .request(path, options)
+        .then((response) => {
+          return this.spotify.util.toJson(response).then((body) => {
+            if (body) {
+              if (response.status == 200) {
+                if (grant != 'refresh_token') {
+                  this.grant = grant;
+                }
+
+                if (!this.spotify.refresher) {
+                  this.spotify.set('refresher', this);
+                }
+
+                return this.update(body).then(() => resolve(body));
+              }
+
+              const error = {
+                status: response.status,
+                message: body.error_description || body.error,
+              };
+
+              reject(ApiError.from(error, response));
+            }
+            reject(new HTTPError(response));
+          });
+        })
+        .catch(reject);
+    });
+  }
+}
+
+module.exports = AuthManager;
+
+/**
+ * @typedef {Object} PKCE
+ * @property {string} verifier - The code verifier - keep it until the code is exchanged.
+ * @property {string} challenge - The code challenge sent with the authorize url.
+ */
+
+/**
+ * @typedef {Object} AuthorizeOptions
+ * @property {string|string[]} [scopes] - The scopes the app requests permission for.
+ * @property {string} [state] - A value returned to the redirect uri, to protect against cross-site request forgery.
+ * @property {string} [challenge] - The PKCE code challenge.
+ * @property {string} [redirect] - The redirect uri - by default the one from the client options.
+ * @property {boolean} [dialog] - If the user has to approve the app again even though they already have.
+ */
+
+/**
+ * @typedef {Object} ExchangeOptions
+ * @property {string} [verifier] - The PKCE code verifier the challenge was generated from.
+ * @property {string} [redirect] - The redirect uri used for the authorize url.
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {string} access_token - The access token.
+ * @property {string} token_type - How the access token may be used, always 'Bearer'.
+ * @property {string} scope - The scopes granted, separated by spaces.
+ * @property {number} expires_in - The time in seconds the access token is valid for.
+ * @property {number} [expires_at] - The timestamp in milliseconds when the access token expires - used instead of `expires_in` for saved tokens.
+ * @property {string} [refresh_token] - The refresh token.
+ */
+
+/**
+ * An object which reads and saves tokens - see MemoryStore and FileStore.
+ * @typedef {Object} TokenStore
+ * @property {Function} get - Get the token saved under a key, resolves null when there is none.
+ * @property {Function} set - Save a token under a key.
+ */
+
+/**
+ * @typedef {Object} StoreErrorEvent
+ * @property {string} key - The key of the client's token in the store.
+ * @property {string} operation - The operation which failed - 'read' or 'save'.
+ * @property {Error} error - The error of the store.
+ */
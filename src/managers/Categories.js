@@ -1,6 +1,7 @@
 const qs = require('querystring');
+const Page = require('../structures/Page.js');
 
-const API = 'https://api.spotify.com/v1';
+const API = '/browse/categories';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
 
@@ -15,6 +16,11 @@ class CategoryManager {
      * @type {Spotify}
      */
     this.spotify = spotify;
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      all: 0,
+    });
   }
 
   /**
@@ -31,31 +37,32 @@ class CategoryManager {
     if (locale) opts['locale'] = locale;
 
     const options = qs.stringify(opts);
-    const path = API + '/browse/categories/' + id + '?' + options;
+    const path = API + '/' + id + '?' + options;
 
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       this.spotify.util
         .fetch({
           path,
         })
-        .then((response, reject) => {
-          this.spotify.util.toJson(response).then((body) => {
+        .then((response) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 return resolve(body);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get a list of categories used to tag items in Spotify.
    * @param {CategoryOptions} options
-   * @returns {Promise<Category[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Category>|HTTPError|ApiError>}
    */
   all({ country, locale, limit = 20, offset = 0 } = {}) {
     const opts = {
@@ -67,25 +74,31 @@ class CategoryManager {
     if (locale) opts['locale'] = locale;
 
     const options = qs.stringify(opts);
-    const path = API + '/browse/categories?' + options;
+    const path = API + '?' + options;
 
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       this.spotify.util
         .fetch({
           path,
         })
-        .then((response, reject) => {
-          this.spotify.util.toJson(response).then((body) => {
+        .then((response) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const categories = body.categories.items;
+                const categories = new Page(
+                  this.spotify,
+                  body,
+                  (c) => c,
+                  'categories'
+                );
                 return resolve(categories);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 }
@@ -1,7 +1,8 @@
 const qs = require('querystring');
 const Episode = require('../structures/Episode.js');
+const Page = require('../structures/Page.js');
 
-const API = 'https://api.spotify.com/v1/me/episodes';
+const API = '/me/episodes';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
 
@@ -16,15 +17,28 @@ class EpisodeManager {
      * @type {Spotify}
      */
     this.spotify = spotify;
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      users: 0,
+      search: 1,
+    });
   }
 
   /**
    * Get Spotify catalog information for a single episode identified by its unique Spotify ID.
    * @param {string} id - The Spotify ID for the episode.
+   * @param {MarketOptions} [options]
    * @returns {Promise<Episode|HTTPError|ApiError>}
    */
-  get(id) {
-    const path = 'https://api.spotify.com/v1/episodes/' + id;
+  get(id, { market } = {}) {
+    const opts = {};
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
+    const path = '/episodes/' + id + '?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -32,24 +46,71 @@ class EpisodeManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const episode = new Episode(this.spotify, body);
                 return resolve(episode);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
+  /**
+   * Get Spotify catalog information for several episodes identified by their Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
+   * @param {MarketOptions} [options]
+   * @returns {Promise<Array<Episode|null>|HTTPError|ApiError>} The episodes in the order of the ids - null for the ids which weren't found.
+   */
+  getMany(ids, { market } = {}) {
+    market = this.spotify.util.market(market);
+
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const opts = {
+          ids: chunk.join(','),
+        };
+
+        if (market) opts['market'] = market;
+
+        const options = qs.stringify(opts);
+
+        const path = '/episodes?' + options;
+
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    const episodes = body.episodes.map((x) =>
+                      x ? new Episode(this.spotify, x) : null
+                    );
+                    return resolve(episodes);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
+        });
+      })
+      .then((results) => [].concat(...results));
+  }
+
   /**
    * Get a list of the episodes saved in the current Spotify user's library.
    * @param {LimitOptions} options
-   * @returns {Promise<Episode[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Episode>|HTTPError|ApiError>}
    */
   users({ limit = 20, offset = 0 } = {}) {
     const options = qs.stringify({
@@ -63,158 +124,153 @@ class EpisodeManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-library-read'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const episodes = body.items.map(
-                  (t) => new Episode(this.spotify, t)
+                const episodes = new Page(
+                  this.spotify,
+                  body,
+                  (e) =>
+                    new Episode(
+                      this.spotify,
+                      Object.assign({ added_at: e.added_at }, e.episode)
+                    )
                 );
                 return resolve(episodes);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Save one or more episodes to the current user's library.
-   * @param {string|string[]} ids - A  list of the Spotify IDs.
+   * @param {string|string[]} ids - A  list of the Spotify IDs. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   save(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = API + '?' + options;
+        const path = API + '?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'put',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'put',
+              scopes: ['user-library-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 200) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Remove one or more episodes from the current user's library.
-   * @param {string|string[]} ids - A  list of the Spotify IDs.
+   * @param {string|string[]} ids - A  list of the Spotify IDs. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   remove(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = API + '?' + options;
+        const path = API + '?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'delete',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'delete',
+              scopes: ['user-library-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 200) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Check if one or more episodes is already saved in the current Spotify user's 'Your Episodes' library.
-   * @param {string|string[]} ids - A list of the Spotify IDs for the episodes.
+   * @param {string|string[]} ids - A list of the Spotify IDs for the episodes. Lists over 50 are split into several requests.
    * @returns {Promise<boolean[]|HTTPError|ApiError>}
    */
   starred(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = API + '/contains?' + options;
+        const path = API + '/contains?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                return resolve(body);
-              }
-              reject(new ApiError(response));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              scopes: ['user-library-read'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    return resolve(body);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => [].concat(...results));
   }
 
   /**
    * Get Spotify catalog information about episodes.
-   * @param {string} query - Your search query.
+   * @param {string|Query} query - Your search query.
    * @param {SearchOptions} options
-   * @returns {Promise<Episode[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Episode>|HTTPError|ApiError>}
    */
-  search(query, { external = false, limit = 20, offset = 0 } = {}) {
-    const opts = {
-      q: query,
-      type: 'episode',
-      limit,
-      offset,
-    };
-
-    if (external) {
-      opts['include_external'] = 'audio';
-    }
+  search(query, options = {}) {
+    const opts = Object.assign({}, options, { types: ['episode'] });
 
-    const options = qs.stringify(opts);
-    const path = 'https://api.spotify.com/v1/search?' + options;
-
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                const episodes = body.episodes.items.map(
-                  (e) => new Episode(this.spotify, e)
-                );
-                return resolve(episodes);
-              }
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
-        });
-    });
+    return this.spotify.search(query, opts).then((result) => result.episodes);
   }
 }
 
@@ -1,9 +1,12 @@
 const qs = require('querystring');
 const Track = require('../structures/Track.js');
+const CursorPage = require('../structures/CursorPage.js');
+const PlaybackWatcher = require('../PlaybackWatcher.js');
 
-const API = 'https://api.spotify.com/v1/me/player';
+const API = '/me/player';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
+const NoActiveDeviceError = require('../NoActiveDeviceError.js');
 
 class PlayerManager {
   /**
@@ -16,6 +19,23 @@ class PlayerManager {
      * @type {Spotify}
      */
     this.spotify = spotify;
+
+    /**
+     * The id of the device the user was last known to play on - kept from the playback state, the devices and the playback sent to a device.
+     * @type {string|null}
+     */
+    this.device = null;
+
+    /**
+     * If `start` and `resume` transfer the playback to the last known device when no device is active - or to the first of the user's devices when none is known.
+     * @type {boolean}
+     */
+    this.autoTransfer = Boolean(spotify.options.autoTransfer);
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      recent: 0,
+    });
   }
 
   /**
@@ -34,21 +54,36 @@ class PlayerManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-read-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
+                if (body.device && body.device.id) {
+                  this.device = body.device.id;
+                }
+
                 return resolve(body);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
+  /**
+   * Watch the user's playback state - the watcher polls the state and emits events for what changed.
+   * @param {WatchOptions} [options]
+   * @returns {PlaybackWatcher} The watcher, already polling - call `stop` to stop it.
+   */
+  watch(options) {
+    return new PlaybackWatcher(this.spotify, options).start();
+  }
+
   /**
    * Transfer playback to a new device and determine if it should start playing.
    * @param {string} id - The id of the device to transfer the playback to.
@@ -67,17 +102,20 @@ class PlayerManager {
           path: API,
           method: 'put',
           body,
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
+              this.device = id;
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -92,17 +130,26 @@ class PlayerManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-read-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 204) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
+          return this.spotify.util.toJson(response).then((body) => {
+            if (body) {
+              if (response.status == 200) {
+                const active = body.devices.find((d) => d.is_active);
+
+                if (active && active.id) {
+                  this.device = active.id;
+                }
+
+                return resolve(body.devices);
+              }
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -122,24 +169,27 @@ class PlayerManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: [['user-read-currently-playing', 'user-read-playback-state']],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const track = new Track(this.spotify, body);
                 return resolve(track);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Start a new context.
+   * When no device is active and `autoTransfer` is on, the context is started on the last known device.
    * @param {ContextURI} uri - The context uri to start playing.
    * @param {StartOptions} [options]
    * @returns {Promise<Status|HTTPError|ApiError>}
@@ -165,22 +215,33 @@ class PlayerManager {
           path,
           method: 'put',
           body,
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
+              if (device) {
+                this.device = device;
+              }
+
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
-    });
+        })
+        .catch(reject);
+    }).catch((error) =>
+      this.recover(error, device, (id) =>
+        this.start(uri, { device: id, offset, ms })
+      )
+    );
   }
 
   /**
    * Resume current playback on the user's active device.
+   * When no device is active and `autoTransfer` is on, the playback is transferred to the last known device and resumed there.
    * @param {string} [device] - The id of the device this command is targeting. If not supplied, the user's currently active device is the target.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
@@ -196,18 +257,58 @@ class PlayerManager {
         .fetch({
           path,
           method: 'put',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
+              if (device) {
+                this.device = device;
+              }
+
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
-    });
+        })
+        .catch(reject);
+    }).catch((error) =>
+      this.recover(error, device, (id) => this.transfer(id, true))
+    );
+  }
+
+  /**
+   * Recovers a command which failed because no device is active - when `autoTransfer` is on, the command is sent again to the last known device.
+   * When no device is known yet, the user's devices are requested and the first one which can be controlled is used.
+   * Other errors, and commands which were sent to a device, are rejected as they are.
+   * @param {Error} error - The error the command failed with.
+   * @param {string} [device] - The id of the device the command was sent to.
+   * @param {Function} retry - Sends the command again, given the id of the last known device.
+   * @returns {Promise<Status|HTTPError|ApiError>}
+   */
+  recover(error, device, retry) {
+    if (
+      !this.autoTransfer ||
+      device ||
+      !(error instanceof NoActiveDeviceError)
+    ) {
+      return Promise.reject(error);
+    }
+
+    if (this.device) {
+      return retry(this.device);
+    }
+
+    return this.devices()
+      .then(
+        (devices) => devices.find((d) => d.id && !d.is_restricted),
+        () => null
+      )
+      .then((available) =>
+        available ? retry(available.id) : Promise.reject(error)
+      );
   }
 
   /**
@@ -227,17 +328,19 @@ class PlayerManager {
         .fetch({
           path,
           method: 'put',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -258,17 +361,19 @@ class PlayerManager {
         .fetch({
           path,
           method: 'post',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -289,17 +394,19 @@ class PlayerManager {
         .fetch({
           path,
           method: 'post',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -315,7 +422,7 @@ class PlayerManager {
     };
 
     if (device) {
-      opts['device'] = device;
+      opts['device_id'] = device;
     }
 
     const options = qs.stringify(opts);
@@ -326,17 +433,19 @@ class PlayerManager {
         .fetch({
           path,
           method: 'put',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -352,7 +461,7 @@ class PlayerManager {
     };
 
     if (device) {
-      opts['device'] = device;
+      opts['device_id'] = device;
     }
 
     const options = qs.stringify(opts);
@@ -363,17 +472,19 @@ class PlayerManager {
         .fetch({
           path,
           method: 'put',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -389,7 +500,7 @@ class PlayerManager {
     };
 
     if (device) {
-      opts['device'] = device;
+      opts['device_id'] = device;
     }
 
     const options = qs.stringify(opts);
@@ -400,17 +511,19 @@ class PlayerManager {
         .fetch({
           path,
           method: 'put',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -426,7 +539,7 @@ class PlayerManager {
     };
 
     if (device) {
-      opts['device'] = device;
+      opts['device_id'] = device;
     }
 
     const options = qs.stringify(opts);
@@ -437,24 +550,26 @@ class PlayerManager {
         .fetch({
           path,
           method: 'put',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get tracks from the current user's recently played tracks. Note: Currently doesn't support podcast episodes.
    * @param {RecentOptions} options
-   * @returns {Promise<Track[]|HTTPError|ApiError>}
+   * @returns {Promise<CursorPage<Track>|HTTPError|ApiError>}
    */
   recent({ limit = 20, after, before } = {}) {
     if (after && before) {
@@ -478,21 +593,25 @@ class PlayerManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-read-recently-played'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const tracks = body.items.map(
+                const tracks = new CursorPage(
+                  this.spotify,
+                  body,
                   (t) => new Track(this.spotify, t.track)
                 );
                 return resolve(tracks);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -508,7 +627,7 @@ class PlayerManager {
     };
 
     if (device) {
-      opts['device'] = device;
+      opts['device_id'] = device;
     }
 
     const options = qs.stringify(opts);
@@ -519,17 +638,19 @@ class PlayerManager {
         .fetch({
           path,
           method: 'post',
+          scopes: ['user-modify-playback-state'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 204) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 }
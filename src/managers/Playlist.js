@@ -1,8 +1,9 @@
 const qs = require('querystring');
 const Playlist = require('../structures/Playlist.js');
 const Track = require('../structures/Track.js');
+const Page = require('../structures/Page.js');
 
-const API = 'https://api.spotify.com/v1/playlists';
+const API = '/playlists';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError');
 
@@ -17,6 +18,15 @@ class PlaylistManager {
      * @type {Spotify}
      */
     this.spotify = spotify;
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      tracks: 1,
+      users: 1,
+      featured: 0,
+      categories: 1,
+      search: 1,
+    });
   }
 
   /**
@@ -25,11 +35,16 @@ class PlaylistManager {
    * @param {PlaylistOptions} options
    * @returns {Promise<Playlist|HTTPError|ApiError>}
    */
-  get(id, { types = ['track'], fields } = {}) {
-    const options = qs.stringify({
+  get(id, { types = ['track'], fields, market } = {}) {
+    const opts = {
       types: types.join(','),
       fields,
-    });
+    };
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
 
     const path = API + '/' + id + '?' + options;
 
@@ -39,17 +54,18 @@ class PlaylistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const playlist = new Playlist(this.spotify, body);
                 return resolve(playlist);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -75,17 +91,19 @@ class PlaylistManager {
           path,
           method: 'put',
           body,
+          scopes: [['playlist-modify-public', 'playlist-modify-private']],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (response.status == 200) {
               resolve({ status: response.status });
             } else if (body) {
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -97,7 +115,7 @@ class PlaylistManager {
    */
   update(id, { uris, start, before, length, snapshot }) {
     const options = qs.stringify({
-      uris,
+      uris: [].concat(uris).join(','),
     });
 
     const body = {
@@ -107,7 +125,7 @@ class PlaylistManager {
       snapshot_id: snapshot,
     };
 
-    const path = API + '/' + id + '/tracks?' + options;
+    const path = API + '/' + id + '/tracks?' + (uris ? options : '');
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -115,21 +133,23 @@ class PlaylistManager {
           path,
           method: 'put',
           body,
+          scopes: [['playlist-modify-public', 'playlist-modify-private']],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
-              if (response.status == 201) {
+              if (response.status == 200) {
                 return resolve({
                   status: response.status,
                   snapshot: body.snapshot_id,
                 });
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -137,15 +157,23 @@ class PlaylistManager {
    * Get full details of the items of a playlist owned by a Spotify user.
    * @param {string} id - The Spotify ID of the playlist.
    * @param {PlaylistTracksOptions} options
-   * @returns {Promise<Track[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Track>|HTTPError|ApiError>}
    */
-  tracks(id, { types = ['track'], fields, limit = 20, offset = 0 } = {}) {
-    const options = qs.stringify({
+  tracks(
+    id,
+    { types = ['track'], fields, market, limit = 20, offset = 0 } = {}
+  ) {
+    const opts = {
       types: types.join(','),
       fields,
       limit,
       offset,
-    });
+    };
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
 
     const path = API + '/' + id + '/tracks?' + options;
 
@@ -155,102 +183,134 @@ class PlaylistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const tracks = body.items.map((t) => {
-                  const track = new Track(this.spotify, t);
-                  Object.assign(track, track.track);
-                  delete track.track;
-                  return track;
-                });
+                const tracks = new Page(
+                  this.spotify,
+                  body,
+                  (t) =>
+                    new Track(
+                      this.spotify,
+                      Object.assign({ added_at: t.added_at }, t.track)
+                    )
+                );
                 return resolve(tracks);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Add one or more items to a user's playlist.
    * @param {string} id - The Spotify ID of the playlist.
-   * @param {ContextURI|ContextURI[]} uris - A list of Spotify URIs to add, can be track or episode URIs. Maximum: 100
+   * @param {ContextURI|ContextURI[]} uris - A list of Spotify URIs to add, can be track or episode URIs. Lists over 100 are added in order over several requests.
    * @param {number} [position=0] - The position to insert the items, a zero-based index.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   add(id, uris, position = 0) {
-    const body = {
-      uris: Array.isArray(uris) ? uris.join(',') : uris,
-      position,
-    };
-
     const path = API + '/' + id + '/tracks';
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'post',
-          body,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 201) {
-                resolve({ snapshot: body.snapshot_id });
-              }
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
+    return this.spotify.util
+      .batch(
+        uris,
+        100,
+        (chunk, index) => {
+          const body = {
+            uris: chunk,
+            position: position + index * 100,
+          };
+
+          return new Promise((resolve, reject) => {
+            this.spotify.util
+              .fetch({
+                path,
+                method: 'post',
+                body,
+                scopes: [['playlist-modify-public', 'playlist-modify-private']],
+              })
+              .then((response) => {
+                return this.spotify.util.toJson(response).then((body) => {
+                  if (body) {
+                    if (response.status == 201) {
+                      resolve({ snapshot: body.snapshot_id });
+                    }
+                    reject(ApiError.from(body.error, response));
+                  }
+                  reject(new HTTPError(response));
+                });
+              })
+              .catch(reject);
           });
-        });
-    });
+        },
+        true
+      )
+      .then((results) => results.pop());
   }
 
   /**
    * Remove one or more items from a user's playlist.
    * @param {string} id - The Spotify ID of the playlist.
-   * @param {ContextURI|ContextURI[]} uris - A list of Spotify URIs to remove, can be track or episode URIs. Maximum: 100
-   * @param {string} [snapshot] - The playlist's snapshot ID against which you want to make the changes.
+   * @param {ContextURI|ContextURI[]} uris - A list of Spotify URIs to remove, can be track or episode URIs. Lists over 100 are removed over several requests.
+   * @param {string} [snapshot] - The playlist's snapshot ID against which you want to make the changes - every request after the first is made against the snapshot the one before resolved.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   remove(id, uris, snapshot) {
-    const body = {
-      uris: Array.isArray(uris) ? uris.join(',') : uris,
-      snapshot,
-    };
-
     const path = API + '/' + id + '/tracks';
-
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'delete',
-          body,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                resolve({ snapshot: body.snapshot_id });
-              }
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
+    let current = snapshot;
+
+    return this.spotify.util
+      .batch(
+        uris,
+        100,
+        (chunk) => {
+          const body = {
+            tracks: chunk.map((uri) => ({ uri })),
+            snapshot_id: current,
+          };
+
+          return new Promise((resolve, reject) => {
+            this.spotify.util
+              .fetch({
+                path,
+                method: 'delete',
+                body,
+                scopes: [['playlist-modify-public', 'playlist-modify-private']],
+              })
+              .then((response) => {
+                return this.spotify.util.toJson(response).then((body) => {
+                  if (body) {
+                    if (response.status == 200) {
+                      /* The removals of the next chunk are made against the playlist after this chunk's */
+                      if (current) {
+                        current = body.snapshot_id;
+                      }
+
+                      resolve({ snapshot: body.snapshot_id });
+                    }
+                    reject(ApiError.from(body.error, response));
+                  }
+                  reject(new HTTPError(response));
+                });
+              })
+              .catch(reject);
           });
-        });
-    });
+        },
+        true
+      )
+      .then((results) => results.pop());
   }
 
   /**
    * Get a list of the playlists owned or followed by the current Spotify user.
    * @param {string} [id] - The user's Spotify user ID - if not provided it will default to the current user.
    * @param {LimitOptions} options
-   * @returns {Promise<Playlist[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Playlist>|HTTPError|ApiError>}
    */
   users(id, { limit = 20, offset = 0 } = {}) {
     const options = qs.stringify({
@@ -261,9 +321,9 @@ class PlaylistManager {
     let path;
 
     if (!id) {
-      path = 'https://api.spotify.com/v1/me/playlists?' + options;
+      path = '/me/playlists?' + options;
     } else {
-      path = 'https://api.spotify.com/v1/users/' + id + '/playlists?' + options;
+      path = '/users/' + id + '/playlists?' + options;
     }
 
     return new Promise((resolve, reject) => {
@@ -272,19 +332,22 @@ class PlaylistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const playlists = body.items.map(
+                const playlists = new Page(
+                  this.spotify,
+                  body,
                   (p) => new Playlist(this.spotify, p)
                 );
                 return resolve(playlists);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -307,18 +370,19 @@ class PlaylistManager {
           path,
           method: 'put',
           body,
+          scopes: [['playlist-modify-public', 'playlist-modify-private']],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                resolve({ status: response.status });
-              }
-              reject(new ApiError(body.error));
+          return this.spotify.util.toJson(response).then((body) => {
+            if (response.status == 200) {
+              resolve({ status: response.status });
+            } else if (body) {
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -335,18 +399,19 @@ class PlaylistManager {
         .fetch({
           path,
           method: 'delete',
+          scopes: [['playlist-modify-public', 'playlist-modify-private']],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                resolve({ status: response.status });
-              }
-              reject(new ApiError(body.error));
+          return this.spotify.util.toJson(response).then((body) => {
+            if (response.status == 200) {
+              resolve({ status: response.status });
+            } else if (body) {
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -369,16 +434,17 @@ class PlaylistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 return resolve(body);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -397,8 +463,7 @@ class PlaylistManager {
     };
 
     const options = qs.stringify({ user_id: id });
-    /* prettier-ignore */
-    const path = 'https://api.spotify.com/v1/users/' + id + '/playlists?' + options;
+    const path = '/users/' + id + '/playlists?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -406,27 +471,29 @@ class PlaylistManager {
           path,
           method: 'post',
           body,
+          scopes: [['playlist-modify-public', 'playlist-modify-private']],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 201) {
                 const playlist = new Playlist(this.spotify, body);
                 return resolve(playlist);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
 
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get a list of Spotify featured playlists.
    * @param {FeaturedOptions} [options]
-   * @returns {Promise<Playlist[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Playlist>|HTTPError|ApiError>}
    */
   featured({ limit = 20, locale, offset = 0, timestamp } = {}) {
     const opts = {
@@ -440,8 +507,7 @@ class PlaylistManager {
     }
 
     const options = qs.stringify(opts);
-    /* prettier-ignore */
-    const path = 'https://api.spotify.com/v1/browse/featured-playlists?' + options;
+    const path = '/browse/featured-playlists?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -449,19 +515,23 @@ class PlaylistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const playlists = body.playlists.items.map(
-                  (p) => new Playlist(this.spotify, p)
+                const playlists = new Page(
+                  this.spotify,
+                  body,
+                  (p) => new Playlist(this.spotify, p),
+                  'playlists'
                 );
                 return resolve(playlists);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -469,7 +539,7 @@ class PlaylistManager {
    * Get a list of Spotify playlists tagged with a particular category.
    * @param {string} id - The Spotify category ID for the category.
    * @param {LimitOptions} options
-   * @returns {Promise<Playlist[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Playlist>|HTTPError|ApiError>}
    */
   categories(id, { limit = 20, offset = 0 } = {}) {
     const options = qs.stringify({
@@ -477,8 +547,7 @@ class PlaylistManager {
       offset,
     });
 
-    /* prettier-ignore */
-    const path = 'https://api.spotify.com/v1/browse/categories/' + id + '/playlists?' + options;
+    const path = '/browse/categories/' + id + '/playlists?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -486,19 +555,23 @@ class PlaylistManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const playlists = body.playlists.items.map(
-                  (p) => new Playlist(this.spotify, p)
+                const playlists = new Page(
+                  this.spotify,
+                  body,
+                  (p) => new Playlist(this.spotify, p),
+                  'playlists'
                 );
                 return resolve(playlists);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -523,68 +596,45 @@ class PlaylistManager {
       opts.options.headers['Content-Type'] = 'image/jpeg';
       opts['body'] = image;
       opts['method'] = 'put';
+      opts['scopes'] = [
+        'ugc-image-upload',
+        ['playlist-modify-public', 'playlist-modify-private'],
+      ];
     }
 
     return new Promise((resolve, reject) => {
-      this.spotify.util.fetch(opts).then((response) => {
-        this.spotify.util.toJson(response).then((body) => {
-          if (body) {
-            if (response.status == 200) {
-              return resolve(body);
-            } else if (body.error) {
-              reject(new ApiError(body.error));
+      this.spotify.util
+        .fetch(opts)
+        .then((response) => {
+          return this.spotify.util.toJson(response).then((body) => {
+            if (body) {
+              if (response.status == 200) {
+                return resolve(body);
+              } else if (body.error) {
+                reject(ApiError.from(body.error, response));
+              }
+            } else if (response.status == 200 || response.status == 202) {
+              /* Spotify accepts the upload with 202 Accepted and processes it later */
+              return resolve({ status: response.status });
             }
-          } else if (response.status == 200) {
-            return resolve({ status: response.status });
-          }
 
-          reject(new HTTPError(response));
-        });
-      });
+            reject(new HTTPError(response));
+          });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get Spotify catalog information about playlists.
-   * @param {string} query - Your search query.
+   * @param {string|Query} query - Your search query.
    * @param {SearchOptions} options
-   * @returns {Promise<Playlist[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Playlist>|HTTPError|ApiError>}
    */
-  search(query, { external = false, limit = 20, offset = 0 } = {}) {
-    const opts = {
-      q: query,
-      type: 'playlist',
-      limit,
-      offset,
-    };
-
-    if (external) {
-      opts['include_external'] = 'audio';
-    }
+  search(query, options = {}) {
+    const opts = Object.assign({}, options, { types: ['playlist'] });
 
-    const options = qs.stringify(opts);
-    const path = 'https://api.spotify.com/v1/search?' + options;
-
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                const playlists = body.playlists.items.map(
-                  (p) => new Playlist(this.spotify, p)
-                );
-                return resolve(playlists);
-              }
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
-        });
-    });
+    return this.spotify.search(query, opts).then((result) => result.playlists);
   }
 }
 
@@ -594,6 +644,7 @@ module.exports = PlaylistManager;
  * @typedef {Object} PlaylistOptions
  * @property {string} [types=['track']] - The types that the client supports. (track, episode)
  * @property {string} [fields] - Filters for the query, a list of the fields to return. If omitted, all fields are returned.
+ * @property {string|null} [market] - An ISO 3166-1 alpha-2 country code or 'from_token' - the tracks are relinked for the market. By default the client's market, null requests without a market.
  */
 
 /**
@@ -1,8 +1,9 @@
 const qs = require('querystring');
 const Show = require('../structures/Show.js');
 const Episode = require('../structures/Episode.js');
+const Page = require('../structures/Page.js');
 
-const API = 'https://api.spotify.com/v1/me/shows';
+const API = '/me/shows';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
 
@@ -17,15 +18,29 @@ class ShowManager {
      * @type {Spotify}
      */
     this.spotify = spotify;
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      episodes: 1,
+      users: 0,
+      search: 1,
+    });
   }
 
   /**
    * Get Spotify catalog information for a single show identified by its unique Spotify ID.
    * @param {string} id - The Spotify ID for the show.
+   * @param {MarketOptions} [options]
    * @returns {Promise<Show|HTTPError|ApiError>}
    */
-  get(id) {
-    const path = 'https://api.spotify.com/v1/shows/' + id;
+  get(id, { market } = {}) {
+    const opts = {};
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
+    const path = '/shows/' + id + '?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -33,34 +48,85 @@ class ShowManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const show = new Show(this.spotify, body);
                 return resolve(show);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
+  /**
+   * Get Spotify catalog information for several shows identified by their Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
+   * @param {MarketOptions} [options]
+   * @returns {Promise<Array<Show|null>|HTTPError|ApiError>} The shows in the order of the ids - null for the ids which weren't found.
+   */
+  getMany(ids, { market } = {}) {
+    market = this.spotify.util.market(market);
+
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const opts = {
+          ids: chunk.join(','),
+        };
+
+        if (market) opts['market'] = market;
+
+        const options = qs.stringify(opts);
+
+        const path = '/shows?' + options;
+
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    const shows = body.shows.map((x) =>
+                      x ? new Show(this.spotify, x) : null
+                    );
+                    return resolve(shows);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
+        });
+      })
+      .then((results) => [].concat(...results));
+  }
+
   /**
    * Get Spotify catalog information about an show’s episodes.
    * @param {string} id - The Spotify ID for the show.
-   * @param {LimitOptions} options
-   * @returns {Promise<Episode[]|HTTPError|ApiError>}
+   * @param {MarketLimitOptions} options
+   * @returns {Promise<Page<Episode>|HTTPError|ApiError>}
    */
-  episodes(id, { limit = 20, offset = 0 } = {}) {
-    const options = qs.stringify({
+  episodes(id, { market, limit = 20, offset = 0 } = {}) {
+    const opts = {
       limit,
       offset,
-    });
+    };
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
 
-    /* prettier-ignore */
-    const path = 'https://api.spotify.com/v1/shows/' + id + '/episodes?' + options;
+    const path = '/shows/' + id + '/episodes?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -68,26 +134,29 @@ class ShowManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const episodes = body.items.map(
+                const episodes = new Page(
+                  this.spotify,
+                  body,
                   (e) => new Episode(this.spotify, e)
                 );
                 return resolve(episodes);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get a list of shows saved in the current Spotify user's library.
    * @param {LimitOptions} options
-   * @returns {Promise<Show[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Show>|HTTPError|ApiError>}
    */
   users({ limit = 20, offset = 0 } = {}) {
     const options = qs.stringify({
@@ -101,158 +170,153 @@ class ShowManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-library-read'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const shows = body.items.map(
-                  (s) => new Episode(this.spotify, s)
+                const shows = new Page(
+                  this.spotify,
+                  body,
+                  (s) =>
+                    new Show(
+                      this.spotify,
+                      Object.assign({ added_at: s.added_at }, s.show)
+                    )
                 );
                 return resolve(shows);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Save one or more shows to current Spotify user's library.
-   * @param {string|string[]} ids - A list of the Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   save(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = API + '?' + options;
+        const path = API + '?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'put',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'put',
+              scopes: ['user-library-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 200) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Delete one or more shows from current Spotify user's library.
-   * @param {string|string[]} ids - A list of the Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   remove(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = API + '?' + options;
+        const path = API + '?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'delete',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'delete',
+              scopes: ['user-library-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 200) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Check if one or more shows is already saved in the current Spotify user's library.
-   * @param {string|string[]} ids - A list of the Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
    * @returns {Promise<boolean|boolean[]|HTTPError|ApiError>}
    */
   starred(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    const path = API + '/contains?' + options;
+        const path = API + '/contains?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                return resolve(body);
-              }
-              reject(new ApiError(response));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              scopes: ['user-library-read'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    return resolve(body);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => [].concat(...results));
   }
 
   /**
    * Get Spotify catalog information about shows.
-   * @param {string} query - Your search query.
+   * @param {string|Query} query - Your search query.
    * @param {SearchOptions} options
-   * @returns {Promise<Show[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Show>|HTTPError|ApiError>}
    */
-  search(query, { external = false, limit = 20, offset = 0 } = {}) {
-    const opts = {
-      q: query,
-      type: 'show',
-      limit,
-      offset,
-    };
-
-    if (external) {
-      opts['include_external'] = 'audio';
-    }
+  search(query, options = {}) {
+    const opts = Object.assign({}, options, { types: ['show'] });
 
-    const options = qs.stringify(opts);
-    const path = 'https://api.spotify.com/v1/search?' + options;
-
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                const shows = body.shows.items.map(
-                  (p) => new Show(this.spotify, p)
-                );
-                return resolve(shows);
-              }
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
-        });
-    });
+    return this.spotify.search(query, opts).then((result) => result.shows);
   }
 }
 
@@ -1,8 +1,9 @@
 const qs = require('querystring');
 const Track = require('../structures/Track.js');
+const Page = require('../structures/Page.js');
 const Audio = require('../managers/Audio.js');
 
-const API = 'https://api.spotify.com/v1/me/tracks';
+const API = '/me/tracks';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
 
@@ -23,15 +24,28 @@ class TrackManager {
      * @type {Audio}
      */
     this.audio = new Audio(spotify);
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      saved: 0,
+      search: 1,
+    });
   }
 
   /**
    * Get Spotify catalog information for a single track identified by its unique Spotify ID.
    * @param {string} id - The Spotify ID for the track.
+   * @param {MarketOptions} [options]
    * @returns {Promise<Track|HTTPError|ApiError>}
    */
-  get(id) {
-    const path = 'https://api.spotify.com/v1/tracks/' + id;
+  get(id, { market } = {}) {
+    const opts = {};
+
+    market = this.spotify.util.market(market);
+    if (market) opts['market'] = market;
+
+    const options = qs.stringify(opts);
+    const path = '/tracks/' + id + '?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -39,24 +53,71 @@ class TrackManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const track = new Track(this.spotify, body);
                 return resolve(track);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
+  /**
+   * Get Spotify catalog information for several tracks identified by their Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
+   * @param {MarketOptions} [options]
+   * @returns {Promise<Array<Track|null>|HTTPError|ApiError>} The tracks in the order of the ids - null for the ids which weren't found.
+   */
+  getMany(ids, { market } = {}) {
+    market = this.spotify.util.market(market);
+
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const opts = {
+          ids: chunk.join(','),
+        };
+
+        if (market) opts['market'] = market;
+
+        const options = qs.stringify(opts);
+
+        const path = '/tracks?' + options;
+
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    const tracks = body.tracks.map((x) =>
+                      x ? new Track(this.spotify, x) : null
+                    );
+                    return resolve(tracks);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
+        });
+      })
+      .then((results) => [].concat(...results));
+  }
+
   /**
    * Get a list of the songs saved in the current Spotify user's 'Your Music' library.
    * @param {LimitOptions} options
-   * @returns {Promise<Track[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Track>|HTTPError|ApiError>}
    */
   saved({ limit = 20, offset = 0 } = {}) {
     const options = qs.stringify({
@@ -70,158 +131,153 @@ class TrackManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-library-read'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const tracks = body.items.map(
-                  (t) => new Track(this.spotify, t)
+                const tracks = new Page(
+                  this.spotify,
+                  body,
+                  (t) =>
+                    new Track(
+                      this.spotify,
+                      Object.assign({ added_at: t.added_at }, t.track)
+                    )
                 );
                 return resolve(tracks);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Save one or more tracks to the current user's 'Your Music' library.
-   * @param {string|string[]} ids - A list of the Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   save(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
-
-    const path = API + '?' + options;
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'put',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        const path = API + '?' + options;
+
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'put',
+              scopes: ['user-library-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 200) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Remove one or more tracks from the current user's 'Your Music' library.
-   * @param {string|string[]} ids - A list of the Spotify IDs.
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   remove(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
-
-    const path = API + '?' + options;
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'delete',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        const path = API + '?' + options;
+
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'delete',
+              scopes: ['user-library-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 200) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Check if one or more tracks is already saved in the current Spotify user's 'Your Music' library.
-   * @param {string|string[]} ids
+   * @param {string|string[]} ids - A list of the Spotify IDs. Lists over 50 are split into several requests.
    * @returns {Promise<boolean[]|HTTPError|ApiError>}
    */
   starred(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-    });
-
-    const path = API + '/contains?' + options;
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+        });
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                return resolve(body);
-              }
-              reject(new ApiError(response));
-            }
-            reject(new HTTPError(response));
-          });
+        const path = API + '/contains?' + options;
+
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              scopes: ['user-library-read'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    return resolve(body);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => [].concat(...results));
   }
 
   /**
    * Get Spotify catalog information about tracks.
-   * @param {string} query - Your search query.
+   * @param {string|Query} query - Your search query.
    * @param {SearchOptions} options
-   * @returns {Promise<Track[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Track>|HTTPError|ApiError>}
    */
-  search(query, { external = false, limit = 20, offset = 0 } = {}) {
-    const opts = {
-      q: query,
-      type: 'track',
-      limit,
-      offset,
-    };
+  search(query, options = {}) {
+    const opts = Object.assign({}, options, { types: ['track'] });
 
-    if (external) {
-      opts['include_external'] = 'audio';
-    }
-
-    const options = qs.stringify(opts);
-    const path = 'https://api.spotify.com/v1/search?' + options;
-
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                const tracks = body.tracks.items.map(
-                  (p) => new Track(this.spotify, p)
-                );
-                return resolve(tracks);
-              }
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
-        });
-    });
+    return this.spotify.search(query, opts).then((result) => result.tracks);
   }
 
   /**
@@ -247,8 +303,8 @@ class TrackManager {
       'loudness',
       'mode',
       'popularity',
-      'speachiness',
-      'temp',
+      'speechiness',
+      'tempo',
       'time_signature',
       'valence',
     ];
@@ -256,9 +312,9 @@ class TrackManager {
     const { artists = [], genres = [], tracks = [] } = seeds;
 
     const opts = {
-      seed_artists: artists,
-      seed_genres: genres,
-      seed_tracks: tracks,
+      seed_artists: [].concat(artists).join(','),
+      seed_genres: [].concat(genres).join(','),
+      seed_tracks: [].concat(tracks).join(','),
       limit,
     };
 
@@ -268,14 +324,14 @@ class TrackManager {
         const types = ['max', 'min', 'target'];
         const key = types[index] + '_' + attribute;
 
-        if (struct[attribute]) {
+        if (struct[attribute] !== undefined) {
           opts[key] = struct[attribute];
         }
       });
     });
 
     const options = qs.stringify(opts);
-    const path = 'https://api.spotify.com/v1/recommendations?' + options;
+    const path = '/recommendations?' + options;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -283,7 +339,7 @@ class TrackManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const tracks = body.tracks.map(
@@ -291,11 +347,12 @@ class TrackManager {
                 );
                 return resolve(tracks);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 }
@@ -331,8 +388,8 @@ module.exports = TrackManager;
  * @property {number} loudness
  * @property {number} mode - \>= 0 <= 1
  * @property {number} popularity - \>= 0 <= 100
- * @property {number} speachiness - \>= 0 <= 1
- * @property {number} temp
+ * @property {number} speechiness - \>= 0 <= 1
+ * @property {number} tempo
  * @property {number} time_signature
  * @property {number} valence
  */
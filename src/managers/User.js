@@ -2,8 +2,10 @@ const qs = require('querystring');
 const Artist = require('../structures/Artist.js');
 const Track = require('../structures/Track.js');
 const User = require('../structures/User.js');
+const Page = require('../structures/Page.js');
+const CursorPage = require('../structures/CursorPage.js');
 
-const API = 'https://api.spotify.com/v1/me';
+const API = '/me';
 const HTTPError = require('../HTTPError.js');
 const ApiError = require('../ApiError.js');
 
@@ -18,6 +20,12 @@ class UserManager {
      * @type {Spotify}
      */
     this.spotify = spotify;
+
+    /* Adds the pagination helpers to the paged methods. */
+    this.spotify.util.paginate(this, {
+      top: 1,
+      followed: 0,
+    });
   }
 
   /**
@@ -26,7 +34,7 @@ class UserManager {
    * @returns {Promise<User|HTTPError|ApiError>}
    */
   get(id) {
-    const path = 'https://api.spotify.com/v1/users/' + id;
+    const path = '/users/' + id;
 
     return new Promise((resolve, reject) => {
       this.spotify.util
@@ -34,17 +42,18 @@ class UserManager {
           path,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const user = new User(this.spotify, body);
                 return resolve(user);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
@@ -52,9 +61,9 @@ class UserManager {
    * Get the current user's top artists or tracks based on calculated affinity.
    * @param {string} type - The type of entity to return. Valid values: artists or tracks
    * @param {UserTopOptions} options
-   * @returns {Promise<Artist[]|Track[]|HTTPError|ApiError>}
+   * @returns {Promise<Page<Artist|Track>|HTTPError|ApiError>}
    */
-  top(type, { limit = 20, offset = 20, range = 'medium' } = {}) {
+  top(type, { limit = 20, offset = 0, range = 'medium' } = {}) {
     const options = qs.stringify({
       time_range: range + '_term',
       limit,
@@ -67,33 +76,34 @@ class UserManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-top-read'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                let result;
-
-                if (type == 'artists') {
-                  result = body.items.map((a) => new Artist(this.spotify, a));
-                } else {
-                  result = body.items.map((t) => new Track(this.spotify, t));
-                }
+                const Structure = type == 'artists' ? Artist : Track;
+                const result = new Page(
+                  this.spotify,
+                  body,
+                  (i) => new Structure(this.spotify, i)
+                );
 
                 return resolve(result);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Get the current user's followed artists.
    * @param {FollowingArtistOptions} options
-   * @returns {Artist[]|HTTPError|ApiError}
+   * @returns {CursorPage<Artist>|HTTPError|ApiError}
    */
   followed({ after, limit = 20 } = {}) {
     const opts = {
@@ -112,119 +122,142 @@ class UserManager {
       this.spotify.util
         .fetch({
           path,
+          scopes: ['user-follow-read'],
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
-                const artists = body.artists.items.map(
-                  (a) => new Artist(this.spotify, a)
+                const artists = new CursorPage(
+                  this.spotify,
+                  body,
+                  (a) => new Artist(this.spotify, a),
+                  'artists'
                 );
                 return resolve(artists);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 
   /**
    * Add the current user as a follower of one or more user.
-   * @param {string|string[]} ids - The Spotify ID of the user.
+   * @param {string|string[]} ids - The Spotify IDs of the users. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   follow(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-      type: 'user',
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+          type: 'user',
+        });
 
-    const path = 'https://api.spotify.com/v1/me/following?' + options;
+        const path = '/me/following?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'put',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 204) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'put',
+              scopes: ['user-follow-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 204) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Remove the current user as a follower of one or more user.
-   * @param {string|string[]} ids - The Spotify ID of the user.
+   * @param {string|string[]} ids - The Spotify IDs of the users. Lists over 50 are split into several requests.
    * @returns {Promise<Status|HTTPError|ApiError>}
    */
   unfollow(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-      type: 'user',
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+          type: 'user',
+        });
 
-    const path = 'https://api.spotify.com/v1/me/following?' + options;
+        const path = '/me/following?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-          method: 'delete',
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (response.status == 200) {
-              resolve({ status: response.status });
-            } else if (body) {
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              method: 'delete',
+              scopes: ['user-follow-modify'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (response.status == 204) {
+                  resolve({ status: response.status });
+                } else if (body) {
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => results.pop());
   }
 
   /**
    * Check to see if the current user is following one or more users.
-   * @param {string} ids - The Spotify ID of the user.
+   * @param {string} ids - The Spotify IDs of the users. Lists over 50 are split into several requests.
    * @param {string|string[]} users - A list of Spotify User IDs.
    * @returns {boolean[]|HTTPError|ApiError}
    */
   following(ids) {
-    const options = qs.stringify({
-      ids: Array.isArray(ids) ? ids.join(',') : ids,
-      type: 'user',
-    });
+    return this.spotify.util
+      .batch(ids, 50, (chunk) => {
+        const options = qs.stringify({
+          ids: chunk.join(','),
+          type: 'user',
+        });
 
-    const path = 'https://api.spotify.com/v1/me/following/contains?' + options;
+        const path = '/me/following/contains?' + options;
 
-    return new Promise((resolve, reject) => {
-      this.spotify.util
-        .fetch({
-          path,
-        })
-        .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
-            if (body) {
-              if (response.status == 200) {
-                return resolve(body);
-              }
-              reject(new ApiError(body.error));
-            }
-            reject(new HTTPError(response));
-          });
+        return new Promise((resolve, reject) => {
+          this.spotify.util
+            .fetch({
+              path,
+              scopes: ['user-follow-read'],
+            })
+            .then((response) => {
+              return this.spotify.util.toJson(response).then((body) => {
+                if (body) {
+                  if (response.status == 200) {
+                    return resolve(body);
+                  }
+                  reject(ApiError.from(body.error, response));
+                }
+                reject(new HTTPError(response));
+              });
+            })
+            .catch(reject);
         });
-    });
+      })
+      .then((results) => [].concat(...results));
   }
 
   /**
@@ -238,17 +271,18 @@ class UserManager {
           path: API,
         })
         .then((response) => {
-          this.spotify.util.toJson(response).then((body) => {
+          return this.spotify.util.toJson(response).then((body) => {
             if (body) {
               if (response.status == 200) {
                 const user = new User(this.spotify, body);
                 return resolve(user);
               }
-              reject(new ApiError(body.error));
+              reject(ApiError.from(body.error, response));
             }
             reject(new HTTPError(response));
           });
-        });
+        })
+        .catch(reject);
     });
   }
 }
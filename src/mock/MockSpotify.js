@@ -0,0 +1,2521 @@
+const qs = require('querystring');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const fixtures = require('./fixtures.js');
+
+const API = 'https://api.spotify.com/v1';
+const OPEN = 'https://open.spotify.com';
+
+/* The lists of the fixtures every type of item is kept in */
+const LISTS = {
+  artist: 'artists',
+  album: 'albums',
+  track: 'tracks',
+  show: 'shows',
+  episode: 'episodes',
+  playlist: 'playlists',
+  user: 'users',
+};
+
+/* The most ids a request to get several items of a list accepts */
+const IDS = {
+  artists: 50,
+  albums: 20,
+  tracks: 50,
+  shows: 50,
+  episodes: 50,
+};
+
+const LIBRARY = ['tracks', 'albums', 'shows', 'episodes'];
+const SEARCH = ['album', 'artist', 'playlist', 'track', 'show', 'episode'];
+const REPEAT = ['track', 'context', 'off'];
+
+/* The endpoints of the mock - `:name` matches a segment of the path, `:name(a|b)` only the values listed */
+const ROUTES = [
+  ['post', '/api/token', 'token'],
+
+  ['get', '/me', 'me'],
+  ['get', '/users/:user', 'userProfile'],
+  ['get', '/me/playlists', 'userPlaylists'],
+  ['get', '/users/:user/playlists', 'userPlaylists'],
+  ['post', '/users/:user/playlists', 'createPlaylist'],
+
+  ['get', '/me/player', 'state'],
+  ['put', '/me/player', 'transfer'],
+  ['get', '/me/player/devices', 'devices'],
+  ['get', '/me/player/currently-playing', 'current'],
+  ['get', '/me/player/recently-played', 'recent'],
+  ['get', '/me/player/queue', 'queue'],
+  ['post', '/me/player/queue', 'enqueue'],
+  ['put', '/me/player/play', 'play'],
+  ['put', '/me/player/pause', 'pause'],
+  ['post', '/me/player/next', 'next'],
+  ['post', '/me/player/previous', 'previous'],
+  ['put', '/me/player/seek', 'seek'],
+  ['put', '/me/player/repeat', 'repeat'],
+  ['put', '/me/player/volume', 'volume'],
+  ['put', '/me/player/shuffle', 'shuffle'],
+
+  ['get', '/me/top/:type(artists|tracks)', 'top'],
+
+  ['get', '/me/following', 'following'],
+  ['put', '/me/following', 'follow'],
+  ['delete', '/me/following', 'unfollow'],
+  ['get', '/me/following/contains', 'followingContains'],
+
+  ['get', '/me/:type(tracks|albums|shows|episodes)', 'library'],
+  ['put', '/me/:type(tracks|albums|shows|episodes)', 'save'],
+  ['delete', '/me/:type(tracks|albums|shows|episodes)', 'unsave'],
+  ['get', '/me/:type(tracks|albums|shows|episodes)/contains', 'contains'],
+
+  ['get', '/playlists/:id', 'playlist'],
+  ['put', '/playlists/:id', 'updatePlaylist'],
+  ['get', '/playlists/:id/tracks', 'playlistTracks'],
+  ['post', '/playlists/:id/tracks', 'addTracks'],
+  ['put', '/playlists/:id/tracks', 'replaceTracks'],
+  ['delete', '/playlists/:id/tracks', 'removeTracks'],
+  ['put', '/playlists/:id/followers', 'followPlaylist'],
+  ['delete', '/playlists/:id/followers', 'unfollowPlaylist'],
+  ['get', '/playlists/:id/followers/contains', 'followsPlaylist'],
+  ['get', '/playlists/:id/images', 'images'],
+  ['put', '/playlists/:id/images', 'uploadImage'],
+
+  ['get', '/browse/categories', 'categories'],
+  ['get', '/browse/categories/:id', 'category'],
+  ['get', '/browse/categories/:id/playlists', 'categoryPlaylists'],
+  ['get', '/browse/featured-playlists', 'featured'],
+  ['get', '/browse/new-releases', 'newReleases'],
+
+  ['get', '/search', 'search'],
+  ['get', '/markets', 'markets'],
+  ['get', '/recommendations/available-genre-seeds', 'genres'],
+
+  ['get', '/artists/:id/albums', 'artistAlbums'],
+  ['get', '/artists/:id/top-tracks', 'topTracks'],
+  ['get', '/artists/:id/related-artists', 'relatedArtists'],
+  ['get', '/albums/:id/tracks', 'albumTracks'],
+  ['get', '/shows/:id/episodes', 'showEpisodes'],
+  ['get', '/:list(artists|albums|tracks|shows|episodes)', 'several'],
+  ['get', '/:list(artists|albums|tracks|shows|episodes)/:id', 'one'],
+].map(([method, path, handler]) => {
+  const pattern = path.replace(
+    /:(\w+)(\([^)]+\))?/g,
+    (match, name, values) =>
+      '(?<' + name + '>' + (values ? values.slice(1, -1) : '[^/]+') + ')'
+  );
+
+  return { method, pattern: new RegExp('^' + pattern + '$'), handler };
+});
+
+class MockSpotify {
+  /**
+   * An in-process fake of spotify's web api - pass its `fetch` as the `fetch` option of a client to run it without the network.
+   * It serves the catalog, library, playlists, player and search from seedable fixtures, and answers with spotify's error responses.
+   * @param {MockOptions} [options]
+   */
+  constructor({ fixtures: data = fixtures, tokens = ['mock-token'] } = {}) {
+    /**
+     * The access tokens the mock accepts - null accepts any token.
+     * @type {Set<string>|null}
+     */
+    this.tokens = tokens ? new Set(tokens) : null;
+
+    /**
+     * Every request the mock received, in order.
+     * @type {MockRequest[]}
+     */
+    this.requests = [];
+
+    /**
+     * The failures queued with `fail`, answered instead of the next matching requests.
+     * @type {MockFailure[]}
+     */
+    this.failures = [];
+
+    /**
+     * The number of tokens issued by the mock's token endpoint.
+     * @type {number}
+     */
+    this.issued = 0;
+
+    /**
+     * The fetch implementation of the mock - it's bound so it can be passed on its own.
+     * @type {Function}
+     */
+    this.fetch = this.fetch.bind(this);
+
+    this.seed(data);
+  }
+
+  /**
+   * Replaces the data of the mock with fixtures - the fixtures are copied, so they can be seeded again.
+   * @param {Fixtures} data - The fixtures.
+   * @returns {MockSpotify}
+   */
+  seed(data) {
+    data = JSON.parse(JSON.stringify(data));
+
+    const now = new Date().toISOString();
+    const map = (list = []) => new Map(list.map((item) => [item.id, item]));
+    const library = data.library || {};
+    const following = data.following || {};
+
+    /**
+     * The current user.
+     * @type {object}
+     */
+    this.user = Object.assign(
+      { id: 'mockuser', country: 'US', product: 'premium' },
+      data.user
+    );
+
+    /**
+     * The items of the mock, by the name of their list.
+     * @type {Object<string, Map<string, object>>}
+     */
+    this.data = {
+      artists: map(data.artists),
+      albums: map(data.albums),
+      tracks: map(data.tracks),
+      shows: map(data.shows),
+      episodes: map(data.episodes),
+      playlists: map(data.playlists),
+      users: map([this.user].concat(data.users || [])),
+      categories: map(data.categories),
+      devices: map(data.devices),
+    };
+
+    this.data.playlists.forEach((playlist) => {
+      playlist.snapshot = 1;
+      playlist.tracks = (playlist.tracks || []).map((uri) => ({
+        uri,
+        added_at: now,
+        added_by: playlist.owner,
+      }));
+    });
+
+    /**
+     * The ids of the featured playlists.
+     * @type {string[]}
+     */
+    this.featuredPlaylists = data.featured || [];
+
+    /**
+     * The items saved by the current user, most recently saved first.
+     * @type {Object<string, Array<{id: string, added_at: string}>>}
+     */
+    this.saved = {};
+
+    LIBRARY.forEach((type) => {
+      this.saved[type] = (library[type] || []).map((id) => ({
+        id,
+        added_at: now,
+      }));
+    });
+
+    /**
+     * The ids of the artists, users and playlists followed by the current user.
+     * @type {Object<string, string[]>}
+     */
+    this.followed = {
+      artists: following.artists || [],
+      users: following.users || [],
+      playlists: following.playlists || [],
+    };
+
+    /**
+     * The markets.
+     * @type {string[]}
+     */
+    this.marketList = data.markets || [];
+
+    /**
+     * The genre seeds.
+     * @type {string[]}
+     */
+    this.genreSeeds = data.genres || [];
+
+    /**
+     * The playback of the current user - the device is null while no device is active.
+     * @type {MockPlayback}
+     */
+    this.playback = {
+      device: null,
+      playing: false,
+      context: null,
+      items: [],
+      index: 0,
+      position: 0,
+      since: 0,
+      shuffle: false,
+      repeat: 'off',
+      queue: [],
+      history: [],
+    };
+
+    return this;
+  }
+
+  /**
+   * Answers the next matching requests with an error instead of handling them. eg: `mock.fail(429, { headers: { 'Retry-After': '1' } })`
+   * @param {number} status - The status of the error response.
+   * @param {FailOptions} [options]
+   * @returns {MockSpotify}
+   */
+  fail(status, { message, reason, headers = {}, times = 1, path } = {}) {
+    this.failures.push({ status, message, reason, headers, times, path });
+    return this;
+  }
+
+  /**
+   * Stops accepting an access token, as if it had expired.
+   * @param {string} token - The access token.
+   * @returns {MockSpotify}
+   */
+  revoke(token) {
+    if (this.tokens) {
+      this.tokens.delete(token);
+    }
+
+    return this;
+  }
+
+  /**
+   * Handles a request like node-fetch would send it to spotify.
+   * @param {string} url - The url of the request.
+   * @param {node-fetch#Options} [options] - The options of the request.
+   * @returns {Promise<node-fetch#Response>}
+   */
+  fetch(url, options = {}) {
+    return new Promise((resolve) => {
+      const headers = new fetch.Headers(options.headers);
+      const parsed = new URL(url);
+
+      /* The endpoint without the prefix of the base url, so the mock serves any base url */
+      const path = parsed.pathname
+        .replace(/^.*?\/v1(?=\/|$)/, '')
+        .replace(/\/$/, '');
+
+      const request = {
+        method: (options.method || 'get').toLowerCase(),
+        path,
+        query: Object.assign({}, qs.parse(parsed.search.slice(1))),
+        body: options.body,
+        headers,
+        params: {},
+        url,
+      };
+
+      this.requests.push(request);
+
+      let reply;
+
+      try {
+        reply = this.handle(request);
+      } catch (error) {
+        reply = error.reply || this.error(500, 'Server error');
+      }
+
+      resolve(this.response(request, reply));
+    });
+  }
+
+  /**
+   * Routes a request to its handler.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  handle(request) {
+    request.body = this.body(request.body, request.headers);
+
+    const failure = this.failures.find(
+      ({ path }) =>
+        !path ||
+        (path instanceof RegExp
+          ? path.test(request.path)
+          : request.path.startsWith(path))
+    );
+
+    if (failure) {
+      if (--failure.times <= 0) {
+        this.failures.splice(this.failures.indexOf(failure), 1);
+      }
+
+      const reply = this.error(failure.status, failure.message, failure.reason);
+      const headers = Object.assign({}, failure.headers);
+
+      if (failure.status == 429 && !headers['Retry-After']) {
+        headers['Retry-After'] = '1';
+      }
+
+      return Object.assign(reply, { headers });
+    }
+
+    let matched = false;
+
+    for (const route of ROUTES) {
+      const match = route.pattern.exec(request.path);
+
+      if (!match) {
+        continue;
+      }
+
+      matched = true;
+
+      if (route.method == request.method) {
+        request.params = Object.assign({}, match.groups);
+
+        if (route.handler != 'token') {
+          this.authenticate(request);
+        }
+
+        return this.localize(request, this[route.handler](request));
+      }
+    }
+
+    if (matched) {
+      return this.error(405, 'Method not allowed');
+    }
+
+    return this.error(404, 'Service not found');
+  }
+
+  /**
+   * Applies the market of a request to the tracks and albums of its reply - like spotify, they're marked as playable or not instead of listing their markets.
+   * @param {MockRequest} request - The request.
+   * @param {MockReply} reply - The reply of the handler.
+   * @returns {MockReply}
+   */
+  localize(request, reply) {
+    let { market } = request.query;
+
+    if (!market || !reply.body) {
+      return reply;
+    }
+
+    if (market == 'from_token') {
+      market = this.user.country;
+    }
+
+    if (!this.marketList.includes(market)) {
+      this.throw(400, 'Invalid market code');
+    }
+
+    const apply = (value) => {
+      if (Array.isArray(value)) {
+        return value.forEach(apply);
+      } else if (!value || typeof value != 'object') {
+        return;
+      }
+
+      if (
+        ['track', 'album'].includes(value.type) &&
+        Array.isArray(value.available_markets)
+      ) {
+        value.is_playable = value.available_markets.includes(market);
+        delete value.available_markets;
+
+        if (!value.is_playable) {
+          value.restrictions = { reason: 'market' };
+        }
+      }
+
+      Object.values(value).forEach(apply);
+    };
+
+    apply(reply.body);
+    return reply;
+  }
+
+  /**
+   * Creates the response to a request.
+   * @param {MockRequest} request - The request.
+   * @param {MockReply} reply - The reply of the handler.
+   * @returns {node-fetch#Response}
+   */
+  response(request, { status = 200, body = null, headers = {} }) {
+    headers = Object.assign({}, headers);
+
+    if (body === null) {
+      return new fetch.Response(null, { status, headers, url: request.url });
+    }
+
+    const text = JSON.stringify(body);
+    headers['Content-Type'] = 'application/json; charset=utf-8';
+
+    /* Successful reads carry an ETag, so they can be revalidated like spotify's */
+    if (request.method == 'get' && status == 200) {
+      const etag =
+        '"' + crypto.createHash('sha1').update(text).digest('hex') + '"';
+
+      headers['ETag'] = etag;
+
+      if (request.headers.get('if-none-match') == etag) {
+        return new fetch.Response(null, {
+          status: 304,
+          headers: { ETag: etag },
+          url: request.url,
+        });
+      }
+    }
+
+    return new fetch.Response(text, { status, headers, url: request.url });
+  }
+
+  /**
+   * Parses the body of a request - bodies which aren't json or a form (eg: images) are kept as they were sent.
+   * @param {string|undefined} body - The body sent.
+   * @param {node-fetch#Headers} headers - The headers sent.
+   * @returns {object|string}
+   */
+  body(body, headers) {
+    const type = headers.get('content-type') || 'application/json';
+
+    if (!body || typeof body != 'string') {
+      return {};
+    } else if (/x-www-form-urlencoded/.test(type)) {
+      return Object.assign({}, qs.parse(body));
+    } else if (!/json/.test(type)) {
+      return body;
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      this.throw(400, 'Error parsing json');
+    }
+  }
+
+  /**
+   * Checks the access token of a request - throws a 401 when it isn't accepted.
+   * @param {MockRequest} request - The request.
+   * @returns {void}
+   */
+  authenticate(request) {
+    const header = request.headers.get('authorization') || '';
+    const [type, token] = header.split(' ');
+
+    if (type != 'Bearer' || !token) {
+      this.throw(401, 'No token provided');
+    }
+
+    if (this.tokens && !this.tokens.has(token)) {
+      this.throw(401, 'Invalid access token');
+    }
+  }
+
+  /**
+   * Creates an error reply like spotify's.
+   * @param {number} status - The status of the error.
+   * @param {string} message - The message of the error.
+   * @param {string} [reason] - The reason of a player error. eg: NO_ACTIVE_DEVICE
+   * @returns {MockReply}
+   */
+  error(status, message, reason) {
+    const error = { status, message: message || 'Mock error' };
+
+    if (reason) {
+      error.reason = reason;
+    }
+
+    return { status, body: { error } };
+  }
+
+  /**
+   * Stops handling a request with an error reply.
+   * @param {number} status - The status of the error.
+   * @param {string} message - The message of the error.
+   * @param {string} [reason] - The reason of a player error.
+   * @returns {never}
+   */
+  throw(status, message, reason) {
+    const error = new Error(message);
+    error.reply = this.error(status, message, reason);
+
+    throw error;
+  }
+
+  /**
+   * Get an item by its id - throws a 404 when it doesn't exist.
+   * @param {string} list - The list of the item. eg: tracks
+   * @param {string} id - The id of the item.
+   * @returns {object}
+   */
+  find(list, id) {
+    const item = this.data[list].get(id);
+
+    if (!item) {
+      const type = Object.keys(LISTS).find((type) => LISTS[type] == list);
+      this.throw(404, `Non existing id: 'spotify:${type || list}:${id}'`);
+    }
+
+    return item;
+  }
+
+  /**
+   * Get the ids of a request from its query or its body - throws a 400 when there are none or too many.
+   * @param {MockRequest} request - The request.
+   * @param {number} [max=50] - The most ids accepted.
+   * @returns {string[]}
+   */
+  ids(request, max = 50) {
+    let ids = request.query.ids || request.body.ids || [];
+
+    if (typeof ids == 'string') {
+      ids = ids.split(',');
+    }
+
+    ids = ids.filter(Boolean);
+
+    if (!ids.length) {
+      this.throw(400, 'Missing required field: ids');
+    } else if (ids.length > max) {
+      this.throw(400, 'Too many ids requested');
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get the limit and offset of a request - throws a 400 when they're out of range.
+   * @param {MockRequest} request - The request.
+   * @param {number} [max=50] - The highest limit accepted.
+   * @returns {{limit: number, offset: number}}
+   */
+  range(request, max = 50) {
+    const limit = Number(request.query.limit || 20);
+    const offset = Number(request.query.offset || 0);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+      this.throw(400, 'Invalid limit');
+    } else if (!Number.isInteger(offset) || offset < 0) {
+      this.throw(400, 'Invalid offset');
+    }
+
+    return { limit, offset };
+  }
+
+  /**
+   * Creates a paging object of the items of a request.
+   * @param {MockRequest} request - The request.
+   * @param {Array} items - Every item of the list.
+   * @param {Function} structure - Creates the object of an item.
+   * @param {number} [max=50] - The highest limit accepted.
+   * @returns {object}
+   */
+  page(request, items, structure, max = 50) {
+    const { limit, offset } = this.range(request, max);
+    return this.paging(
+      request.path,
+      items,
+      structure,
+      limit,
+      offset,
+      request.query
+    );
+  }
+
+  /**
+   * Creates a paging object.
+   * @param {string} path - The endpoint of the list.
+   * @param {Array} items - Every item of the list.
+   * @param {Function} structure - Creates the object of an item.
+   * @param {number} limit - The number of items in the page.
+   * @param {number} offset - The index of the first item of the page.
+   * @param {object} [query={}] - The other query parameters of the list.
+   * @returns {object}
+   */
+  paging(path, items, structure, limit, offset, query = {}) {
+    const link = (offset) =>
+      API +
+      path +
+      '?' +
+      qs.stringify(Object.assign({}, query, { offset, limit }));
+
+    return {
+      href: link(offset),
+      items: items.slice(offset, offset + limit).map(structure),
+      limit,
+      offset,
+      total: items.length,
+      next: offset + limit < items.length ? link(offset + limit) : null,
+      previous: offset > 0 ? link(Math.max(offset - limit, 0)) : null,
+    };
+  }
+
+  /**
+   * The fields every object of an item has.
+   * @param {string} type - The type of the item.
+   * @param {string} id - The id of the item.
+   * @returns {object}
+   */
+  base(type, id) {
+    return {
+      external_urls: { spotify: OPEN + '/' + type + '/' + id },
+      href: API + '/' + LISTS[type] + '/' + id,
+      id,
+      type,
+      uri: 'spotify:' + type + ':' + id,
+    };
+  }
+
+  /**
+   * Creates the object of an artist.
+   * @param {object} artist - The artist from the fixtures.
+   * @param {boolean} [simple=false] - If the simplified object is created.
+   * @returns {object}
+   */
+  artist(artist, simple = false) {
+    const data = Object.assign(
+      { name: artist.name },
+      this.base('artist', artist.id)
+    );
+
+    if (simple) {
+      return data;
+    }
+
+    return Object.assign(
+      { followers: { href: null, total: 0 }, genres: [], images: [] },
+      artist,
+      data,
+      { popularity: artist.popularity || 0 }
+    );
+  }
+
+  /**
+   * Creates the object of an album.
+   * @param {object} album - The album from the fixtures.
+   * @param {boolean} [simple=false] - If the simplified object is created.
+   * @returns {object}
+   */
+  album(album, simple = false) {
+    const { upc, artists = [], ...fields } = album;
+    const tracks = this.albumItems(album.id);
+
+    const data = Object.assign(
+      {
+        album_type: 'album',
+        available_markets: this.marketList,
+        images: [],
+        release_date_precision: 'day',
+      },
+      fields,
+      this.base('album', album.id),
+      {
+        artists: artists.map((id) =>
+          this.artist(this.reference('artists', id), true)
+        ),
+        total_tracks: tracks.length,
+      }
+    );
+
+    if (simple) {
+      return data;
+    }
+
+    return Object.assign(
+      { copyrights: [], genres: [], label: null, popularity: 0 },
+      data,
+      {
+        external_ids: upc ? { upc } : {},
+        tracks: this.paging(
+          '/albums/' + album.id + '/tracks',
+          tracks,
+          (track) => this.track(track, true),
+          50,
+          0
+        ),
+      }
+    );
+  }
+
+  /**
+   * Creates the object of a track.
+   * @param {object} track - The track from the fixtures.
+   * @param {boolean} [simple=false] - If the simplified object - without its album - is created.
+   * @returns {object}
+   */
+  track(track, simple = false) {
+    const { isrc, album, artists = [], ...fields } = track;
+
+    const data = Object.assign(
+      {
+        available_markets: this.marketList,
+        disc_number: 1,
+        duration_ms: 0,
+        explicit: false,
+        is_local: false,
+        preview_url: null,
+        track_number: 1,
+      },
+      fields,
+      this.base('track', track.id),
+      {
+        artists: artists.map((id) =>
+          this.artist(this.reference('artists', id), true)
+        ),
+      }
+    );
+
+    if (simple) {
+      return data;
+    }
+
+    return Object.assign(data, {
+      album: album ? this.album(this.reference('albums', album), true) : null,
+      external_ids: isrc ? { isrc } : {},
+      popularity: track.popularity || 0,
+    });
+  }
+
+  /**
+   * Creates the object of a show.
+   * @param {object} show - The show from the fixtures.
+   * @param {boolean} [simple=false] - If the simplified object is created.
+   * @returns {object}
+   */
+  show(show, simple = false) {
+    const episodes = this.showItems(show.id);
+
+    const data = Object.assign(
+      {
+        available_markets: this.marketList,
+        copyrights: [],
+        description: '',
+        explicit: false,
+        images: [],
+        is_externally_hosted: false,
+        languages: ['en'],
+        media_type: 'audio',
+        publisher: '',
+      },
+      show,
+      this.base('show', show.id),
+      { total_episodes: episodes.length }
+    );
+
+    if (simple) {
+      return data;
+    }
+
+    return Object.assign(data, {
+      episodes: this.paging(
+        '/shows/' + show.id + '/episodes',
+        episodes,
+        (episode) => this.episode(episode, true),
+        50,
+        0
+      ),
+    });
+  }
+
+  /**
+   * Creates the object of an episode.
+   * @param {object} episode - The episode from the fixtures.
+   * @param {boolean} [simple=false] - If the simplified object - without its show - is created.
+   * @returns {object}
+   */
+  episode(episode, simple = false) {
+    const { show, ...fields } = episode;
+
+    const data = Object.assign(
+      {
+        audio_preview_url: null,
+        description: '',
+        duration_ms: 0,
+        explicit: false,
+        images: [],
+        is_externally_hosted: false,
+        is_playable: true,
+        language: 'en',
+        languages: ['en'],
+        release_date_precision: 'day',
+      },
+      fields,
+      this.base('episode', episode.id)
+    );
+
+    if (simple) {
+      return data;
+    }
+
+    return Object.assign(data, {
+      show: show ? this.show(this.reference('shows', show), true) : null,
+    });
+  }
+
+  /**
+   * Creates the object of a user.
+   * @param {object} user - The user from the fixtures.
+   * @param {boolean} [simple=false] - If the simplified object is created.
+   * @returns {object}
+   */
+  profile(user, simple = false) {
+    const data = Object.assign(
+      { display_name: user.display_name || null },
+      this.base('user', user.id)
+    );
+
+    if (simple) {
+      return data;
+    }
+
+    return Object.assign(
+      { followers: { href: null, total: 0 }, images: [] },
+      user,
+      data
+    );
+  }
+
+  /**
+   * Creates the object of a playlist.
+   * @param {object} playlist - The playlist from the fixtures.
+   * @param {boolean} [simple=false] - If the simplified object - without its items - is created.
+   * @returns {object}
+   */
+  playlistObject(playlist, simple = false) {
+    const { tracks, owner, ...fields } = playlist;
+    const href = API + '/playlists/' + playlist.id + '/tracks';
+
+    const data = Object.assign(
+      {
+        collaborative: false,
+        description: '',
+        images: [],
+        public: true,
+      },
+      fields,
+      this.base('playlist', playlist.id),
+      {
+        owner: this.profile(this.reference('users', owner), true),
+        snapshot_id: this.snapshot(playlist),
+        tracks: { href, total: tracks.length },
+      }
+    );
+
+    /* The version of the playlist is only shown through its snapshot id */
+    delete data.snapshot;
+
+    if (simple) {
+      return data;
+    }
+
+    /* Only the current user's following is known */
+    const followers = this.followed.playlists.includes(playlist.id) ? 1 : 0;
+
+    return Object.assign(data, {
+      followers: { href: null, total: followers },
+      tracks: this.paging(
+        '/playlists/' + playlist.id + '/tracks',
+        tracks,
+        (item) => this.playlistItem(item),
+        100,
+        0
+      ),
+    });
+  }
+
+  /**
+   * Creates the object of an item of a playlist.
+   * @param {{uri: string, added_at: string, added_by: string}} item - The item.
+   * @returns {object}
+   */
+  playlistItem({ uri, added_at, added_by }) {
+    return {
+      added_at,
+      added_by: this.profile(this.reference('users', added_by), true),
+      is_local: false,
+      track: this.item(uri),
+    };
+  }
+
+  /**
+   * Get the snapshot id of a playlist - it changes with every change to the playlist's items.
+   * @param {object} playlist - The playlist from the fixtures.
+   * @returns {string}
+   */
+  snapshot(playlist) {
+    return Buffer.from(playlist.id + ':' + playlist.snapshot).toString(
+      'base64'
+    );
+  }
+
+  /**
+   * Get the object of a track or an episode from its uri - null when it doesn't exist.
+   * @param {string} uri - The uri of the item.
+   * @returns {object|null}
+   */
+  item(uri) {
+    const [, type, id] = String(uri).split(':');
+    const item = LISTS[type] && this.data[LISTS[type]].get(id);
+
+    if (!item) {
+      return null;
+    } else if (type == 'episode') {
+      return this.episode(item);
+    }
+
+    return this.track(item);
+  }
+
+  /**
+   * Get an item referred to by another item - a stub when it isn't in the fixtures.
+   * @param {string} list - The list of the item.
+   * @param {string} id - The id of the item.
+   * @returns {object}
+   */
+  reference(list, id) {
+    return this.data[list].get(id) || { id };
+  }
+
+  /**
+   * Get the tracks of an album, in their order on the album.
+   * @param {string} id - The id of the album.
+   * @returns {object[]}
+   */
+  albumItems(id) {
+    return Array.from(this.data.tracks.values())
+      .filter((track) => track.album == id)
+      .sort((a, b) => (a.track_number || 0) - (b.track_number || 0));
+  }
+
+  /**
+   * Get the episodes of a show, newest first.
+   * @param {string} id - The id of the show.
+   * @returns {object[]}
+   */
+  showItems(id) {
+    return Array.from(this.data.episodes.values())
+      .filter((episode) => episode.show == id)
+      .sort((a, b) =>
+        String(b.release_date || '').localeCompare(a.release_date || '')
+      );
+  }
+
+  /**
+   * Creates the object of an item of any list.
+   * @param {string} list - The list of the item.
+   * @param {object} item - The item from the fixtures.
+   * @param {boolean} [simple=false] - If the simplified object is created.
+   * @returns {object}
+   */
+  structure(list, item, simple = false) {
+    const structures = {
+      artists: this.artist,
+      albums: this.album,
+      tracks: this.track,
+      shows: this.show,
+      episodes: this.episode,
+      playlists: this.playlistObject,
+      users: this.profile,
+    };
+
+    return structures[list].call(this, item, simple);
+  }
+
+  /**
+   * POST /api/token - issues access tokens for every grant.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  token({ body }) {
+    const invalid = (error, description) => ({
+      status: 400,
+      body: { error, error_description: description },
+    });
+
+    const grants = [
+      'authorization_code',
+      'refresh_token',
+      'client_credentials',
+    ];
+
+    if (!grants.includes(body.grant_type)) {
+      return invalid(
+        'unsupported_grant_type',
+        'grant_type parameter is missing'
+      );
+    } else if (body.grant_type == 'authorization_code' && !body.code) {
+      return invalid('invalid_grant', 'Invalid authorization code');
+    } else if (body.grant_type == 'refresh_token' && !body.refresh_token) {
+      return invalid('invalid_grant', 'Invalid refresh token');
+    }
+
+    const access_token = 'mock-token-' + ++this.issued;
+
+    if (this.tokens) {
+      this.tokens.add(access_token);
+    }
+
+    const token = {
+      access_token,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      scope: body.scope || '',
+    };
+
+    if (body.grant_type == 'authorization_code') {
+      token.refresh_token = 'mock-refresh-' + this.issued;
+    }
+
+    return { body: token };
+  }
+
+  /**
+   * GET /me
+   * @returns {MockReply}
+   */
+  me() {
+    return {
+      body: Object.assign(this.profile(this.user), {
+        explicit_content: { filter_enabled: false, filter_locked: false },
+      }),
+    };
+  }
+
+  /**
+   * GET /users/:user
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  userProfile({ params }) {
+    return { body: this.profile(this.find('users', params.user)) };
+  }
+
+  /**
+   * GET /me/playlists and GET /users/:user/playlists - the playlists owned or followed by a user.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  userPlaylists(request) {
+    const id = request.params.user || this.user.id;
+    this.find('users', id);
+
+    const playlists = Array.from(this.data.playlists.values()).filter(
+      (playlist) =>
+        playlist.owner == id ||
+        (id == this.user.id && this.followed.playlists.includes(playlist.id))
+    );
+
+    return {
+      body: this.page(request, playlists, (p) => this.playlistObject(p, true)),
+    };
+  }
+
+  /**
+   * POST /users/:user/playlists
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  createPlaylist({ params, body }) {
+    if (params.user != this.user.id) {
+      this.throw(403, 'You cannot create a playlist for another user');
+    } else if (!body.name) {
+      this.throw(400, 'Missing required field: name');
+    }
+
+    const playlist = {
+      id: crypto.randomBytes(11).toString('hex').slice(0, 22),
+      name: body.name,
+      description: body.description || '',
+      public: body.public !== false,
+      collaborative: Boolean(body.collaborative),
+      owner: this.user.id,
+      tracks: [],
+      snapshot: 1,
+    };
+
+    this.data.playlists.set(playlist.id, playlist);
+    return { status: 201, body: this.playlistObject(playlist) };
+  }
+
+  /**
+   * GET /:list/:id - an artist, album, track, show or episode.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  one({ params }) {
+    return {
+      body: this.structure(params.list, this.find(params.list, params.id)),
+    };
+  }
+
+  /**
+   * GET /:list?ids= - several artists, albums, tracks, shows or episodes - null for the ids which don't exist.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  several(request) {
+    const { list } = request.params;
+    const ids = this.ids(request, IDS[list]);
+    const simple = list == 'shows';
+
+    const items = ids.map((id) => {
+      const item = this.data[list].get(id);
+      return item ? this.structure(list, item, simple) : null;
+    });
+
+    return { body: { [list]: items } };
+  }
+
+  /**
+   * GET /artists/:id/albums
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  artistAlbums(request) {
+    const { id } = request.params;
+    this.find('artists', id);
+
+    const groups = (
+      request.query.include_groups || 'album,single,compilation'
+    ).split(',');
+
+    const albums = Array.from(this.data.albums.values()).filter(
+      (album) =>
+        (album.artists || []).includes(id) &&
+        groups.includes(album.album_type || 'album')
+    );
+
+    return {
+      body: this.page(request, albums, (album) => this.album(album, true)),
+    };
+  }
+
+  /**
+   * GET /artists/:id/top-tracks - the artist's tracks by popularity.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  topTracks({ params }) {
+    this.find('artists', params.id);
+
+    const tracks = Array.from(this.data.tracks.values())
+      .filter((track) => (track.artists || []).includes(params.id))
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
+      .slice(0, 10)
+      .map((track) => this.track(track));
+
+    return { body: { tracks } };
+  }
+
+  /**
+   * GET /artists/:id/related-artists - the artists sharing a genre with the artist.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  relatedArtists({ params }) {
+    const artist = this.find('artists', params.id);
+    const genres = artist.genres || [];
+
+    const artists = Array.from(this.data.artists.values())
+      .filter(
+        (other) =>
+          other.id != artist.id &&
+          (other.genres || []).some((genre) => genres.includes(genre))
+      )
+      .map((other) => this.artist(other));
+
+    return { body: { artists } };
+  }
+
+  /**
+   * GET /albums/:id/tracks
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  albumTracks(request) {
+    this.find('albums', request.params.id);
+
+    const tracks = this.albumItems(request.params.id);
+    return { body: this.page(request, tracks, (t) => this.track(t, true)) };
+  }
+
+  /**
+   * GET /shows/:id/episodes
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  showEpisodes(request) {
+    this.find('shows', request.params.id);
+
+    const episodes = this.showItems(request.params.id);
+    return { body: this.page(request, episodes, (e) => this.episode(e, true)) };
+  }
+
+  /**
+   * GET /markets
+   * @returns {MockReply}
+   */
+  markets() {
+    return { body: { markets: this.marketList } };
+  }
+
+  /**
+   * GET /recommendations/available-genre-seeds
+   * @returns {MockReply}
+   */
+  genres() {
+    return { body: { genres: this.genreSeeds } };
+  }
+
+  /**
+   * GET /me/:type - the items saved in the user's library.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  library(request) {
+    const { type } = request.params;
+    const key = type.slice(0, -1);
+
+    const items = this.saved[type].filter(({ id }) => this.data[type].has(id));
+
+    return {
+      body: this.page(request, items, ({ id, added_at }) => ({
+        added_at,
+        [key]: this.structure(type, this.data[type].get(id)),
+      })),
+    };
+  }
+
+  /**
+   * PUT /me/:type - saves items to the user's library.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  save(request) {
+    const { type } = request.params;
+    const ids = this.ids(request);
+    const added_at = new Date().toISOString();
+
+    ids.forEach((id) => this.find(type, id));
+
+    ids
+      .filter((id) => !this.saved[type].some((item) => item.id == id))
+      .forEach((id) => this.saved[type].unshift({ id, added_at }));
+
+    return { status: 200 };
+  }
+
+  /**
+   * DELETE /me/:type - removes items from the user's library.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  unsave(request) {
+    const { type } = request.params;
+    const ids = this.ids(request);
+
+    this.saved[type] = this.saved[type].filter(({ id }) => !ids.includes(id));
+    return { status: 200 };
+  }
+
+  /**
+   * GET /me/:type/contains - if items are saved in the user's library.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  contains(request) {
+    const { type } = request.params;
+    const ids = this.ids(request);
+
+    return {
+      body: ids.map((id) => this.saved[type].some((item) => item.id == id)),
+    };
+  }
+
+  /**
+   * GET /me/top/:type - the user's top artists or tracks, by popularity.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  top(request) {
+    const { type } = request.params;
+
+    if (
+      !['short_term', 'medium_term', 'long_term'].includes(
+        request.query.time_range || 'medium_term'
+      )
+    ) {
+      this.throw(400, 'Invalid time range');
+    }
+
+    const items = Array.from(this.data[type].values()).sort(
+      (a, b) => (b.popularity || 0) - (a.popularity || 0)
+    );
+
+    return {
+      body: this.page(request, items, (item) => this.structure(type, item)),
+    };
+  }
+
+  /**
+   * Get the list of the type of a following request - throws a 400 for other types.
+   * @param {MockRequest} request - The request.
+   * @param {string[]} [types] - The types accepted.
+   * @returns {string}
+   */
+  followType(request, types = ['artist', 'user']) {
+    const { type } = request.query;
+
+    if (!types.includes(type)) {
+      this.throw(400, 'Bad request: invalid type');
+    }
+
+    return LISTS[type];
+  }
+
+  /**
+   * GET /me/following - the artists followed by the user, as a cursor page.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  following(request) {
+    const list = this.followType(request, ['artist']);
+    const { limit } = this.range(request);
+    const ids = this.followed[list];
+
+    const start = request.query.after
+      ? ids.indexOf(request.query.after) + 1
+      : 0;
+
+    const items = ids.slice(start, start + limit);
+    const last = items[items.length - 1];
+    const more = start + limit < ids.length;
+
+    const link = (after) =>
+      API +
+      '/me/following?' +
+      qs.stringify(
+        Object.assign({ type: 'artist', limit }, after ? { after } : {})
+      );
+
+    return {
+      body: {
+        [list]: {
+          href: link(request.query.after),
+          items: items.map((id) => this.artist(this.reference(list, id))),
+          limit,
+          next: more ? link(last) : null,
+          cursors: { after: more ? last : null },
+          total: ids.length,
+        },
+      },
+    };
+  }
+
+  /**
+   * PUT /me/following - follows artists or users.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  follow(request) {
+    const list = this.followType(request);
+    const ids = this.ids(request);
+
+    ids.forEach((id) => this.find(list, id));
+    ids
+      .filter((id) => !this.followed[list].includes(id))
+      .forEach((id) => this.followed[list].push(id));
+
+    return { status: 204 };
+  }
+
+  /**
+   * DELETE /me/following - unfollows artists or users.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  unfollow(request) {
+    const list = this.followType(request);
+    const ids = this.ids(request);
+
+    this.followed[list] = this.followed[list].filter((id) => !ids.includes(id));
+    return { status: 204 };
+  }
+
+  /**
+   * GET /me/following/contains - if the user follows artists or users.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  followingContains(request) {
+    const list = this.followType(request);
+    const ids = this.ids(request);
+
+    return { body: ids.map((id) => this.followed[list].includes(id)) };
+  }
+
+  /**
+   * GET /playlists/:id
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  playlist({ params }) {
+    return { body: this.playlistObject(this.find('playlists', params.id)) };
+  }
+
+  /**
+   * Get a playlist the user can change - throws a 403 for the playlists of other users.
+   * @param {string} id - The id of the playlist.
+   * @returns {object}
+   */
+  editable(id) {
+    const playlist = this.find('playlists', id);
+
+    if (playlist.owner != this.user.id && !playlist.collaborative) {
+      this.throw(403, 'You cannot modify a playlist of another user');
+    }
+
+    return playlist;
+  }
+
+  /**
+   * PUT /playlists/:id - changes the details of a playlist.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  updatePlaylist({ params, body }) {
+    const playlist = this.editable(params.id);
+
+    ['name', 'description', 'public', 'collaborative']
+      .filter((key) => body[key] !== undefined)
+      .forEach((key) => (playlist[key] = body[key]));
+
+    return { status: 200 };
+  }
+
+  /**
+   * GET /playlists/:id/tracks
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  playlistTracks(request) {
+    const playlist = this.find('playlists', request.params.id);
+
+    return {
+      body: this.page(
+        request,
+        playlist.tracks,
+        (item) => this.playlistItem(item),
+        100
+      ),
+    };
+  }
+
+  /**
+   * Get the uris of a request to add or replace the items of a playlist - a list in the body or separated by commas in the query.
+   * @param {MockRequest} request - The request.
+   * @returns {string[]}
+   */
+  uris(request) {
+    const { body, query } = request;
+    let uris = body.uris || (query.uris ? query.uris.split(',') : []);
+
+    if (!Array.isArray(uris)) {
+      this.throw(400, 'Invalid uris - expected a list in the body');
+    }
+
+    uris = uris.filter(Boolean);
+
+    if (uris.length > 100) {
+      this.throw(400, 'You can add a maximum of 100 tracks per request.');
+    }
+
+    uris.forEach((uri) => {
+      const [, type] = uri.split(':');
+
+      if (!['track', 'episode'].includes(type) || !this.item(uri)) {
+        this.throw(400, 'Invalid track uri: ' + uri);
+      }
+    });
+
+    return uris;
+  }
+
+  /**
+   * POST /playlists/:id/tracks - adds items to a playlist.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  addTracks(request) {
+    const playlist = this.editable(request.params.id);
+    const uris = this.uris(request);
+    const position = request.body.position ?? request.query.position;
+    const index =
+      position === undefined ? playlist.tracks.length : Number(position);
+
+    if (!uris.length) {
+      this.throw(400, 'Missing required field: uris');
+    } else if (!(index >= 0 && index <= playlist.tracks.length)) {
+      this.throw(400, 'Index out of bounds');
+    }
+
+    const added_at = new Date().toISOString();
+    const items = uris.map((uri) => ({
+      uri,
+      added_at,
+      added_by: this.user.id,
+    }));
+
+    playlist.tracks.splice(index, 0, ...items);
+    playlist.snapshot++;
+
+    return { status: 201, body: { snapshot_id: this.snapshot(playlist) } };
+  }
+
+  /**
+   * PUT /playlists/:id/tracks - replaces the items of a playlist with uris, or reorders them.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  replaceTracks(request) {
+    const playlist = this.editable(request.params.id);
+    const { range_start, insert_before, range_length = 1 } = request.body;
+
+    if (range_start === undefined) {
+      const added_at = new Date().toISOString();
+
+      playlist.tracks = this.uris(request).map((uri) => ({
+        uri,
+        added_at,
+        added_by: this.user.id,
+      }));
+    } else {
+      const length = playlist.tracks.length;
+
+      if (
+        !(range_start >= 0 && range_start + range_length <= length) ||
+        !(insert_before >= 0 && insert_before <= length)
+      ) {
+        this.throw(400, 'Index out of bounds');
+      }
+
+      const moved = playlist.tracks.splice(range_start, range_length);
+      const before =
+        insert_before > range_start
+          ? insert_before - range_length
+          : insert_before;
+
+      playlist.tracks.splice(before, 0, ...moved);
+    }
+
+    playlist.snapshot++;
+    return { body: { snapshot_id: this.snapshot(playlist) } };
+  }
+
+  /**
+   * DELETE /playlists/:id/tracks - removes every occurrence of items from a playlist.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  removeTracks(request) {
+    const playlist = this.editable(request.params.id);
+    const { tracks, snapshot_id } = request.body;
+
+    if (snapshot_id && snapshot_id != this.snapshot(playlist)) {
+      this.throw(400, 'Invalid snapshot id');
+    } else if (!Array.isArray(tracks) || !tracks.length) {
+      this.throw(400, 'Missing required field: tracks');
+    } else if (tracks.length > 100) {
+      this.throw(400, 'You can remove a maximum of 100 tracks per request.');
+    }
+
+    const uris = tracks.map((track) => track.uri);
+
+    playlist.tracks = playlist.tracks.filter(
+      (item) => !uris.includes(item.uri)
+    );
+    playlist.snapshot++;
+
+    return { body: { snapshot_id: this.snapshot(playlist) } };
+  }
+
+  /**
+   * PUT /playlists/:id/followers
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  followPlaylist({ params }) {
+    this.find('playlists', params.id);
+
+    if (!this.followed.playlists.includes(params.id)) {
+      this.followed.playlists.push(params.id);
+    }
+
+    return { status: 200 };
+  }
+
+  /**
+   * DELETE /playlists/:id/followers
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  unfollowPlaylist({ params }) {
+    this.find('playlists', params.id);
+
+    this.followed.playlists = this.followed.playlists.filter(
+      (id) => id != params.id
+    );
+
+    return { status: 200 };
+  }
+
+  /**
+   * GET /playlists/:id/followers/contains - if users follow a playlist, only known for the current user.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  followsPlaylist(request) {
+    const { id } = request.params;
+    this.find('playlists', id);
+
+    const ids = this.ids(request, 5);
+
+    return {
+      body: ids.map(
+        (user) => user == this.user.id && this.followed.playlists.includes(id)
+      ),
+    };
+  }
+
+  /**
+   * GET /playlists/:id/images
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  images({ params }) {
+    const playlist = this.find('playlists', params.id);
+    return { body: playlist.images || [] };
+  }
+
+  /**
+   * PUT /playlists/:id/images - replaces the cover of a playlist with a base64 encoded jpeg.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  uploadImage(request) {
+    const playlist = this.editable(request.params.id);
+    const image = request.body;
+
+    if (typeof image != 'string' || !/^[A-Za-z0-9+/]+=*$/.test(image)) {
+      this.throw(400, 'Image not valid base64');
+    } else if (image.length > 256000) {
+      this.throw(413, 'Image too large');
+    }
+
+    playlist.images = [
+      { url: 'data:image/jpeg;base64,' + image, height: null, width: null },
+    ];
+
+    return { status: 202 };
+  }
+
+  /**
+   * Creates the object of a browse category.
+   * @param {object} category - The category from the fixtures.
+   * @returns {object}
+   */
+  categoryObject(category) {
+    return {
+      href: API + '/browse/categories/' + category.id,
+      icons: category.icons || [],
+      id: category.id,
+      name: category.name,
+    };
+  }
+
+  /**
+   * GET /browse/categories
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  categories(request) {
+    const categories = Array.from(this.data.categories.values());
+
+    return {
+      body: {
+        categories: this.page(request, categories, (c) =>
+          this.categoryObject(c)
+        ),
+      },
+    };
+  }
+
+  /**
+   * GET /browse/categories/:id
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  category({ params }) {
+    return { body: this.categoryObject(this.find('categories', params.id)) };
+  }
+
+  /**
+   * Creates a page of playlists from their ids.
+   * @param {MockRequest} request - The request.
+   * @param {string[]} ids - The ids of the playlists.
+   * @returns {object}
+   */
+  playlistPage(request, ids) {
+    const playlists = ids
+      .filter((id) => this.data.playlists.has(id))
+      .map((id) => this.data.playlists.get(id));
+
+    return this.page(request, playlists, (p) => this.playlistObject(p, true));
+  }
+
+  /**
+   * GET /browse/categories/:id/playlists
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  categoryPlaylists(request) {
+    const category = this.find('categories', request.params.id);
+
+    return {
+      body: {
+        playlists: this.playlistPage(request, category.playlists || []),
+      },
+    };
+  }
+
+  /**
+   * GET /browse/featured-playlists
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  featured(request) {
+    return {
+      body: {
+        message: 'Featured playlists',
+        playlists: this.playlistPage(request, this.featuredPlaylists),
+      },
+    };
+  }
+
+  /**
+   * GET /browse/new-releases - the albums, newest first.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  newReleases(request) {
+    const albums = Array.from(this.data.albums.values()).sort((a, b) =>
+      String(b.release_date || '').localeCompare(a.release_date || '')
+    );
+
+    return {
+      body: {
+        albums: this.page(request, albums, (album) => this.album(album, true)),
+      },
+    };
+  }
+
+  /**
+   * GET /search - matches the words and field filters of the query against the names of the items.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  search(request) {
+    const { q, type } = request.query;
+
+    if (!q) {
+      this.throw(400, 'No search query');
+    } else if (!type) {
+      this.throw(400, 'Missing parameter type');
+    }
+
+    const types = type.split(',');
+
+    if (!types.every((type) => SEARCH.includes(type))) {
+      this.throw(400, 'Bad search type field ' + type);
+    }
+
+    const terms = [];
+    const pattern = /(NOT\s+)?(?:(\w+):)?("[^"]*"|\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(q))) {
+      terms.push({
+        negated: Boolean(match[1]),
+        filter: match[2] || 'text',
+        value: match[3].replace(/"/g, '').toLowerCase(),
+      });
+    }
+
+    const body = {};
+
+    types.forEach((type) => {
+      const list = LISTS[type];
+
+      const items = Array.from(this.data[list].values()).filter((item) => {
+        const fields = this.fields(type, item);
+
+        return terms.every(({ negated, filter, value }) => {
+          const matches = this.matches(fields[filter], filter, value);
+          return negated ? !matches : matches;
+        });
+      });
+
+      body[list] = this.page(request, items, (item) =>
+        this.structure(list, item, list != 'tracks' && list != 'artists')
+      );
+    });
+
+    return { body };
+  }
+
+  /**
+   * Get the values of an item which every field filter of a search is matched against.
+   * @param {string} type - The type of the item.
+   * @param {object} item - The item from the fixtures.
+   * @returns {Object<string, Array<string|number>>}
+   */
+  fields(type, item) {
+    const artists = (ids = []) =>
+      ids.map((id) => this.reference('artists', id));
+    const year = (date) => (date ? [Number(String(date).slice(0, 4))] : []);
+
+    if (type == 'track') {
+      const album = this.reference('albums', item.album);
+      const by = artists(item.artists);
+      const names = by.map((artist) => artist.name);
+
+      return {
+        text: [item.name, album.name].concat(names),
+        track: [item.name],
+        album: [album.name],
+        artist: names,
+        year: year(album.release_date),
+        genre: [].concat(...by.map((artist) => artist.genres || [])),
+        isrc: [item.isrc],
+      };
+    } else if (type == 'album') {
+      const names = artists(item.artists).map((artist) => artist.name);
+      const released = Date.parse(item.release_date);
+      const tags = [];
+
+      if (Date.now() - released < 14 * 86400000) {
+        tags.push('new');
+      }
+
+      if ((item.popularity || 0) <= 10) {
+        tags.push('hipster');
+      }
+
+      return {
+        text: [item.name].concat(names),
+        album: [item.name],
+        artist: names,
+        year: year(item.release_date),
+        upc: [item.upc],
+        tag: tags,
+      };
+    } else if (type == 'artist') {
+      return {
+        text: [item.name],
+        artist: [item.name],
+        genre: item.genres || [],
+      };
+    }
+
+    return { text: [item.name] };
+  }
+
+  /**
+   * Checks if a term of a search matches the values of a field.
+   * @param {Array<string|number>} [values] - The values of the field - none when the field can't be searched for the type.
+   * @param {string} filter - The field filter.
+   * @param {string} value - The value of the term, in lowercase.
+   * @returns {boolean}
+   */
+  matches(values = [], filter, value) {
+    if (filter == 'year') {
+      const [from, to = from] = value.split('-').map(Number);
+      return values.some((year) => year >= from && year <= to);
+    }
+
+    return values.some((field) =>
+      String(field || '')
+        .toLowerCase()
+        .includes(value)
+    );
+  }
+
+  /**
+   * Get the position in milliseconds in the item being played.
+   * @returns {number}
+   */
+  progress() {
+    const { playing, position, since } = this.playback;
+    const item = this.item(this.playback.items[this.playback.index]);
+    const progress = position + (playing ? Date.now() - since : 0);
+
+    return item ? Math.min(progress, item.duration_ms) : 0;
+  }
+
+  /**
+   * Moves the playback to a position - the progress continues from it while playing.
+   * @param {number} [position] - The position in milliseconds - the current one by default.
+   * @returns {void}
+   */
+  hold(position = this.progress()) {
+    this.playback.position = position;
+    this.playback.since = Date.now();
+  }
+
+  /**
+   * Moves the playback to an item of the playing list, adding it to the recently played items.
+   * @param {number} index - The index of the item.
+   * @returns {void}
+   */
+  go(index) {
+    const { playback } = this;
+
+    playback.index = index;
+    this.hold(0);
+
+    playback.history.unshift({
+      uri: playback.items[index],
+      context: playback.context,
+      played_at: new Date().toISOString(),
+    });
+
+    playback.history.splice(50);
+  }
+
+  /**
+   * Get the device a player command targets - throws when the user isn't premium or there's no such device.
+   * @param {MockRequest} request - The request.
+   * @returns {object}
+   */
+  target(request) {
+    if (this.user.product != 'premium') {
+      this.throw(
+        403,
+        'Player command failed: Premium required',
+        'PREMIUM_REQUIRED'
+      );
+    }
+
+    const id = request.query.device_id || this.playback.device;
+
+    if (!id) {
+      this.throw(
+        404,
+        'Player command failed: No active device found',
+        'NO_ACTIVE_DEVICE'
+      );
+    } else if (!this.data.devices.has(id)) {
+      this.throw(404, 'Device not found');
+    }
+
+    return this.data.devices.get(id);
+  }
+
+  /**
+   * Creates the object of a device.
+   * @param {object} device - The device from the fixtures.
+   * @returns {object}
+   */
+  device(device) {
+    return Object.assign(
+      {
+        is_private_session: false,
+        is_restricted: false,
+        supports_volume: true,
+        type: 'Computer',
+        volume_percent: 100,
+      },
+      device,
+      { is_active: this.playback.device == device.id }
+    );
+  }
+
+  /**
+   * Creates the object of the playback state - null while no device is active.
+   * @param {MockRequest} request - The request.
+   * @param {boolean} [current=false] - If it's the currently playing object, without the device.
+   * @returns {object|null}
+   */
+  playbackObject(request, current = false) {
+    const { playback } = this;
+
+    if (!playback.device) {
+      return null;
+    }
+
+    const uri = playback.items[playback.index];
+    const [, type = 'unknown'] = String(uri || '').split(':');
+    const types = String(request.query.additional_types || 'track').split(',');
+
+    const context = playback.context && {
+      type: playback.context.split(':')[1],
+      uri: playback.context,
+      href:
+        API +
+        '/' +
+        LISTS[playback.context.split(':')[1]] +
+        '/' +
+        playback.context.split(':')[2],
+      external_urls: {
+        spotify: OPEN + '/' + playback.context.split(':').slice(1).join('/'),
+      },
+    };
+
+    const state = {
+      timestamp: Date.now(),
+      context: context || null,
+      progress_ms: uri ? this.progress() : null,
+      is_playing: playback.playing,
+      /* Items of types the client doesn't support are left out, like spotify does */
+      item: uri && types.includes(type) ? this.item(uri) : null,
+      currently_playing_type: type,
+      actions: {
+        disallows: playback.playing ? { resuming: true } : { pausing: true },
+      },
+    };
+
+    if (current) {
+      return state;
+    }
+
+    return Object.assign(
+      {
+        device: this.device(this.data.devices.get(playback.device)),
+        repeat_state: playback.repeat,
+        shuffle_state: playback.shuffle,
+      },
+      state
+    );
+  }
+
+  /**
+   * GET /me/player - 204 while no device is active.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  state(request) {
+    const state = this.playbackObject(request);
+    return state ? { body: state } : { status: 204 };
+  }
+
+  /**
+   * GET /me/player/currently-playing - 204 while nothing is playing.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  current(request) {
+    const state = this.playbackObject(request, true);
+    return state && this.playback.items.length
+      ? { body: state }
+      : { status: 204 };
+  }
+
+  /**
+   * PUT /me/player - transfers the playback to a device.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  transfer(request) {
+    const ids = request.body.device_ids || [];
+
+    if (ids.length != 1) {
+      this.throw(400, 'Only one device id can be specified');
+    }
+
+    const device = this.target({ query: { device_id: ids[0] } });
+    const { playback } = this;
+
+    this.hold();
+    playback.device = device.id;
+
+    if (request.body.play && playback.items.length) {
+      playback.playing = true;
+    }
+
+    return { status: 204 };
+  }
+
+  /**
+   * GET /me/player/devices
+   * @returns {MockReply}
+   */
+  devices() {
+    const devices = Array.from(this.data.devices.values()).map((device) =>
+      this.device(device)
+    );
+
+    return { body: { devices } };
+  }
+
+  /**
+   * GET /me/player/recently-played - the recently played tracks, as a cursor page.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  recent(request) {
+    const { limit } = this.range(request);
+    const { after, before } = request.query;
+
+    const items = this.playback.history
+      .filter(({ uri }) => uri.startsWith('spotify:track:'))
+      .filter(({ played_at }) => {
+        const time = Date.parse(played_at);
+        return (!after || time > after) && (!before || time < before);
+      })
+      .slice(0, limit);
+
+    const times = items.map(({ played_at }) => String(Date.parse(played_at)));
+
+    return {
+      body: {
+        href: request.url,
+        items: items.map(({ uri, context, played_at }) => ({
+          track: this.item(uri),
+          played_at,
+          context: context
+            ? { type: context.split(':')[1], uri: context }
+            : null,
+        })),
+        limit,
+        next: null,
+        cursors: items.length
+          ? { after: times[0], before: times[times.length - 1] }
+          : null,
+      },
+    };
+  }
+
+  /**
+   * GET /me/player/queue
+   * @returns {MockReply}
+   */
+  queue() {
+    const { playback } = this;
+
+    return {
+      body: {
+        currently_playing: playback.device
+          ? this.item(playback.items[playback.index])
+          : null,
+        queue: playback.queue
+          .concat(playback.items.slice(playback.index + 1))
+          .map((uri) => this.item(uri)),
+      },
+    };
+  }
+
+  /**
+   * POST /me/player/queue - adds an item to the queue.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  enqueue(request) {
+    this.target(request);
+
+    const { uri } = request.query;
+
+    if (!uri || !this.item(uri)) {
+      this.throw(400, 'Invalid uri');
+    }
+
+    this.playback.queue.push(uri);
+    return { status: 204 };
+  }
+
+  /**
+   * Get the uris of the items of a context.
+   * @param {string} uri - The uri of the album, artist, playlist or show.
+   * @returns {string[]}
+   */
+  context(uri) {
+    const [, type, id] = String(uri).split(':');
+    const list = LISTS[type];
+
+    if (!['album', 'artist', 'playlist', 'show'].includes(type)) {
+      this.throw(400, 'Invalid context uri');
+    }
+
+    const item = this.find(list, id);
+
+    if (type == 'playlist') {
+      return item.tracks.map((track) => track.uri);
+    } else if (type == 'show') {
+      return this.showItems(id).map(
+        (episode) => 'spotify:episode:' + episode.id
+      );
+    } else if (type == 'artist') {
+      return this.topTracks({ params: { id } }).body.tracks.map((t) => t.uri);
+    }
+
+    return this.albumItems(id).map((track) => 'spotify:track:' + track.id);
+  }
+
+  /**
+   * PUT /me/player/play - starts a context or a list of items, or resumes the playback.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  play(request) {
+    const device = this.target(request);
+    const { playback } = this;
+    const { context_uri, uris, offset = {}, position_ms = 0 } = request.body;
+
+    if (context_uri || uris) {
+      const items = context_uri ? this.context(context_uri) : uris;
+
+      if (uris && !uris.every((uri) => this.item(uri))) {
+        this.throw(400, 'Invalid track uri');
+      }
+
+      const index =
+        offset.uri !== undefined
+          ? items.indexOf(offset.uri)
+          : Number(offset.position || 0);
+
+      if (!(index >= 0 && index < items.length)) {
+        this.throw(404, 'Player command failed: Offset out of bounds');
+      }
+
+      playback.context = context_uri || null;
+      playback.items = items;
+      playback.queue = [];
+      playback.device = device.id;
+      playback.playing = true;
+
+      this.go(index);
+      this.hold(Number(position_ms) || 0);
+    } else if (!playback.items.length) {
+      this.throw(403, 'Player command failed: Restriction violated', 'UNKNOWN');
+    } else {
+      this.hold();
+      playback.device = device.id;
+      playback.playing = true;
+    }
+
+    return { status: 204 };
+  }
+
+  /**
+   * PUT /me/player/pause
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  pause(request) {
+    this.target(request);
+
+    if (!this.playback.playing) {
+      this.throw(
+        403,
+        'Player command failed: Already paused',
+        'ALREADY_PAUSED'
+      );
+    }
+
+    this.hold();
+    this.playback.playing = false;
+
+    return { status: 204 };
+  }
+
+  /**
+   * POST /me/player/next - skips to the next item of the queue or the playing list.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  next(request) {
+    this.target(request);
+
+    const { playback } = this;
+
+    if (playback.queue.length) {
+      playback.items.splice(playback.index + 1, 0, playback.queue.shift());
+    }
+
+    let index = playback.index + 1;
+
+    if (index >= playback.items.length) {
+      if (playback.repeat != 'context' || !playback.items.length) {
+        this.throw(
+          403,
+          'Player command failed: No next track',
+          'NO_NEXT_TRACK'
+        );
+      }
+
+      index = 0;
+    }
+
+    playback.playing = true;
+    this.go(index);
+
+    return { status: 204 };
+  }
+
+  /**
+   * POST /me/player/previous - skips to the previous item of the playing list.
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  previous(request) {
+    this.target(request);
+
+    const { playback } = this;
+    let index = playback.index - 1;
+
+    if (index < 0) {
+      if (playback.repeat != 'context' || !playback.items.length) {
+        this.throw(
+          403,
+          'Player command failed: No previous track',
+          'NO_PREV_TRACK'
+        );
+      }
+
+      index = playback.items.length - 1;
+    }
+
+    playback.playing = true;
+    this.go(index);
+
+    return { status: 204 };
+  }
+
+  /**
+   * PUT /me/player/seek
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  seek(request) {
+    this.target(request);
+
+    const position = Number(request.query.position_ms);
+
+    if (!Number.isInteger(position) || position < 0) {
+      this.throw(400, 'Missing or invalid position_ms');
+    }
+
+    const item = this.item(this.playback.items[this.playback.index]);
+    this.hold(item ? Math.min(position, item.duration_ms) : 0);
+
+    return { status: 204 };
+  }
+
+  /**
+   * PUT /me/player/repeat
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  repeat(request) {
+    this.target(request);
+
+    if (!REPEAT.includes(request.query.state)) {
+      this.throw(400, 'Invalid repeat state');
+    }
+
+    this.playback.repeat = request.query.state;
+    return { status: 204 };
+  }
+
+  /**
+   * PUT /me/player/volume
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  volume(request) {
+    const device = this.target(request);
+    const volume = Number(request.query.volume_percent);
+
+    if (!Number.isInteger(volume) || volume < 0 || volume > 100) {
+      this.throw(400, 'Invalid volume_percent');
+    } else if (device.supports_volume === false) {
+      /* prettier-ignore */
+      this.throw(403, 'Player command failed: Cannot control device volume', 'VOLUME_CONTROL_DISALLOW');
+    }
+
+    device.volume_percent = volume;
+    return { status: 204 };
+  }
+
+  /**
+   * PUT /me/player/shuffle
+   * @param {MockRequest} request - The request.
+   * @returns {MockReply}
+   */
+  shuffle(request) {
+    this.target(request);
+
+    const { state } = request.query;
+
+    if (state != 'true' && state != 'false') {
+      this.throw(400, 'Invalid shuffle state');
+    }
+
+    this.playback.shuffle = state == 'true';
+    return { status: 204 };
+  }
+}
+
+MockSpotify.fixtures = fixtures;
+
+module.exports = MockSpotify;
+
+/**
+ * @typedef {Object} MockOptions
+ * @property {Fixtures} [fixtures] - The data the mock is seeded with - the default fixtures by default.
+ * @property {string[]|null} [tokens=['mock-token']] - The access tokens the mock accepts - null accepts any token. Tokens issued by the mock's token endpoint are added.
+ */
+
+/**
+ * @typedef {Object} FailOptions
+ * @property {string} [message] - The message of the error.
+ * @property {string} [reason] - The reason of a player error. eg: NO_ACTIVE_DEVICE
+ * @property {Object<string, string>} [headers] - The headers of the response - a 429 has a Retry-After of 1 second by default.
+ * @property {number} [times=1] - The number of requests answered with the error.
+ * @property {string|RegExp} [path] - Only fail the requests to endpoints starting with, or matching, it. eg: '/me/player'
+ */
+
+/**
+ * @typedef {Object} MockFailure
+ * @property {number} status - The status of the error response.
+ * @property {string} [message] - The message of the error.
+ * @property {string} [reason] - The reason of a player error.
+ * @property {Object<string, string>} headers - The headers of the response.
+ * @property {number} times - The number of requests left to answer with the error.
+ * @property {string|RegExp} [path] - The endpoints the failure applies to.
+ */
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string} method - The method of the request, in lowercase.
+ * @property {string} path - The endpoint, without the base url. eg: /tracks/4u7EnebtmKWzUH433cf5Qv
+ * @property {object} query - The query parameters.
+ * @property {object|string} body - The parsed body - bodies which aren't json or a form are kept as a string.
+ * @property {node-fetch#Headers} headers - The headers.
+ * @property {object} params - The parameters of the route. eg: { id: '4u7EnebtmKWzUH433cf5Qv' }
+ * @property {string} url - The url of the request.
+ */
+
+/**
+ * @typedef {Object} MockReply
+ * @property {number} [status=200] - The status of the response.
+ * @property {object|Array|null} [body=null] - The body of the response - null for no content.
+ * @property {Object<string, string>} [headers] - The headers of the response.
+ */
+
+/**
+ * @typedef {Object} MockPlayback
+ * @property {string|null} device - The id of the active device.
+ * @property {boolean} playing - If the playback is playing.
+ * @property {string|null} context - The uri of the context being played.
+ * @property {string[]} items - The uris of the items of the playing list.
+ * @property {number} index - The index of the item being played.
+ * @property {number} position - The position in milliseconds in the item at `since`.
+ * @property {number} since - The timestamp in milliseconds the position was set at.
+ * @property {boolean} shuffle - If shuffle is on.
+ * @property {RepeatStates} repeat - The repeat mode.
+ * @property {string[]} queue - The uris of the items queued.
+ * @property {Array<{uri: string, context: string|null, played_at: string}>} history - The items played, most recent first.
+ */
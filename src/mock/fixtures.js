@@ -0,0 +1,188 @@
+/**
+ * The data the mock api is seeded with by default - a small catalog, a user with a library and a playlist, and an idle player.
+ * Items refer to each other by id. eg: a track's album and artists.
+ * @type {Fixtures}
+ */
+module.exports = {
+  user: {
+    id: 'mockuser',
+    display_name: 'Mock User',
+    country: 'GB',
+    product: 'premium',
+    email: 'mock@example.com',
+  },
+
+  users: [{ id: 'otheruser', display_name: 'Other User' }],
+
+  artists: [
+    {
+      id: '0oSGxfWSnnOXhD2fKuz2Gy',
+      name: 'David Bowie',
+      genres: ['art rock', 'glam rock'],
+      popularity: 80,
+    },
+    {
+      id: '1dfeR4HaWDbWqFHLkxsg1d',
+      name: 'Queen',
+      genres: ['classic rock', 'glam rock'],
+      popularity: 85,
+    },
+  ],
+
+  albums: [
+    {
+      id: '48D1hRORqJq52qsnUYZX56',
+      name: 'The Rise and Fall of Ziggy Stardust and the Spiders from Mars',
+      album_type: 'album',
+      artists: ['0oSGxfWSnnOXhD2fKuz2Gy'],
+      release_date: '1972-06-16',
+      upc: '190295990320',
+    },
+    {
+      id: '6i6folBtxKV28WX3msQ4FE',
+      name: 'A Night at the Opera',
+      album_type: 'album',
+      artists: ['1dfeR4HaWDbWqFHLkxsg1d'],
+      release_date: '1975-11-21',
+      upc: '602547202727',
+    },
+  ],
+
+  tracks: [
+    {
+      id: '0pQskrTITgmCMyr85tb9qq',
+      name: 'Starman',
+      album: '48D1hRORqJq52qsnUYZX56',
+      artists: ['0oSGxfWSnnOXhD2fKuz2Gy'],
+      duration_ms: 254000,
+      track_number: 4,
+      popularity: 75,
+      isrc: 'USJT19900187',
+    },
+    {
+      id: '6wEHNDYYvmRBIVX1GWwQDF',
+      name: 'Ziggy Stardust',
+      album: '48D1hRORqJq52qsnUYZX56',
+      artists: ['0oSGxfWSnnOXhD2fKuz2Gy'],
+      duration_ms: 194000,
+      track_number: 9,
+      popularity: 68,
+      isrc: 'USJT19900192',
+    },
+    {
+      id: '4u7EnebtmKWzUH433cf5Qv',
+      name: 'Bohemian Rhapsody',
+      album: '6i6folBtxKV28WX3msQ4FE',
+      artists: ['1dfeR4HaWDbWqFHLkxsg1d'],
+      duration_ms: 354000,
+      track_number: 11,
+      popularity: 90,
+      isrc: 'GBUM71029604',
+    },
+    {
+      id: '1xVEqjt0dZ3Y3Bn3yZJ4bq',
+      name: 'Love of My Life',
+      album: '6i6folBtxKV28WX3msQ4FE',
+      artists: ['1dfeR4HaWDbWqFHLkxsg1d'],
+      duration_ms: 172000,
+      track_number: 9,
+      popularity: 72,
+      isrc: 'GBUM71029609',
+      available_markets: ['GB', 'SE'],
+    },
+  ],
+
+  shows: [
+    {
+      id: '5CfCWKI5pZ28U0uOzXkDHe',
+      name: 'Mock Radio',
+      publisher: 'Mock Media',
+      description: 'A show about mocking.',
+    },
+  ],
+
+  episodes: [
+    {
+      id: '512ojhOuo1ktJprKbVcKyQ',
+      name: 'Episode One',
+      show: '5CfCWKI5pZ28U0uOzXkDHe',
+      duration_ms: 1800000,
+      release_date: '2022-01-01',
+    },
+    {
+      id: '77o6BIVlYM3msb4MMIL1jH',
+      name: 'Episode Two',
+      show: '5CfCWKI5pZ28U0uOzXkDHe',
+      duration_ms: 2100000,
+      release_date: '2022-01-08',
+    },
+  ],
+
+  playlists: [
+    {
+      id: '3cEYpjA9oz9GiPac4AsH4n',
+      name: 'Mock Mix',
+      description: 'Songs to test to.',
+      owner: 'mockuser',
+      public: true,
+      collaborative: false,
+      tracks: [
+        'spotify:track:0pQskrTITgmCMyr85tb9qq',
+        'spotify:track:4u7EnebtmKWzUH433cf5Qv',
+      ],
+    },
+  ],
+
+  categories: [
+    { id: 'rock', name: 'Rock', playlists: ['3cEYpjA9oz9GiPac4AsH4n'] },
+  ],
+
+  featured: ['3cEYpjA9oz9GiPac4AsH4n'],
+
+  library: {
+    tracks: ['0pQskrTITgmCMyr85tb9qq'],
+    albums: ['6i6folBtxKV28WX3msQ4FE'],
+    shows: ['5CfCWKI5pZ28U0uOzXkDHe'],
+    episodes: [],
+  },
+
+  following: {
+    artists: ['1dfeR4HaWDbWqFHLkxsg1d'],
+    users: [],
+    playlists: [],
+  },
+
+  devices: [
+    {
+      id: 'mockdevice',
+      name: 'Mock Speaker',
+      type: 'Speaker',
+      is_active: false,
+      volume_percent: 50,
+    },
+  ],
+
+  markets: ['GB', 'SE', 'US'],
+
+  genres: ['art rock', 'classic rock', 'glam rock'],
+};
+
+/**
+ * Items refer to other items by their id. Every list and object is optional - the ones left out are empty.
+ * @typedef {Object} Fixtures
+ * @property {object} [user] - The current user.
+ * @property {object[]} [users] - Other users.
+ * @property {object[]} [artists] - The artists.
+ * @property {object[]} [albums] - The albums - `artists` holds the ids of their artists.
+ * @property {object[]} [tracks] - The tracks - `album` holds the id of their album and `artists` the ids of their artists. `available_markets` limits where they're playable, by default every market.
+ * @property {object[]} [shows] - The shows.
+ * @property {object[]} [episodes] - The episodes - `show` holds the id of their show.
+ * @property {object[]} [playlists] - The playlists - `owner` holds the id of their owner and `tracks` the uris of their items.
+ * @property {object[]} [categories] - The browse categories - `playlists` holds the ids of their playlists.
+ * @property {string[]} [featured] - The ids of the featured playlists.
+ * @property {Object<string, string[]>} [library] - The ids of the tracks, albums, shows and episodes saved by the current user.
+ * @property {Object<string, string[]>} [following] - The ids of the artists, users and playlists followed by the current user.
+ * @property {object[]} [devices] - The devices of the current user.
+ * @property {string[]} [markets] - The markets.
+ * @property {string[]} [genres] - The genre seeds.
+ */
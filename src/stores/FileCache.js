@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const write = require('./write.js');
+
+class FileCache {
+  /**
+   * Keeps cached responses in a directory, a JSON file for every response - responses survive restarts and are shared by processes using the same directory.
+   * @param {string} dir - The path of the directory.
+   */
+  constructor(dir) {
+    /**
+     * The path of the directory.
+     * @type {string}
+     */
+    this.dir = dir;
+  }
+
+  /**
+   * Get a cached response.
+   * @param {string} key - The url of the request.
+   * @returns {Promise<CachedResponse|null>}
+   */
+  get(key) {
+    return fs.promises.readFile(this.file(key), 'utf8').then(
+      (data) => JSON.parse(data),
+      (error) => {
+        if (error.code == 'ENOENT') {
+          return null;
+        }
+
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Cache a response.
+   * @param {string} key - The url of the request.
+   * @param {CachedResponse} entry - The response to cache.
+   * @returns {Promise<void>}
+   */
+  set(key, entry) {
+    return fs.promises
+      .mkdir(this.dir, { recursive: true })
+      .then(() => write(this.file(key), JSON.stringify(entry)));
+  }
+
+  /**
+   * Get the path of the file a response is cached in.
+   * @param {string} key - The url of the request.
+   * @returns {string}
+   */
+  file(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, hash + '.json');
+  }
+}
+
+module.exports = FileCache;
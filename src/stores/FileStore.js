@@ -0,0 +1,70 @@
+const fs = require('fs');
+const write = require('./write.js');
+
+class FileStore {
+  /**
+   * Keeps tokens in a JSON file - tokens survive restarts.
+   * Writes are only queued within the process, so processes writing the same file at once can lose each other's tokens - share a store such as redis between processes instead.
+   * @param {string} path - The path of the JSON file.
+   */
+  constructor(path) {
+    /**
+     * The path of the JSON file.
+     * @type {string}
+     */
+    this.path = path;
+
+    /**
+     * The last write to the file - writes wait for the one before, so none of them is lost.
+     * @type {Promise<void>}
+     */
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Get a saved token.
+   * @param {string} key - The key the token is saved under.
+   * @returns {Promise<StoredToken|null>}
+   */
+  get(key) {
+    return this.read().then((tokens) => tokens[key] || null);
+  }
+
+  /**
+   * Save a token.
+   * @param {string} key - The key to save the token under.
+   * @param {StoredToken} token - The token to save.
+   * @returns {Promise<void>}
+   */
+  set(key, token) {
+    const written = this.writing
+      .then(() => this.read())
+      .then((tokens) => {
+        tokens[key] = token;
+        return write(this.path, JSON.stringify(tokens, null, 2));
+      });
+
+    /* A failed write doesn't stop the writes after it */
+    this.writing = written.catch(() => null);
+    return written;
+  }
+
+  /**
+   * Reads every token from the file.
+   * @returns {Promise<Object<string, StoredToken>>}
+   */
+  read() {
+    return fs.promises.readFile(this.path, 'utf8').then(
+      (data) => JSON.parse(data),
+      (error) => {
+        if (error.code == 'ENOENT') {
+          return {};
+        }
+
+        throw error;
+      }
+    );
+  }
+}
+
+module.exports = FileStore;
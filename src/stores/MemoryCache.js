@@ -0,0 +1,66 @@
+class MemoryCache {
+  /**
+   * Keeps cached responses in memory - the least recently used responses are dropped once the cache is full.
+   * @param {number} [max=1000] - The maximum number of responses kept.
+   */
+  constructor(max = 1000) {
+    /**
+     * The maximum number of responses kept.
+     * @type {number}
+     */
+    this.max = max;
+
+    /**
+     * The cached responses mapped by their url, from the least to the most recently used.
+     * @type {Map<string, CachedResponse>}
+     */
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cached response.
+   * @param {string} key - The url of the request.
+   * @returns {Promise<CachedResponse|null>}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return Promise.resolve(null);
+    }
+
+    /* Moves the response to the end as the most recently used */
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return Promise.resolve(entry);
+  }
+
+  /**
+   * Cache a response.
+   * @param {string} key - The url of the request.
+   * @param {CachedResponse} entry - The response to cache.
+   * @returns {Promise<void>}
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return Promise.resolve();
+  }
+}
+
+module.exports = MemoryCache;
+
+/**
+ * Any object with `get` and `set` methods like the built-in caches can be used as a cache store.
+ * @typedef {Object} CachedResponse
+ * @property {string} body - The body of the response.
+ * @property {Array<string[]>} headers - The headers of the response as name and value pairs.
+ * @property {string|null} etag - The ETag of the response, sent back with `If-None-Match` to revalidate it.
+ * @property {number} expires_at - The timestamp in milliseconds until which the response is used without revalidating it.
+ */
@@ -0,0 +1,44 @@
+class MemoryStore {
+  /**
+   * Keeps tokens in memory - tokens are shared by the clients using the same store but lost on restart.
+   */
+  constructor() {
+    /**
+     * The tokens mapped by their key.
+     * @type {Map<string, StoredToken>}
+     */
+    this.tokens = new Map();
+  }
+
+  /**
+   * Get a saved token.
+   * @param {string} key - The key the token is saved under.
+   * @returns {Promise<StoredToken|null>}
+   */
+  get(key) {
+    return Promise.resolve(this.tokens.get(key) || null);
+  }
+
+  /**
+   * Save a token.
+   * @param {string} key - The key to save the token under.
+   * @param {StoredToken} token - The token to save.
+   * @returns {Promise<void>}
+   */
+  set(key, token) {
+    this.tokens.set(key, token);
+    return Promise.resolve();
+  }
+}
+
+module.exports = MemoryStore;
+
+/**
+ * Any object with `get` and `set` methods like the built-in stores can be used as a token store.
+ * @typedef {Object} StoredToken
+ * @property {string} access_token - The access token.
+ * @property {string|null} [refresh_token] - The refresh token.
+ * @property {number|null} [expires_at] - The timestamp in milliseconds when the access token expires.
+ * @property {string[]|null} [scopes] - The scopes granted to the access token.
+ * @property {string|null} [grant] - The grant type of the access token.
+ */
@@ -0,0 +1,28 @@
+const fs = require('fs');
+
+/* Numbers the temporary files of the process, so concurrent writes never share one */
+let count = 0;
+
+/**
+ * Writes a file atomically - the data is written to a temporary file which then replaces the file, so other processes never read a partial file.
+ * @param {string} file - The path of the file.
+ * @param {string} data - The data to write.
+ * @returns {Promise<void>}
+ */
+function write(file, data) {
+  const temp = file + '.' + process.pid + '.' + count++ + '.tmp';
+
+  return fs.promises
+    .writeFile(temp, data)
+    .then(() => fs.promises.rename(temp, file))
+    .catch((error) =>
+      fs.promises
+        .unlink(temp)
+        .catch(() => null)
+        .then(() => {
+          throw error;
+        })
+    );
+}
+
+module.exports = write;
@@ -10,6 +10,18 @@ class Album extends Base {
   constructor(spotify, data) {
     super(data);
 
+    /**
+     * The restrictions on the album - null when there are none. eg: `{ reason: 'market' }`
+     * @type {Restrictions|null}
+     */
+    this.restrictions = data.restrictions || null;
+
+    /**
+     * If the album is playable in the market of the request - null when the request had no market.
+     * @type {boolean|null}
+     */
+    this.is_playable = Base.playable(data);
+
     /**
      * The tracks of the album.
      * @type {Track[]|undefined}
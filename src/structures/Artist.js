@@ -52,11 +52,11 @@ class Artist extends Base {
 
   /**
    * Shortcut to get the top tracks of an artist.
-   * @param {string} country - An ISO 3166-1 alpha-2 country code.
+   * @param {MarketOptions} options
    * @returns {Promise<Track[]|HTTPError|ApiError>}
    */
-  top(country) {
-    return this.spotify.artists.top(this.id, country);
+  top(options = {}) {
+    return this.spotify.artists.top(this.id, options);
   }
 
   /**
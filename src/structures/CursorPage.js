@@ -0,0 +1,31 @@
+const Page = require('./Page.js');
+
+class CursorPage extends Page {
+  /**
+   * Represents a page of items which is paged with cursors instead of offsets.
+   * @param {Spotify} spotify - The spotify client.
+   * @param {object} body - The response body holding the paging object.
+   * @param {Function} structure - Creates the structure of an item.
+   * @param {string} [key] - The key of the paging object in the body. eg: 'artists' for followed artists.
+   * @extends {Page}
+   */
+  constructor(spotify, body, structure, key) {
+    super(spotify, body, structure, key);
+
+    const data = key ? body[key] : body;
+
+    /**
+     * The cursors used to find the next set of items.
+     * @type {Cursors}
+     */
+    this.cursors = data.cursors || {};
+  }
+}
+
+module.exports = CursorPage;
+
+/**
+ * @typedef {Object} Cursors
+ * @property {string} [after] - The cursor to use as key to find the next page of items.
+ * @property {string} [before] - The cursor to use as key to find the previous page of items.
+ */
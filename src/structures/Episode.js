@@ -10,6 +10,18 @@ class Episode extends Base {
   constructor(spotify, data) {
     super(data);
 
+    /**
+     * The restrictions on the episode - null when there are none. eg: `{ reason: 'explicit' }`
+     * @type {Restrictions|null}
+     */
+    this.restrictions = data.restrictions || null;
+
+    /**
+     * If the episode is playable in the market of the request - null when the request had no market.
+     * @type {boolean|null}
+     */
+    this.is_playable = Base.playable(data);
+
     /**
      * The spotify client.
      * @type {Spotify}
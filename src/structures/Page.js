@@ -0,0 +1,160 @@
+const HTTPError = require('../HTTPError.js');
+const ApiError = require('../ApiError.js');
+
+class Page extends Array {
+  /**
+   * Represents a page of items - the items are kept as the array while the paging information is kept as properties.
+   * @param {Spotify} spotify - The spotify client.
+   * @param {object} body - The response body holding the paging object.
+   * @param {Function} structure - Creates the structure of an item.
+   * @param {string} [key] - The key of the paging object in the body. eg: 'tracks' for search results.
+   * @extends {Array}
+   */
+  constructor(spotify, body, structure, key) {
+    super();
+
+    const data = key ? body[key] : body;
+    this.push(...data.items.map(structure));
+
+    /**
+     * The link to the Web API endpoint returning the full result of the request.
+     * @type {string}
+     */
+    this.href = data.href;
+
+    /**
+     * The total number of items available to return.
+     * @type {number|undefined}
+     */
+    this.total = data.total;
+
+    /**
+     * The maximum number of items in the response.
+     * @type {number}
+     */
+    this.limit = data.limit;
+
+    /**
+     * The offset of the items returned.
+     * @type {number|undefined}
+     */
+    this.offset = data.offset;
+
+    /**
+     * The url to the next page of items.
+     * @type {string|null}
+     */
+    this.nextPath = data.next;
+
+    /**
+     * The url to the previous page of items.
+     * @type {string|null}
+     */
+    this.previousPath = data.previous;
+
+    /**
+     * Creates the structure of an item.
+     * @type {Function}
+     */
+    this.structure = structure;
+
+    /**
+     * The key of the paging object in the response body.
+     * @type {string|undefined}
+     */
+    this.key = key;
+
+    /**
+     * The spotify client.
+     * @type {Spotify}
+     */
+    this.spotify = spotify;
+  }
+
+  /**
+   * Methods such as map and filter return plain arrays of the items.
+   * @type {ArrayConstructor}
+   */
+  static get [Symbol.species]() {
+    return Array;
+  }
+
+  /**
+   * The number of the page, starting from 1.
+   * @type {number|undefined}
+   */
+  get page() {
+    if (this.offset === undefined || !this.limit) {
+      return undefined;
+    }
+
+    return Math.floor(this.offset / this.limit) + 1;
+  }
+
+  /**
+   * The total number of pages.
+   * @type {number|undefined}
+   */
+  get pages() {
+    if (this.total === undefined || !this.limit) {
+      return undefined;
+    }
+
+    return Math.ceil(this.total / this.limit);
+  }
+
+  /**
+   * Get the next page of items.
+   * @returns {Promise<Page|null|HTTPError|ApiError>}
+   */
+  next() {
+    return this.request(this.nextPath);
+  }
+
+  /**
+   * Get the previous page of items.
+   * @returns {Promise<Page|null|HTTPError|ApiError>}
+   */
+  previous() {
+    return this.request(this.previousPath);
+  }
+
+  /**
+   * Requests another page of items - resolves null when there is no page.
+   * @param {string|null} path - The url of the page.
+   * @returns {Promise<Page|null|HTTPError|ApiError>}
+   */
+  request(path) {
+    if (!path) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.spotify.util
+        .fetch({
+          path,
+        })
+        .then((response) => {
+          return this.spotify.util.toJson(response).then((body) => {
+            if (body) {
+              if (response.status == 200) {
+                const Structure = this.constructor;
+                const page = new Structure(
+                  this.spotify,
+                  body,
+                  this.structure,
+                  this.key
+                );
+                return resolve(page);
+              }
+              reject(ApiError.from(body.error, response));
+            }
+            reject(new HTTPError(response));
+          });
+        })
+        .catch(reject);
+    });
+  }
+}
+
+module.exports = Page;
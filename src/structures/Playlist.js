@@ -16,7 +16,10 @@ class Playlist extends Base {
      * @type {Track[]|undefined}
      */
     if (data.tracks && data.tracks.items) {
-      this.tracks = data.tracks.items.map((t) => new Track(spotify, t));
+      this.tracks = data.tracks.items.map(
+        (t) =>
+          new Track(spotify, Object.assign({ added_at: t.added_at }, t.track))
+      );
     }
 
     /**
@@ -86,7 +89,7 @@ class Playlist extends Base {
    * @returns {Promise<boolean[]|HTTPError|ApiError>}
    */
   following(users) {
-    return this.spotify.playlists.following(this.id, users);
+    return this.spotify.playlists.followers(this.id, users);
   }
 
   /**
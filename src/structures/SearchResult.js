@@ -0,0 +1,91 @@
+const Page = require('./Page.js');
+const Track = require('./Track.js');
+const Album = require('./Album.js');
+const Artist = require('./Artist.js');
+const Playlist = require('./Playlist.js');
+const Show = require('./Show.js');
+const Episode = require('./Episode.js');
+
+/* The structures of the items for every type which can be searched for */
+const STRUCTURES = {
+  track: Track,
+  album: Album,
+  artist: Artist,
+  playlist: Playlist,
+  show: Show,
+  episode: Episode,
+};
+
+class SearchResult {
+  /**
+   * Represents the result of a search - a page of items for every type searched for.
+   * @param {Spotify} spotify - The spotify client.
+   * @param {object} body - The response body of the search.
+   */
+  constructor(spotify, body) {
+    Object.entries(STRUCTURES).forEach(([type, Structure]) => {
+      const key = type + 's';
+
+      if (body[key]) {
+        this[key] = new Page(
+          spotify,
+          body,
+          (x) => new Structure(spotify, x),
+          key
+        );
+      }
+    });
+
+    /**
+     * The tracks found - only set when tracks were searched for.
+     * @name SearchResult#tracks
+     * @type {Page<Track>|undefined}
+     */
+
+    /**
+     * The albums found - only set when albums were searched for.
+     * @name SearchResult#albums
+     * @type {Page<Album>|undefined}
+     */
+
+    /**
+     * The artists found - only set when artists were searched for.
+     * @name SearchResult#artists
+     * @type {Page<Artist>|undefined}
+     */
+
+    /**
+     * The playlists found - only set when playlists were searched for.
+     * @name SearchResult#playlists
+     * @type {Page<Playlist>|undefined}
+     */
+
+    /**
+     * The shows found - only set when shows were searched for.
+     * @name SearchResult#shows
+     * @type {Page<Show>|undefined}
+     */
+
+    /**
+     * The episodes found - only set when episodes were searched for.
+     * @name SearchResult#episodes
+     * @type {Page<Episode>|undefined}
+     */
+
+    /**
+     * The spotify client.
+     * @type {Spotify}
+     */
+    this.spotify = spotify;
+  }
+
+  /**
+   * The types which can be searched for.
+   * @type {string[]}
+   */
+  static get types() {
+    return Object.keys(STRUCTURES);
+  }
+}
+
+module.exports = SearchResult;
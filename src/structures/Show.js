@@ -56,7 +56,7 @@ class Show extends Base {
    * @returns {Promise<boolean[]|HTTPError|ApiError>}
    */
   starred() {
-    return this.spotify.tracks.starred(this.id);
+    return this.spotify.shows.starred(this.id);
   }
 }
 
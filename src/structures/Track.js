@@ -31,6 +31,24 @@ class Track extends Base {
      * @type {Audio}
      */
     this.audio = new Audio(spotify, data);
+
+    /**
+     * The restrictions on the track - null when there are none. eg: `{ reason: 'market' }`
+     * @type {Restrictions|null}
+     */
+    this.restrictions = data.restrictions || null;
+
+    /**
+     * If the track is playable in the market of the request - null when the request had no market.
+     * @type {boolean|null}
+     */
+    this.is_playable = Base.playable(data);
+
+    /**
+     * The track which was requested, when spotify relinked it to this track for the market - null when it wasn't relinked.
+     * @type {LinkedTrack|null}
+     */
+    this.linked_from = data.linked_from || null;
   }
 
   /**
@@ -68,3 +86,17 @@ class Track extends Base {
 }
 
 module.exports = Track;
+
+/**
+ * @typedef {Object} Restrictions
+ * @property {string} reason - Why the item is restricted - 'market', 'product' or 'explicit'.
+ */
+
+/**
+ * @typedef {Object} LinkedTrack
+ * @property {object} external_urls - The known external urls of the track.
+ * @property {string} href - A link to the web api endpoint with the details of the track.
+ * @property {string} id - The Spotify ID of the track.
+ * @property {string} type - The object type - 'track'.
+ * @property {string} uri - The Spotify URI of the track.
+ */
@@ -0,0 +1,220 @@
+const fetch = require('node-fetch');
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, stub } = require('./helpers.js');
+const {
+  ApiError,
+  HTTPError,
+  UnauthorizedError,
+  ForbiddenError,
+  PremiumRequiredError,
+  NotFoundError,
+  NoActiveDeviceError,
+  RateLimitError,
+  ServerError,
+} = require('../src/index.js');
+
+/* Sends every request once */
+const ONCE = { retry: { attempts: 1 } };
+
+describe('ApiError', () => {
+  it('carries the request, the status, the reason and the headers', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(spotify.player.pause(), (e) => {
+      assert.ok(e instanceof NoActiveDeviceError);
+      assert.ok(e instanceof NotFoundError);
+      assert.ok(e instanceof ApiError);
+      assert.strictEqual(e.method, 'PUT');
+      assert.match(
+        e.path,
+        /^https:\/\/api\.spotify\.com\/v1\/me\/player\/pause/
+      );
+      assert.strictEqual(e.status, 404);
+      assert.strictEqual(e.reason, 'NO_ACTIVE_DEVICE');
+      assert.strictEqual(
+        e.headers.get('content-type'),
+        'application/json; charset=utf-8'
+      );
+      return true;
+    });
+  });
+
+  it('is a NotFoundError for a missing item', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(spotify.albums.get('xxx'), (e) => {
+      assert.ok(e instanceof NotFoundError);
+      assert.ok(!(e instanceof NoActiveDeviceError));
+      return true;
+    });
+  });
+
+  it('is an UnauthorizedError for a token which is not accepted', async () => {
+    const { spotify } = client({}, {}, 'xxx');
+
+    await assert.rejects(spotify.users.me(), UnauthorizedError);
+  });
+
+  it('is a ForbiddenError or a PremiumRequiredError for a 403', async () => {
+    const { spotify, mock } = client();
+
+    mock.fail(403, { reason: 'PREMIUM_REQUIRED' });
+    await assert.rejects(spotify.player.pause(), (e) => {
+      assert.ok(e instanceof PremiumRequiredError);
+      assert.ok(e instanceof ForbiddenError);
+      return true;
+    });
+
+    await assert.rejects(spotify.playlists.create(ids.other), (e) => {
+      assert.ok(e instanceof ForbiddenError);
+      assert.ok(!(e instanceof PremiumRequiredError));
+      return true;
+    });
+  });
+
+  it('is a RateLimitError with the time to wait once the retries run out', async () => {
+    const body = JSON.stringify({
+      error: { status: 429, message: 'API rate limit exceeded' },
+    });
+    const { spotify } = stub(429, body, { 'Retry-After': '120' }, ONCE);
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof RateLimitError);
+      assert.strictEqual(e.retryAfter, 120);
+      return true;
+    });
+  });
+
+  it('is a ServerError for a 5xx', async () => {
+    const { spotify, mock } = client({}, ONCE);
+
+    mock.fail(503);
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof ServerError);
+      assert.strictEqual(e.status, 503);
+      return true;
+    });
+  });
+
+  it('is an ApiError for other statuses', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(spotify.users.top('tracks', { range: 'x' }), (e) => {
+      assert.strictEqual(e.constructor, ApiError);
+      assert.strictEqual(e.status, 400);
+      return true;
+    });
+  });
+
+  it('has the code and the guidance of a player error', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(spotify.player.pause(), (e) => {
+      assert.strictEqual(e.code, 'ERR_PLAYER_NO_ACTIVE_DEVICE');
+      assert.match(e.guidance, /transfer the playback/);
+      assert.ok(e.message.endsWith(e.guidance));
+      return true;
+    });
+
+    await spotify.player.transfer(ids.device, false);
+    await assert.rejects(spotify.player.resume(), (e) => {
+      assert.strictEqual(e.code, 'ERR_PLAYER_UNKNOWN');
+      assert.ok(e.guidance);
+      return true;
+    });
+  });
+
+  it('has no code for other errors', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(spotify.albums.get('xxx'), (e) => {
+      assert.strictEqual(e.code, undefined);
+      assert.strictEqual(e.guidance, undefined);
+      return true;
+    });
+  });
+
+  it('from uses the status of the response when the error has none', () => {
+    const response = new fetch.Response(null, { status: 404 });
+
+    assert.ok(
+      ApiError.from({ message: 'x' }, response) instanceof NotFoundError
+    );
+  });
+});
+
+describe('HTTPError', () => {
+  it('carries the request, the status and the headers', async () => {
+    const { spotify } = stub(400, null, { 'X-Id': 'xxx' }, ONCE);
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof HTTPError);
+      assert.strictEqual(e.method, 'GET');
+      assert.strictEqual(e.path, 'https://api.spotify.com/v1/markets');
+      assert.strictEqual(e.status, 400);
+      assert.strictEqual(e.headers.get('x-id'), 'xxx');
+      return true;
+    });
+  });
+
+  it('is given for a successful response which is not json', async () => {
+    const { spotify } = stub(200, '<html></html>', {}, ONCE);
+
+    await assert.rejects(spotify.markets(), HTTPError);
+  });
+});
+
+describe('Util.toJson', () => {
+  it('resolves an error object for a 429 without a body', async () => {
+    const { spotify } = stub(429, null, { 'Retry-After': '120' }, ONCE);
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof RateLimitError);
+      assert.strictEqual(e.retryAfter, 120);
+      return true;
+    });
+  });
+
+  it('resolves an error object for a 5xx without a body', async () => {
+    const { spotify } = stub(503, null, {}, ONCE);
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof ServerError);
+      assert.deepStrictEqual(e.error, {
+        status: 503,
+        message: 'Service Unavailable',
+      });
+      return true;
+    });
+  });
+
+  it('resolves an error object for a 401 without a body', async () => {
+    const { spotify } = stub(401, null, {}, ONCE);
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof UnauthorizedError);
+      assert.strictEqual(e.status, 401);
+      return true;
+    });
+  });
+
+  it('resolves null for an error response without a body and without an error of its own', async () => {
+    const { spotify } = client();
+
+    assert.strictEqual(
+      await spotify.util.toJson(new fetch.Response(null, { status: 400 })),
+      null
+    );
+  });
+
+  it('resolves an error object for an error response which is not json', async () => {
+    const { spotify } = stub(502, '<html>Bad Gateway</html>', {}, ONCE);
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof ServerError);
+      assert.deepStrictEqual(e.error, { status: 502, message: 'Bad Gateway' });
+      return true;
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client } = require('./helpers.js');
+const { Spotify, MockSpotify, Cache } = require('../src/index.js');
+
+describe('Cache', () => {
+  it('category sorts the endpoints', () => {
+    const cache = new Cache();
+
+    assert.strictEqual(cache.category('/albums/xxx'), 'catalog');
+    assert.strictEqual(cache.category('/browse/categories'), 'browse');
+    assert.strictEqual(cache.category('/search?q=x'), 'search');
+    assert.strictEqual(cache.category('/playlists/xxx'), 'playlist');
+    assert.strictEqual(cache.category('/me/tracks'), 'user');
+    assert.strictEqual(cache.category('/me/player'), 'player');
+    assert.strictEqual(cache.category('/tracks/xxx?market=from_token'), 'user');
+  });
+
+  it('sorts the endpoints of a base url without a version', async () => {
+    const mock = new MockSpotify({ tokens: null });
+    const cache = new Cache();
+
+    /* A proxy which forwards its requests to spotify */
+    const options = {
+      apiUrl: 'http://proxy/spotify',
+      fetch: (url, opts) =>
+        mock.fetch(
+          url.replace('http://proxy/spotify', 'https://api.spotify.com/v1'),
+          opts
+        ),
+      cache,
+    };
+    const first = new Spotify('first', options);
+    const second = new Spotify('second', options);
+
+    await first.users.me();
+    await second.users.me();
+    await first.albums.get(ids.ziggy);
+    await second.albums.get(ids.ziggy);
+
+    assert.deepStrictEqual(
+      mock.requests.map((request) => request.path),
+      ['/me', '/me', '/albums/' + ids.ziggy]
+    );
+  });
+
+  it('serves a fresh response without a request', async () => {
+    const { spotify, mock } = client({}, { cache: true });
+
+    const first = await spotify.albums.get(ids.ziggy);
+    const second = await spotify.albums.get(ids.ziggy);
+
+    assert.strictEqual(second.id, first.id);
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  it('revalidates a stale response with its ETag', async () => {
+    const { spotify, mock } = client({}, { cache: { ttl: { catalog: 0 } } });
+
+    await spotify.albums.get(ids.ziggy);
+    const album = await spotify.albums.get(ids.ziggy);
+
+    assert.strictEqual(album.id, ids.ziggy);
+    assert.strictEqual(mock.requests.length, 2);
+    assert.ok(mock.requests[1].headers.get('if-none-match'));
+  });
+
+  it('does not cache the requests of the current user', async () => {
+    const { spotify, mock } = client({}, { cache: true });
+
+    await spotify.users.me();
+    await spotify.users.me();
+
+    assert.strictEqual(mock.requests.length, 2);
+  });
+
+  it('still answers the request when the store fails', async () => {
+    const store = {
+      get: () => Promise.reject(new Error('read failed')),
+      set: () => Promise.reject(new Error('write failed')),
+    };
+    const { spotify, mock } = client({}, { cache: { store } });
+
+    const album = await spotify.albums.get(ids.ziggy);
+
+    assert.strictEqual(album.id, ids.ziggy);
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  it('still answers the request when the store throws', async () => {
+    const store = {
+      get: () => null,
+      set: () => {
+        throw new Error('write failed');
+      },
+    };
+    const { spotify } = client({}, { cache: { store } });
+
+    assert.strictEqual((await spotify.albums.get(ids.ziggy)).id, ids.ziggy);
+  });
+});
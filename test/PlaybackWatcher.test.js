@@ -0,0 +1,223 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client } = require('./helpers.js');
+const { PlaybackWatcher, Track } = require('../src/index.js');
+
+const ITEM = {
+  type: 'track',
+  id: ids.love,
+  uri: 'spotify:track:' + ids.love,
+  name: 'Love of My Life',
+  duration_ms: 200000,
+};
+
+/* The timestamp of the first poll */
+const NOW = Date.now();
+
+/**
+ * Creates a playback state.
+ * @param {number} progress - The position in the item in milliseconds.
+ * @param {boolean} [playing=true] - If the item is playing.
+ * @returns {State}
+ */
+function state(progress, playing = true) {
+  return {
+    is_playing: playing,
+    progress_ms: progress,
+    item: ITEM,
+    device: { id: ids.device, volume_percent: 50 },
+    shuffle_state: false,
+    repeat_state: 'off',
+  };
+}
+
+/**
+ * Creates a watcher which records the events it emits.
+ * @param {WatchOptions} [options]
+ * @param {Spotify} [spotify] - The spotify client - a client of the mock by default.
+ * @returns {{watcher: PlaybackWatcher, events: Array<Array>}}
+ */
+function watching(options, spotify = client().spotify) {
+  const watcher = new PlaybackWatcher(spotify, options);
+  const events = [];
+
+  ['trackChange', 'play', 'pause', 'seek'].forEach((name) =>
+    watcher.on(name, (...args) => events.push([name, ...args]))
+  );
+
+  return { watcher, events };
+}
+
+/**
+ * Creates a client whose playback state always fails.
+ * @param {Error} error - The error the playback state rejects with.
+ * @returns {Spotify}
+ */
+function failing(error) {
+  const { spotify } = client();
+  spotify.player.state = () => Promise.reject(error);
+
+  return spotify;
+}
+
+describe('PlaybackWatcher', () => {
+  it('emits a seek when the progress jumps', () => {
+    const { watcher, events } = watching();
+
+    watcher.update(state(10000), NOW);
+    events.length = 0;
+
+    /* Played on for 5 seconds as expected */
+    watcher.update(state(15500), NOW + 5000);
+    assert.deepStrictEqual(events, []);
+
+    watcher.update(state(60000), NOW + 10000);
+    assert.deepStrictEqual(
+      events.map(([name, progress]) => [name, progress]),
+      [['seek', 60000]]
+    );
+  });
+
+  it('emits a seek while paused when the position changes', () => {
+    const { watcher, events } = watching();
+
+    watcher.update(state(10000, false), NOW);
+    events.length = 0;
+
+    watcher.update(state(10000, false), NOW + 5000);
+    assert.deepStrictEqual(events, []);
+
+    watcher.update(state(30000, false), NOW + 10000);
+    assert.deepStrictEqual(
+      events.map(([name]) => name),
+      ['seek']
+    );
+  });
+
+  it('emits pause and play when the playback stops and resumes', () => {
+    const { watcher, events } = watching();
+
+    watcher.update(state(0), NOW);
+    assert.deepStrictEqual(
+      events.map(([name]) => name),
+      ['trackChange', 'play']
+    );
+    assert.ok(events[0][1] instanceof Track);
+
+    events.length = 0;
+    watcher.update(state(1000, false), NOW + 1000);
+    watcher.update(state(1000), NOW + 2000);
+    watcher.update(null, NOW + 3000);
+
+    assert.deepStrictEqual(
+      events.map(([name]) => name),
+      ['pause', 'play', 'trackChange', 'pause']
+    );
+    assert.strictEqual(events[2][1], null);
+    assert.strictEqual(events[3][1], null);
+  });
+
+  it('waits longer after every idle poll up to the maxInterval', () => {
+    const { watcher } = watching({ interval: 1000, maxInterval: 5000 });
+    const delays = [];
+
+    for (let i = 0; i < 4; i++) {
+      watcher.update(null, NOW + i);
+      delays.push(watcher.delay());
+    }
+
+    assert.deepStrictEqual(delays, [2000, 4000, 5000, 5000]);
+
+    watcher.update(state(0), NOW + 10);
+    assert.strictEqual(watcher.idle, 0);
+    assert.strictEqual(watcher.delay(), 1000);
+  });
+
+  it('polls right after the item ends', () => {
+    const { watcher } = watching({ interval: 5000 });
+
+    watcher.update(state(ITEM.duration_ms - 2000), NOW);
+    assert.strictEqual(watcher.delay(), 2500);
+  });
+
+  it('counts the 204 of an inactive player as nothing playing', async () => {
+    const { watcher, events } = watching();
+
+    watcher.running = true;
+
+    try {
+      await watcher.poll();
+    } finally {
+      watcher.stop();
+    }
+
+    assert.strictEqual(watcher.state, null);
+    assert.strictEqual(watcher.idle, 1);
+    assert.deepStrictEqual(events, []);
+  });
+
+  it('keeps polling after a failed poll when nothing listens for errors', async () => {
+    const { watcher } = watching(
+      { interval: 1000 },
+      failing(new Error('network'))
+    );
+
+    watcher.running = true;
+
+    try {
+      await watcher.poll();
+
+      assert.strictEqual(watcher.failures, 1);
+      assert.ok(watcher.timeout);
+      assert.strictEqual(watcher.delay(), 2000);
+    } finally {
+      watcher.stop();
+    }
+  });
+
+  it('emits the error of a failed poll when listened to', async () => {
+    const error = new Error('network');
+    const { watcher } = watching({}, failing(error));
+    const errors = [];
+
+    watcher.on('error', (e) => errors.push(e));
+    watcher.running = true;
+
+    try {
+      await watcher.poll();
+      clearTimeout(watcher.timeout);
+      await watcher.poll();
+    } finally {
+      watcher.stop();
+    }
+
+    assert.deepStrictEqual(errors, [error, error]);
+    assert.strictEqual(watcher.failures, 2);
+  });
+
+  it('resets the failures after a poll succeeds', async () => {
+    const { spotify } = client();
+    const { watcher } = watching({}, spotify);
+
+    watcher.running = true;
+    watcher.failures = 3;
+
+    try {
+      await watcher.poll();
+    } finally {
+      watcher.stop();
+    }
+
+    assert.strictEqual(watcher.failures, 0);
+  });
+
+  it('stop stops the polling', () => {
+    const { watcher } = watching();
+
+    watcher.start();
+    watcher.stop();
+
+    assert.strictEqual(watcher.running, false);
+    assert.strictEqual(watcher.timeout, null);
+  });
+});
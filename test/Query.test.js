@@ -0,0 +1,85 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { Query } = require('../src/index.js');
+
+describe('Query', () => {
+  it('toString joins the terms in the order they were added', () => {
+    const query = Query.track('Take on me')
+      .artist('a-ha')
+      .year(1980, 1989)
+      .not('live');
+
+    assert.strictEqual(
+      query.toString(),
+      'track:"Take on me" artist:a-ha year:1980-1989 NOT live'
+    );
+  });
+
+  it('starts a query with words in any field', () => {
+    const query = new Query('take on me').album('Hunting');
+
+    assert.strictEqual(query.toString(), 'take on me album:Hunting');
+    assert.strictEqual(new Query().toString(), '');
+  });
+
+  it('escape quotes values with spaces, colons or operators', () => {
+    assert.strictEqual(Query.escape('Hunting'), 'Hunting');
+    assert.strictEqual(Query.escape('Hunting High'), '"Hunting High"');
+    assert.strictEqual(Query.escape('a:b'), '"a:b"');
+    assert.strictEqual(Query.escape('NOT'), '"NOT"');
+    assert.strictEqual(Query.escape('or'), 'or');
+  });
+
+  it('escape removes the quotes of a value', () => {
+    assert.strictEqual(Query.escape('"Heroes"'), 'Heroes');
+    assert.strictEqual(Query.escape('say "hi" now'), '"say hi now"');
+    assert.strictEqual(Query.artist('"a-ha"').toString(), 'artist:a-ha');
+  });
+
+  it('year throws for a year which is not a whole number', () => {
+    assert.strictEqual(Query.year(1999).toString(), 'year:1999');
+    assert.throws(() => Query.year(1999.5), /not a valid year/);
+    assert.throws(() => Query.year('1999'), /not a valid year/);
+    assert.throws(() => Query.year(1990, 'x'), /1990-x is not a valid/);
+  });
+
+  it('tag throws for a value which is not a tag', () => {
+    assert.strictEqual(Query.tag('new').toString(), 'tag:new');
+    assert.strictEqual(Query.tag('hipster').toString(), 'tag:hipster');
+    assert.throws(() => Query.tag('old'), /old is not a tag/);
+  });
+
+  it('throws for an empty term', () => {
+    assert.throws(() => Query.track(''), /The track of a query can't be/);
+    assert.throws(() => Query.artist('   '), /The artist of a query/);
+    assert.throws(() => Query.text(null), /The text of a query/);
+    assert.throws(() => new Query().not(undefined), /can't be empty/);
+  });
+
+  it('validate throws for a filter which can not be used for a type', () => {
+    assert.throws(
+      () => Query.tag('new').validate(['album', 'track']),
+      /The tag filter can't be used to search for track - only for album/
+    );
+    assert.throws(
+      () => Query.isrc('USWB10001234').validate(['album']),
+      /The isrc filter/
+    );
+  });
+
+  it('validate allows the filters of every type and words in any field', () => {
+    assert.doesNotThrow(() =>
+      new Query('x')
+        .genre('rock')
+        .year(1999)
+        .not('live')
+        .validate(['artist', 'track'])
+    );
+    assert.doesNotThrow(() => Query.upc('123').validate(['album']));
+  });
+
+  it('filters maps the filters to the types they search for', () => {
+    assert.deepStrictEqual(Query.filters.tag, ['album']);
+    assert.deepStrictEqual(Query.filters.genre, ['artist', 'track']);
+  });
+});
@@ -0,0 +1,172 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client } = require('./helpers.js');
+const { RetryPolicy, ServerError } = require('../src/index.js');
+
+/* Retries without waiting */
+const RETRY = { backoff: 1, jitter: false };
+
+/**
+ * Creates a network error like node-fetch rejects with.
+ * @param {string} code - The error code. eg: ECONNRESET
+ * @returns {Error}
+ */
+function network(code) {
+  return Object.assign(new Error('request failed, reason: ' + code), {
+    code,
+  });
+}
+
+describe('RetryPolicy', () => {
+  it('delay grows by the factor up to the maxBackoff', () => {
+    const policy = new RetryPolicy({
+      backoff: 100,
+      factor: 2,
+      maxBackoff: 300,
+      jitter: false,
+    });
+
+    assert.deepStrictEqual(
+      [1, 2, 3, 4].map((count) => policy.delay(count)),
+      [100, 200, 300, 300]
+    );
+  });
+
+  it('delay is randomised between 0 and the backoff with jitter', () => {
+    const policy = new RetryPolicy({ backoff: 100 });
+
+    for (let i = 0; i < 20; i++) {
+      const delay = policy.delay(2);
+      assert.ok(delay >= 0 && delay <= 200);
+    }
+  });
+
+  it('retryable matches the statuses and the network error codes', () => {
+    const policy = new RetryPolicy({ statuses: [503], codes: ['ECONNRESET'] });
+
+    assert.strictEqual(policy.retryable({ status: 503 }, 1), true);
+    assert.strictEqual(policy.retryable({ status: 500 }, 1), false);
+    assert.strictEqual(
+      policy.retryable({ error: network('ECONNRESET') }, 1),
+      true
+    );
+    assert.strictEqual(
+      policy.retryable({ error: network('EPROTO') }, 1),
+      false
+    );
+  });
+
+  it('retryable stops once the attempts run out', () => {
+    const policy = new RetryPolicy({ attempts: 2 });
+
+    assert.strictEqual(policy.retryable({ status: 503 }, 1), true);
+    assert.strictEqual(policy.retryable({ status: 503 }, 2), false);
+  });
+
+  it('retryable only retries the idempotent methods by default', () => {
+    const policy = new RetryPolicy();
+
+    assert.strictEqual(policy.retryable({ status: 503 }, 1, 'get'), true);
+    assert.strictEqual(policy.retryable({ status: 503 }, 1, 'put'), true);
+    assert.strictEqual(policy.retryable({ status: 503 }, 1, 'delete'), true);
+    assert.strictEqual(policy.retryable({ status: 503 }, 1, 'post'), false);
+
+    const all = new RetryPolicy({ methods: ['get', 'post'] });
+    assert.strictEqual(all.retryable({ status: 503 }, 1, 'POST'), true);
+  });
+});
+
+describe('Retrying', () => {
+  it('retries a server error until the request succeeds', async () => {
+    const { spotify, mock } = client({}, { retry: RETRY });
+    const retries = [];
+
+    spotify.on('retry', (event) => retries.push(event));
+    mock.fail(503, { times: 2 });
+
+    assert.deepStrictEqual(await spotify.markets(), ['GB', 'SE', 'US']);
+    assert.strictEqual(mock.requests.length, 3);
+    assert.deepStrictEqual(
+      retries.map((event) => [event.attempt, event.status, event.wait]),
+      [
+        [1, 503, 1],
+        [2, 503, 2],
+      ]
+    );
+  });
+
+  it('keeps the attempts made on the final error', async () => {
+    const { spotify, mock } = client(
+      {},
+      { retry: Object.assign({ attempts: 3 }, RETRY) }
+    );
+
+    mock.fail(502, { times: 3 });
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof ServerError);
+      assert.deepStrictEqual(e.attempts, [
+        { attempt: 1, status: 502, wait: 1 },
+        { attempt: 2, status: 502, wait: 2 },
+        { attempt: 3, status: 502 },
+      ]);
+      return true;
+    });
+    assert.strictEqual(mock.requests.length, 3);
+  });
+
+  it('retries the network errors with a code it retries', async () => {
+    let failures = 1;
+    const { spotify, mock } = client({}, { retry: RETRY });
+    const send = spotify.util.transport;
+
+    spotify.util.transport = (url, options) =>
+      failures-- > 0
+        ? Promise.reject(network('ECONNRESET'))
+        : send(url, options);
+
+    assert.deepStrictEqual(await spotify.markets(), ['GB', 'SE', 'US']);
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  it('rejects the network errors with other codes right away', async () => {
+    let sent = 0;
+    const { spotify } = client({}, { retry: RETRY });
+
+    spotify.util.transport = () => {
+      sent++;
+      return Promise.reject(network('EPROTO'));
+    };
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.strictEqual(e.code, 'EPROTO');
+      assert.deepStrictEqual(e.attempts, [{ attempt: 1, error: e }]);
+      return true;
+    });
+    assert.strictEqual(sent, 1);
+  });
+
+  it('does not retry a POST by default', async () => {
+    const { spotify, mock } = client({}, { retry: RETRY });
+
+    mock.fail(503, { path: '/playlists' });
+
+    await assert.rejects(
+      spotify.playlists.add(ids.playlist, 'spotify:track:' + ids.love),
+      ServerError
+    );
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  it('retries a POST when its method is allowed', async () => {
+    const { spotify, mock } = client(
+      {},
+      { retry: Object.assign({ methods: ['GET', 'POST'] }, RETRY) }
+    );
+
+    mock.fail(503, { path: '/playlists' });
+
+    await spotify.playlists.add(ids.playlist, 'spotify:track:' + ids.love);
+    assert.strictEqual(mock.requests.length, 2);
+  });
+});
@@ -0,0 +1,137 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { client } = require('./helpers.js');
+const { Scheduler, RateLimitError } = require('../src/index.js');
+
+/**
+ * Resolves after a time.
+ * @param {number} ms - The time in milliseconds.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('Scheduler', () => {
+  it('runs no more tasks at once than the concurrency', async () => {
+    const scheduler = new Scheduler({ concurrency: 2 });
+    let active = 0;
+    let most = 0;
+
+    const task = (value) => () => {
+      active++;
+      most = Math.max(most, active);
+
+      return sleep(10).then(() => {
+        active--;
+        return value;
+      });
+    };
+
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5].map((value) => scheduler.schedule(task(value)))
+    );
+
+    assert.deepStrictEqual(results, [1, 2, 3, 4, 5]);
+    assert.strictEqual(most, 2);
+    assert.strictEqual(scheduler.active, 0);
+  });
+
+  it('rejects the task which failed and keeps running the queue', async () => {
+    const scheduler = new Scheduler({ concurrency: 1 });
+    const failed = scheduler.schedule(() => Promise.reject(new Error('x')));
+    const next = scheduler.schedule(() => 'next');
+
+    await assert.rejects(failed, /x/);
+    assert.strictEqual(await next, 'next');
+  });
+
+  it('pause holds back the queued tasks', async () => {
+    const scheduler = new Scheduler();
+    const start = Date.now();
+
+    scheduler.pause(50);
+    await scheduler.schedule(() => null);
+
+    assert.ok(Date.now() - start >= 45);
+  });
+
+  it('pause keeps the longest wait', () => {
+    const scheduler = new Scheduler();
+
+    scheduler.pause(1000);
+    const until = scheduler.until;
+    scheduler.pause(10);
+
+    assert.strictEqual(scheduler.until, until);
+  });
+});
+
+describe('Rate limiting', () => {
+  it('retries a 429 after the Retry-After and pauses the scheduler', async () => {
+    const { spotify, mock } = client();
+    const limits = [];
+    const start = Date.now();
+
+    spotify.on('rateLimited', (event) => limits.push(event));
+    mock.fail(429, { times: 2, headers: { 'Retry-After': '0.05' } });
+
+    assert.deepStrictEqual(await spotify.markets(), ['GB', 'SE', 'US']);
+    assert.strictEqual(mock.requests.length, 3);
+    assert.deepStrictEqual(
+      limits.map((event) => [event.attempt, event.wait]),
+      [
+        [1, 50],
+        [2, 50],
+      ]
+    );
+    assert.ok(Date.now() - start >= 95);
+    assert.ok(spotify.util.scheduler.until > start);
+  });
+
+  it('holds back the other requests of the scheduler while rate limited', async () => {
+    const { spotify, mock } = client();
+
+    mock.fail(429, { path: '/markets', headers: { 'Retry-After': '0.1' } });
+    const markets = spotify.markets();
+
+    /* Sent once the 429 paused the scheduler */
+    await sleep(10);
+    const start = Date.now();
+    await spotify.genres();
+
+    assert.ok(Date.now() - start >= 50);
+    await markets;
+  });
+
+  it('rejects with a RateLimitError once the retries run out', async () => {
+    const { spotify, mock } = client({}, { rateLimit: { retries: 1 } });
+
+    mock.fail(429, { times: 2, headers: { 'Retry-After': '0.01' } });
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof RateLimitError);
+      assert.deepStrictEqual(
+        e.attempts.map((attempt) => attempt.status),
+        [429, 429]
+      );
+      return true;
+    });
+    assert.strictEqual(mock.requests.length, 2);
+  });
+
+  it('does not wait for a Retry-After longer than the maxWait', async () => {
+    const { spotify, mock } = client({}, { rateLimit: { maxWait: 1000 } });
+    const start = Date.now();
+
+    mock.fail(429, { headers: { 'Retry-After': '30' } });
+
+    await assert.rejects(spotify.markets(), (e) => {
+      assert.ok(e instanceof RateLimitError);
+      assert.strictEqual(e.retryAfter, 30);
+      return true;
+    });
+    assert.strictEqual(mock.requests.length, 1);
+    assert.ok(Date.now() - start < 1000);
+  });
+});
@@ -0,0 +1,145 @@
+const fetch = require('node-fetch');
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, errors, last } = require('./helpers.js');
+const { Query, SearchResult, Page, Track } = require('../src/index.js');
+
+describe('Spotify', () => {
+  it('genres resolves the genre seeds', async () => {
+    const { spotify } = client();
+
+    assert.deepStrictEqual(await spotify.genres(), [
+      'art rock',
+      'classic rock',
+      'glam rock',
+    ]);
+  });
+
+  it('markets resolves the available markets', async () => {
+    const { spotify } = client();
+
+    assert.deepStrictEqual(await spotify.markets(), ['GB', 'SE', 'US']);
+  });
+
+  it('search resolves a page for every type searched for', async () => {
+    const { spotify, mock } = client();
+    const result = await spotify.search('queen', {
+      types: ['artist', 'track'],
+      limit: 1,
+    });
+
+    assert.ok(result instanceof SearchResult);
+    assert.ok(result.tracks instanceof Page);
+    assert.ok(result.tracks[0] instanceof Track);
+    assert.strictEqual(result.artists[0].id, ids.queen);
+    assert.strictEqual(result.albums, undefined);
+    assert.strictEqual(last(mock, '/search').query.type, 'artist,track');
+
+    const next = await result.tracks.next();
+    assert.strictEqual(next.offset, 1);
+  });
+
+  it('search uses the market of the client unless one is given', async () => {
+    const { spotify, mock } = client();
+    spotify.set('market', 'SE');
+
+    await spotify.search('queen', { types: ['track'] });
+    assert.strictEqual(last(mock, '/search').query.market, 'SE');
+
+    await spotify.tracks.search('queen', { market: null });
+    assert.strictEqual(last(mock, '/search').query.market, undefined);
+  });
+
+  it('search rejects types which can not be searched for', async () => {
+    const { spotify, mock } = client();
+
+    await assert.rejects(spotify.search('x', { types: ['user'] }), /user/);
+    assert.strictEqual(mock.requests.length, 0);
+  });
+
+  it('search checks the field filters of a query against the types', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(
+      spotify.search(Query.track('starman').year(1972), { types: ['show'] })
+    );
+  });
+
+  it('use adds a middleware every request goes through', async () => {
+    const { spotify, mock } = client();
+    const seen = [];
+
+    spotify.use((request, next) => {
+      request.options.headers['X-Request-Id'] = 'xxx';
+
+      return next(request).then((response) => {
+        seen.push(response.status);
+        return response;
+      });
+    });
+
+    await spotify.markets();
+
+    assert.deepStrictEqual(seen, [200]);
+    assert.strictEqual(
+      last(mock, '/markets').headers.get('x-request-id'),
+      'xxx'
+    );
+  });
+
+  it('use adds a middleware which can resolve a response without sending the request', async () => {
+    const { spotify, mock } = client();
+
+    spotify.use(() =>
+      Promise.resolve(
+        new fetch.Response(JSON.stringify({ markets: ['XX'] }), {
+          status: 200,
+        })
+      )
+    );
+
+    assert.deepStrictEqual(await spotify.markets(), ['XX']);
+    assert.deepStrictEqual(mock.requests, []);
+  });
+
+  it('use adds a middleware which can change the url of the request', async () => {
+    const { spotify, mock } = client();
+
+    spotify.use((request, next) => {
+      const path = request.path.replace(
+        'https://api.spotify.com',
+        'https://proxy.example.com'
+      );
+
+      return next(Object.assign({}, request, { path }));
+    });
+
+    assert.deepStrictEqual(await spotify.markets(), ['GB', 'SE', 'US']);
+    assert.deepStrictEqual(
+      mock.requests.map((request) => request.url),
+      ['https://proxy.example.com/v1/markets']
+    );
+  });
+
+  it('use throws for a middleware which is not a function', () => {
+    const { spotify } = client();
+
+    assert.throws(() => spotify.use('x'), /function/);
+  });
+
+  it('set throws for a key which is not a key of the client', () => {
+    const { spotify } = client();
+
+    spotify.set('access_token', 'xxx');
+    assert.strictEqual(spotify.access_token, 'xxx');
+    assert.throws(() => spotify.set('xxx', 'xxx'), /xxx is not a key/);
+  });
+
+  describe('errors', () => {
+    errors({
+      genres: (spotify) => spotify.genres(),
+      markets: (spotify) => spotify.markets(),
+      search: (spotify) => spotify.search('x'),
+    });
+  });
+});
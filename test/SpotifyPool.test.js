@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert');
+const { describe, it, before, after } = require('node:test');
+const { ids, pooled } = require('./helpers.js');
+const {
+  Cache,
+  FileStore,
+  MemoryStore,
+  MissingTokenError,
+} = require('../src/index.js');
+
+/* The mock accepts the tokens of two users */
+const TOKENS = { tokens: ['first', 'second'] };
+
+describe('SpotifyPool', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotifylib-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('forUser creates a client once for every user', () => {
+    const { pool } = pooled(TOKENS);
+    const first = pool.forUser('u1', { access_token: 'first' });
+
+    assert.strictEqual(pool.forUser('u1'), first);
+    assert.notStrictEqual(pool.forUser('u2'), first);
+    assert.strictEqual(pool.has('u1'), true);
+
+    assert.strictEqual(pool.remove('u1'), true);
+    assert.strictEqual(pool.has('u1'), false);
+  });
+
+  it('shares the scheduler and the store between the clients', () => {
+    const { pool } = pooled(TOKENS);
+    const first = pool.forUser('u1');
+    const second = pool.forUser('u2');
+
+    assert.strictEqual(first.util.scheduler, pool.scheduler);
+    assert.strictEqual(second.util.scheduler, pool.scheduler);
+    assert.ok(pool.store instanceof MemoryStore);
+    assert.strictEqual(first.auth.store, second.auth.store);
+  });
+
+  it('shares one cache between the clients', async () => {
+    const { pool, mock } = pooled(TOKENS, { cache: true });
+    const first = pool.forUser('u1', { access_token: 'first' });
+    const second = pool.forUser('u2', { access_token: 'second' });
+
+    assert.ok(pool.cache instanceof Cache);
+    assert.strictEqual(first.util.cache, pool.cache);
+    assert.strictEqual(second.util.cache, pool.cache);
+
+    await first.albums.get(ids.ziggy);
+    await second.albums.get(ids.ziggy);
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  it('does not cache without the cache option', () => {
+    const { pool } = pooled(TOKENS);
+
+    assert.strictEqual(pool.cache, null);
+    assert.strictEqual(pool.forUser('u1').util.cache, null);
+  });
+
+  it('rejects the requests of a user without a token instead of using app access', async () => {
+    const { pool, mock } = pooled(TOKENS, {
+      clientId: 'id',
+      clientSecret: 'secret',
+    });
+
+    await assert.rejects(pool.forUser('u1').users.me(), (error) => {
+      assert.ok(error instanceof MissingTokenError);
+      assert.strictEqual(error.user, 'u1');
+      return true;
+    });
+    assert.deepStrictEqual(mock.requests, []);
+  });
+
+  it('saves the tokens of the users in a file store', async () => {
+    const store = new FileStore(path.join(dir, 'tokens.json'));
+    const { pool } = pooled(TOKENS, { store });
+
+    const first = pool.forUser('u1', { access_token: 'first' });
+    const second = pool.forUser('u2', { access_token: 'second' });
+
+    await Promise.all([first.users.me(), second.users.me()]);
+
+    assert.strictEqual((await store.get('u1')).access_token, 'first');
+    assert.strictEqual((await store.get('u2')).access_token, 'second');
+
+    /* Another pool reads the tokens from the store */
+    const other = pooled(TOKENS, { store: new FileStore(store.path) }).pool;
+    await other.forUser('u2').users.me();
+    assert.strictEqual(other.forUser('u2').access_token, 'second');
+  });
+
+  it('emits a token which could not be saved and keeps the client working', async () => {
+    const store = new FileStore(path.join(dir, 'missing', 'tokens.json'));
+    const { pool } = pooled(TOKENS, { store });
+    const errors = [];
+
+    pool.on('error', (error, id) => errors.push([error.code, id]));
+
+    const client = pool.forUser('u1', { access_token: 'first' });
+    const me = await client.users.me();
+
+    assert.strictEqual(me.id, 'mockuser');
+    assert.deepStrictEqual(errors, [['ENOENT', 'u1']]);
+  });
+
+  it('does not reject unhandled when nothing listens for errors', async () => {
+    const store = new FileStore(path.join(dir, 'missing', 'tokens.json'));
+    const { pool } = pooled(TOKENS, { store });
+    const rejections = [];
+    const listener = (reason) => rejections.push(reason);
+
+    process.on('unhandledRejection', listener);
+
+    try {
+      await pool.forUser('u1', { access_token: 'first' }).users.me();
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      process.off('unhandledRejection', listener);
+    }
+
+    assert.deepStrictEqual(rejections, []);
+  });
+});
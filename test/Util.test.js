@@ -0,0 +1,237 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client } = require('./helpers.js');
+const { Spotify, NotFoundError } = require('../src/index.js');
+
+describe('Deduplication', () => {
+  it('shares identical GET requests in flight', async () => {
+    const { spotify, mock } = client({}, { dedupe: true });
+
+    const [first, second] = await Promise.all([
+      spotify.albums.get(ids.ziggy),
+      spotify.albums.get(ids.ziggy),
+    ]);
+
+    assert.strictEqual(mock.requests.length, 1);
+    assert.strictEqual(first.id, ids.ziggy);
+    assert.strictEqual(second.id, ids.ziggy);
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(spotify.util.inflight.size, 0);
+  });
+
+  it('sends the request again once it is no longer in flight', async () => {
+    const { spotify, mock } = client({}, { dedupe: true });
+
+    await spotify.albums.get(ids.ziggy);
+    await spotify.albums.get(ids.ziggy);
+
+    assert.strictEqual(mock.requests.length, 2);
+  });
+
+  it('does not share different requests or requests which are not GET', async () => {
+    const { spotify, mock } = client({}, { dedupe: true });
+
+    await Promise.all([
+      spotify.albums.get(ids.ziggy),
+      spotify.albums.get(ids.opera),
+      spotify.tracks.save(ids.love),
+      spotify.tracks.save(ids.love),
+    ]);
+
+    assert.strictEqual(mock.requests.length, 4);
+  });
+
+  it('rejects every caller of a shared request which failed', async () => {
+    const { spotify, mock } = client({}, { dedupe: true });
+
+    const results = await Promise.allSettled([
+      spotify.albums.get('xxx'),
+      spotify.albums.get('xxx'),
+    ]);
+
+    assert.strictEqual(mock.requests.length, 1);
+    assert.ok(
+      results.every((result) => result.reason instanceof NotFoundError)
+    );
+    assert.strictEqual(spotify.util.inflight.size, 0);
+  });
+
+  it('sends every request without the dedupe option', async () => {
+    const { spotify, mock } = client();
+
+    await Promise.all([
+      spotify.albums.get(ids.ziggy),
+      spotify.albums.get(ids.ziggy),
+    ]);
+
+    assert.strictEqual(spotify.util.inflight, null);
+    assert.strictEqual(mock.requests.length, 2);
+  });
+});
+
+describe('Events', () => {
+  /**
+   * Records the lifecycle events a client emits.
+   * @param {Spotify} spotify - The spotify client.
+   * @returns {Array<Array>} The names and details of the events, in order.
+   */
+  const record = (spotify) => {
+    const events = [];
+
+    ['request', 'response', 'retry', 'rateLimited', 'error'].forEach((name) =>
+      spotify.on(name, (event) => events.push([name, event]))
+    );
+
+    return events;
+  };
+
+  it('emits the request and the response of every attempt', async () => {
+    const { spotify, mock } = client(
+      {},
+      { retry: { backoff: 1, jitter: false } }
+    );
+    const events = record(spotify);
+
+    mock.fail(503);
+    await spotify.markets();
+
+    const path = 'https://api.spotify.com/v1/markets';
+    assert.deepStrictEqual(
+      events.map(([name, event]) => [name, event.attempt, event.status]),
+      [
+        ['request', 1, undefined],
+        ['response', 1, 503],
+        ['retry', 1, 503],
+        ['request', 2, undefined],
+        ['response', 2, 200],
+      ]
+    );
+    assert.ok(events.every(([, event]) => event.path == path));
+    assert.ok(events.every(([, event]) => event.method == 'GET'));
+    assert.strictEqual(events[2][1].wait, 1);
+    assert.strictEqual(typeof events[4][1].duration, 'number');
+  });
+
+  it('emits rateLimited with the wait of a 429', async () => {
+    const { spotify, mock } = client();
+    const events = record(spotify);
+
+    mock.fail(429, { headers: { 'Retry-After': '0.01' } });
+    await spotify.markets();
+
+    const limited = events.find(([name]) => name == 'rateLimited')[1];
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.wait, 10);
+    assert.deepStrictEqual(
+      events.map(([name]) => name),
+      ['request', 'response', 'rateLimited', 'retry', 'request', 'response']
+    );
+  });
+
+  it('emits the error of a request which failed without a response', async () => {
+    const error = Object.assign(new Error('network'), { code: 'EPROTO' });
+    const spotify = new Spotify('mock-token', {
+      fetch: () => Promise.reject(error),
+    });
+    const events = record(spotify);
+
+    await assert.rejects(spotify.markets(), (e) => e === error);
+    assert.deepStrictEqual(events.pop(), [
+      'error',
+      {
+        method: 'GET',
+        path: 'https://api.spotify.com/v1/markets',
+        error,
+      },
+    ]);
+  });
+
+  it('does not emit the error when nothing listens for it', async () => {
+    const error = new Error('network');
+    const spotify = new Spotify('mock-token', {
+      fetch: () => Promise.reject(error),
+    });
+
+    await assert.rejects(spotify.markets(), (e) => e === error);
+  });
+
+  it('does not emit an error for an error response', async () => {
+    const { spotify } = client();
+    const events = record(spotify);
+
+    await assert.rejects(spotify.albums.get('xxx'), NotFoundError);
+    assert.deepStrictEqual(
+      events.map(([name, event]) => [name, event.status]),
+      [
+        ['request', undefined],
+        ['response', 404],
+      ]
+    );
+  });
+});
+
+describe('Base urls', () => {
+  /**
+   * Creates a client of the mock behind a proxy, which records the urls it's sent.
+   * @returns {{spotify: Spotify, urls: string[]}}
+   */
+  const proxied = () => {
+    const urls = [];
+    const { spotify } = client(
+      { tokens: null },
+      {
+        apiUrl: 'http://proxy/spotify/',
+        accountsUrl: 'http://proxy/accounts/',
+        clientId: 'client',
+        clientSecret: 'secret',
+        redirectUri: 'http://localhost/callback',
+      }
+    );
+    const send = spotify.util.transport;
+
+    spotify.util.transport = (url, options) => {
+      urls.push(url);
+
+      return send(
+        url
+          .replace('http://proxy/spotify', 'https://api.spotify.com/v1')
+          .replace('http://proxy/accounts', 'https://accounts.spotify.com'),
+        options
+      );
+    };
+
+    return { spotify, urls };
+  };
+
+  it('sends the requests to the apiUrl', async () => {
+    const { spotify, urls } = proxied();
+
+    await spotify.markets();
+
+    assert.deepStrictEqual(urls, ['http://proxy/spotify/markets']);
+  });
+
+  it('moves links to spotify to the apiUrl and keeps other urls', () => {
+    const { spotify } = proxied();
+
+    assert.strictEqual(
+      spotify.util.url('https://api.spotify.com/v1/me/tracks?offset=20'),
+      'http://proxy/spotify/me/tracks?offset=20'
+    );
+    assert.strictEqual(
+      spotify.util.url('https://example.com/x'),
+      'https://example.com/x'
+    );
+  });
+
+  it('sends the token requests and the authorize url to the accountsUrl', async () => {
+    const { spotify, urls } = proxied();
+
+    await spotify.auth.credentials();
+
+    assert.deepStrictEqual(urls, ['http://proxy/accounts/api/token']);
+    assert.ok(
+      spotify.auth.url().startsWith('http://proxy/accounts/authorize?')
+    );
+  });
+});
@@ -0,0 +1,137 @@
+const fetch = require('node-fetch');
+const assert = require('node:assert');
+const { it } = require('node:test');
+const {
+  Spotify,
+  SpotifyPool,
+  MockSpotify,
+  ApiError,
+  HTTPError,
+} = require('../src/index.js');
+
+/* The ids of the default fixtures of the mock */
+const ids = {
+  bowie: '0oSGxfWSnnOXhD2fKuz2Gy',
+  queen: '1dfeR4HaWDbWqFHLkxsg1d',
+  ziggy: '48D1hRORqJq52qsnUYZX56',
+  opera: '6i6folBtxKV28WX3msQ4FE',
+  starman: '0pQskrTITgmCMyr85tb9qq',
+  stardust: '6wEHNDYYvmRBIVX1GWwQDF',
+  rhapsody: '4u7EnebtmKWzUH433cf5Qv',
+  love: '1xVEqjt0dZ3Y3Bn3yZJ4bq',
+  show: '5CfCWKI5pZ28U0uOzXkDHe',
+  one: '512ojhOuo1ktJprKbVcKyQ',
+  two: '77o6BIVlYM3msb4MMIL1jH',
+  playlist: '3cEYpjA9oz9GiPac4AsH4n',
+  device: 'mockdevice',
+  user: 'mockuser',
+  other: 'otheruser',
+};
+
+/**
+ * Creates a client which sends its requests to a mock api.
+ * @param {MockOptions} [mockOptions] - The options for the mock.
+ * @param {SpotifyOptions} [options] - The options for the client - its fetch is the mock's.
+ * @param {string|null} [token='mock-token'] - The access token of the client.
+ * @returns {{spotify: Spotify, mock: MockSpotify}}
+ */
+function client(mockOptions, options, token = 'mock-token') {
+  const mock = new MockSpotify(mockOptions);
+  const spotify = new Spotify(
+    token,
+    Object.assign({ fetch: mock.fetch }, options)
+  );
+
+  return { spotify, mock };
+}
+
+/**
+ * Creates a pool of clients which send their requests to a mock api.
+ * @param {MockOptions} [mockOptions] - The options for the mock.
+ * @param {SpotifyOptions} [options] - The options for the pool - the fetch of its clients is the mock's.
+ * @returns {{pool: SpotifyPool, mock: MockSpotify}}
+ */
+function pooled(mockOptions, options) {
+  const mock = new MockSpotify(mockOptions);
+  const pool = new SpotifyPool(Object.assign({ fetch: mock.fetch }, options));
+
+  return { pool, mock };
+}
+
+/**
+ * Creates a client which answers every request with the same response.
+ * @param {number} status - The status of the response.
+ * @param {object|Array|string|null} [body] - The body of the response - sent as json unless it's a string, no body by default.
+ * @param {object} [headers] - The headers of the response.
+ * @param {SpotifyOptions} [options] - The options for the client - its fetch is the stub's.
+ * @returns {{spotify: Spotify, requests: Array<{url: string, options: object}>}}
+ */
+function stub(status, body, headers = {}, options) {
+  const requests = [];
+
+  const transport = (url, opts) => {
+    requests.push({ url, options: opts });
+
+    let text = body;
+
+    if (body === undefined || body === null) {
+      text = null;
+    } else if (typeof body != 'string') {
+      text = JSON.stringify(body);
+    }
+
+    return Promise.resolve(new fetch.Response(text, { status, headers }));
+  };
+
+  const spotify = new Spotify(
+    'stub-token',
+    Object.assign({ fetch: transport }, options)
+  );
+
+  return { spotify, requests };
+}
+
+/**
+ * Adds tests checking calls reject with an ApiError for an error response, and with an HTTPError for an unexpected response without a body.
+ * @param {Object<string, Function>} calls - The calls by name - each is given a client and returns the promise of the call.
+ * @returns {void}
+ */
+function errors(calls) {
+  Object.entries(calls).forEach(([name, call]) => {
+    it(name + ' rejects with an ApiError for an error response', async () => {
+      const error = { status: 404, message: 'Not found' };
+      const { spotify } = stub(404, { error });
+
+      await assert.rejects(call(spotify), (e) => {
+        assert.ok(e instanceof ApiError);
+        assert.deepStrictEqual(e.error, error);
+        return true;
+      });
+    });
+
+    it(
+      name + ' rejects with an HTTPError for a response without a body',
+      async () => {
+        const { spotify } = stub(400);
+
+        await assert.rejects(call(spotify), (e) => {
+          assert.ok(e instanceof HTTPError);
+          assert.strictEqual(e.response.status, 400);
+          return true;
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Get the last request the mock received to an endpoint.
+ * @param {MockSpotify} mock - The mock.
+ * @param {string} path - The endpoint. eg: /me/tracks
+ * @returns {MockRequest|undefined}
+ */
+function last(mock, path) {
+  return mock.requests.filter((request) => request.path == path).pop();
+}
+
+module.exports = { ids, client, pooled, stub, errors, last };
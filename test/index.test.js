@@ -0,0 +1,36 @@
+const path = require('path');
+const assert = require('node:assert');
+const { execFileSync } = require('node:child_process');
+const { describe, it } = require('node:test');
+const lib = require('../src/index.js');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('index', () => {
+  it('does not load the mock until it is used', () => {
+    /* Run in a new process, as the other tests load the mock */
+    const script = `
+      const lib = require('./src/index.js');
+      const loaded = () =>
+        Object.keys(require.cache).some((file) => file.startsWith(process.argv[1]));
+
+      const before = loaded();
+      lib.MockSpotify;
+      console.log(JSON.stringify([before, loaded()]));
+    `;
+    const output = execFileSync(
+      process.execPath,
+      ['-e', script, path.join(ROOT, 'src', 'mock')],
+      { cwd: ROOT, encoding: 'utf8' }
+    );
+
+    assert.deepStrictEqual(JSON.parse(output), [false, true]);
+  });
+
+  it('exports the mock', () => {
+    const { MockSpotify } = lib;
+
+    assert.strictEqual(MockSpotify, require('../src/mock/MockSpotify.js'));
+    assert.strictEqual(typeof new MockSpotify().fetch, 'function');
+  });
+});
@@ -0,0 +1,154 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, errors, last } = require('../helpers.js');
+const { Album, Track, Page } = require('../../src/index.js');
+
+describe('AlbumManager', () => {
+  it('get resolves an album with its tracks', async () => {
+    const { spotify } = client();
+    const album = await spotify.albums.get(ids.ziggy);
+
+    assert.ok(album instanceof Album);
+    assert.strictEqual(album.id, ids.ziggy);
+    assert.strictEqual(album.artists[0].name, 'David Bowie');
+    assert.deepStrictEqual(
+      album.tracks.map((t) => t.name),
+      ['Starman', 'Ziggy Stardust']
+    );
+    assert.ok(album.tracks[0] instanceof Track);
+  });
+
+  it('getMany resolves null for the ids which do not exist', async () => {
+    const { spotify } = client();
+    const albums = await spotify.albums.getMany([ids.ziggy, 'xxx', ids.opera]);
+
+    assert.strictEqual(albums.length, 3);
+    assert.strictEqual(albums[0].id, ids.ziggy);
+    assert.strictEqual(albums[1], null);
+    assert.strictEqual(albums[2].id, ids.opera);
+  });
+
+  it('getMany requests at most 20 albums at a time', async () => {
+    const { spotify, mock } = client();
+    const list = Array.from({ length: 45 }, (_, i) => 'x' + i);
+
+    const albums = await spotify.albums.getMany(list);
+    const requests = mock.requests.filter((r) => r.path == '/albums');
+
+    assert.strictEqual(albums.length, 45);
+    assert.deepStrictEqual(
+      requests.map((r) => r.query.ids.split(',').length),
+      [20, 20, 5]
+    );
+  });
+
+  it('tracks resolves a page of the tracks of an album', async () => {
+    const { spotify } = client();
+    const tracks = await spotify.albums.tracks(ids.opera, { limit: 1 });
+
+    assert.ok(tracks instanceof Page);
+    assert.strictEqual(tracks.total, 2);
+    assert.strictEqual(tracks[0].name, 'Love of My Life');
+
+    const next = await tracks.next();
+    assert.strictEqual(next[0].name, 'Bohemian Rhapsody');
+  });
+
+  it('get, getMany and tracks send the market', async () => {
+    const { spotify, mock } = client();
+    spotify.set('market', 'US');
+
+    const album = await spotify.albums.get(ids.opera);
+    assert.strictEqual(last(mock, '/albums/' + ids.opera).query.market, 'US');
+    assert.strictEqual(album.is_playable, true);
+    assert.deepStrictEqual(
+      album.tracks.map((t) => t.is_playable),
+      [false, true]
+    );
+
+    await spotify.albums.getMany([ids.opera], { market: 'SE' });
+    assert.strictEqual(last(mock, '/albums').query.market, 'SE');
+
+    const tracks = await spotify.albums.tracks(ids.opera, { limit: 1 });
+    assert.strictEqual(
+      last(mock, '/albums/' + ids.opera + '/tracks').query.market,
+      'US'
+    );
+    assert.strictEqual(tracks[0].is_playable, false);
+    assert.strictEqual((await tracks.next())[0].is_playable, true);
+  });
+
+  it('saved resolves the saved albums with when they were saved', async () => {
+    const { spotify } = client();
+    const albums = await spotify.albums.saved();
+
+    assert.strictEqual(albums.length, 1);
+    assert.ok(albums[0] instanceof Album);
+    assert.strictEqual(albums[0].id, ids.opera);
+    assert.ok(albums[0].added_at);
+  });
+
+  it('save, starred and remove change the library', async () => {
+    const { spotify, mock } = client();
+
+    assert.deepStrictEqual(await spotify.albums.save(ids.ziggy), {
+      status: 200,
+    });
+    assert.deepStrictEqual(await spotify.albums.starred([ids.ziggy]), [true]);
+
+    await spotify.albums.remove([ids.ziggy, ids.opera]);
+
+    assert.deepStrictEqual(last(mock, '/me/albums').query.ids.split(','), [
+      ids.ziggy,
+      ids.opera,
+    ]);
+    assert.deepStrictEqual(
+      await spotify.albums.starred([ids.ziggy, ids.opera]),
+      [false, false]
+    );
+  });
+
+  it('releases resolves the new releases', async () => {
+    const { spotify } = client();
+    const albums = await spotify.albums.releases();
+
+    assert.deepStrictEqual(
+      albums.map((a) => a.id),
+      [ids.opera, ids.ziggy]
+    );
+  });
+
+  it('search resolves the matching albums', async () => {
+    const { spotify } = client();
+    const albums = await spotify.albums.search('opera');
+
+    assert.ok(albums instanceof Page);
+    assert.deepStrictEqual(
+      albums.map((a) => a.name),
+      ['A Night at the Opera']
+    );
+  });
+
+  it('fetchAll follows the pages of a paged method', async () => {
+    const { spotify } = client();
+    const tracks = await spotify.albums.tracks.fetchAll(ids.ziggy, {
+      limit: 1,
+    });
+
+    assert.strictEqual(tracks.length, 2);
+  });
+
+  describe('errors', () => {
+    errors({
+      get: (spotify) => spotify.albums.get(ids.ziggy),
+      getMany: (spotify) => spotify.albums.getMany([ids.ziggy]),
+      tracks: (spotify) => spotify.albums.tracks(ids.ziggy),
+      saved: (spotify) => spotify.albums.saved(),
+      save: (spotify) => spotify.albums.save(ids.ziggy),
+      remove: (spotify) => spotify.albums.remove(ids.ziggy),
+      starred: (spotify) => spotify.albums.starred(ids.ziggy),
+      releases: (spotify) => spotify.albums.releases(),
+      search: (spotify) => spotify.albums.search('x'),
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, errors, last } = require('../helpers.js');
+const { Artist, Album, Track, Page } = require('../../src/index.js');
+
+describe('ArtistManager', () => {
+  it('get resolves an artist', async () => {
+    const { spotify } = client();
+    const artist = await spotify.artists.get(ids.bowie);
+
+    assert.ok(artist instanceof Artist);
+    assert.strictEqual(artist.name, 'David Bowie');
+    assert.deepStrictEqual(artist.genres, ['art rock', 'glam rock']);
+  });
+
+  it('getMany resolves the artists in the order of their ids', async () => {
+    const { spotify } = client();
+    const artists = await spotify.artists.getMany([ids.queen, ids.bowie]);
+
+    assert.deepStrictEqual(
+      artists.map((a) => a.name),
+      ['Queen', 'David Bowie']
+    );
+  });
+
+  it('albums resolves a page of the albums of an artist', async () => {
+    const { spotify, mock } = client();
+    const albums = await spotify.artists.albums(ids.queen, {
+      groups: ['album'],
+    });
+
+    assert.ok(albums instanceof Page);
+    assert.ok(albums[0] instanceof Album);
+    assert.strictEqual(albums[0].id, ids.opera);
+    assert.strictEqual(
+      last(mock, '/artists/' + ids.queen + '/albums').query.include_groups,
+      'album'
+    );
+  });
+
+  it('follow, following and unfollow change the followed artists', async () => {
+    const { spotify } = client();
+
+    assert.deepStrictEqual(await spotify.artists.following(ids.bowie), [false]);
+    assert.deepStrictEqual(await spotify.artists.follow(ids.bowie), {
+      status: 204,
+    });
+    assert.deepStrictEqual(await spotify.artists.following(ids.bowie), [true]);
+    assert.deepStrictEqual(await spotify.artists.unfollow(ids.bowie), {
+      status: 204,
+    });
+    assert.deepStrictEqual(await spotify.artists.following(ids.bowie), [false]);
+  });
+
+  it('top resolves the most popular tracks of an artist', async () => {
+    const { spotify, mock } = client();
+    const tracks = await spotify.artists.top(ids.queen, { market: 'GB' });
+
+    assert.ok(tracks[0] instanceof Track);
+    assert.deepStrictEqual(
+      tracks.map((t) => t.name),
+      ['Bohemian Rhapsody', 'Love of My Life']
+    );
+    assert.strictEqual(
+      last(mock, '/artists/' + ids.queen + '/top-tracks').query.market,
+      'GB'
+    );
+  });
+
+  it('top sends the market of the client unless one is given', async () => {
+    const { spotify, mock } = client();
+    const path = '/artists/' + ids.queen + '/top-tracks';
+
+    await spotify.artists.top(ids.queen);
+    assert.deepStrictEqual(last(mock, path).query, {});
+
+    spotify.set('market', 'SE');
+    await spotify.artists.top(ids.queen);
+    assert.strictEqual(last(mock, path).query.market, 'SE');
+  });
+
+  it('related resolves the artists sharing a genre', async () => {
+    const { spotify } = client();
+    const artists = await spotify.artists.related(ids.bowie);
+
+    assert.ok(artists[0] instanceof Artist);
+    assert.deepStrictEqual(
+      artists.map((a) => a.name),
+      ['Queen']
+    );
+  });
+
+  it('search resolves the matching artists', async () => {
+    const { spotify } = client();
+    const artists = await spotify.artists.search('queen');
+
+    assert.deepStrictEqual(
+      artists.map((a) => a.id),
+      [ids.queen]
+    );
+  });
+
+  describe('errors', () => {
+    errors({
+      get: (spotify) => spotify.artists.get(ids.bowie),
+      getMany: (spotify) => spotify.artists.getMany([ids.bowie]),
+      albums: (spotify) => spotify.artists.albums(ids.bowie),
+      follow: (spotify) => spotify.artists.follow(ids.bowie),
+      unfollow: (spotify) => spotify.artists.unfollow(ids.bowie),
+      following: (spotify) => spotify.artists.following(ids.bowie),
+      top: (spotify) => spotify.artists.top(ids.bowie),
+      related: (spotify) => spotify.artists.related(ids.bowie),
+      search: (spotify) => spotify.artists.search('x'),
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, stub, errors } = require('../helpers.js');
+
+describe('AudioManager', () => {
+  it('features resolves the audio features of a track', async () => {
+    const features = { id: ids.starman, tempo: 97.5, energy: 0.6 };
+    const { spotify, requests } = stub(200, features);
+
+    assert.deepStrictEqual(
+      await spotify.tracks.audio.features(ids.starman),
+      features
+    );
+    assert.strictEqual(
+      requests[0].url,
+      'https://api.spotify.com/v1/audio-features/' + ids.starman
+    );
+  });
+
+  it('analysis resolves the audio analysis of a track', async () => {
+    const analysis = { track: { tempo: 97.5 }, bars: [], beats: [] };
+    const { spotify, requests } = stub(200, analysis);
+
+    assert.deepStrictEqual(
+      await spotify.tracks.audio.analysis(ids.starman),
+      analysis
+    );
+    assert.strictEqual(
+      requests[0].url,
+      'https://api.spotify.com/v1/audio-analysis/' + ids.starman
+    );
+  });
+
+  describe('errors', () => {
+    errors({
+      features: (spotify) => spotify.tracks.audio.features(ids.starman),
+      analysis: (spotify) => spotify.tracks.audio.analysis(ids.starman),
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, last } = require('../helpers.js');
+const { ApiError, AppAccessError } = require('../../src/index.js');
+
+/* The mock only accepts the tokens it issued */
+const ISSUED = { tokens: [] };
+
+/* The options of the app's client */
+const APP = {
+  clientId: 'id',
+  clientSecret: 'secret',
+  redirectUri: 'http://localhost/callback',
+};
+
+describe('AuthManager', () => {
+  it('url builds the authorization url', () => {
+    const { spotify } = client(ISSUED, APP, null);
+    const url = new URL(
+      spotify.auth.url({ scopes: ['user-read-email', 'streaming'], state: 's' })
+    );
+
+    assert.strictEqual(
+      url.origin + url.pathname,
+      'https://accounts.spotify.com/authorize'
+    );
+    assert.deepStrictEqual(Object.fromEntries(url.searchParams), {
+      client_id: 'id',
+      response_type: 'code',
+      redirect_uri: 'http://localhost/callback',
+      scope: 'user-read-email streaming',
+      state: 's',
+    });
+  });
+
+  it('pkce generates a verifier and its challenge', () => {
+    const { spotify } = client(ISSUED, APP, null);
+    const { verifier, challenge } = spotify.auth.pkce();
+
+    assert.ok(verifier.length >= 43);
+    assert.notStrictEqual(verifier, challenge);
+  });
+
+  it('exchange sets the tokens to the client', async () => {
+    const { spotify, mock } = client(ISSUED, APP, null);
+    const token = await spotify.auth.exchange('code');
+
+    assert.strictEqual(spotify.access_token, token.access_token);
+    assert.strictEqual(spotify.auth.refresh_token, token.refresh_token);
+    assert.strictEqual(spotify.refresher, spotify.auth);
+    assert.ok(spotify.auth.expires_at > Date.now());
+    assert.strictEqual(last(mock, '/api/token').body.code, 'code');
+    assert.strictEqual(
+      last(mock, '/api/token').headers.get('authorization'),
+      'Basic ' + Buffer.from('id:secret').toString('base64')
+    );
+
+    assert.strictEqual((await spotify.users.me()).id, ids.user);
+  });
+
+  it('exchange sends the verifier instead of the secret with PKCE', async () => {
+    const { spotify, mock } = client(
+      ISSUED,
+      Object.assign({}, APP, { clientSecret: undefined }),
+      null
+    );
+
+    await spotify.auth.exchange('code', { verifier: 'verifier' });
+
+    const request = last(mock, '/api/token');
+    assert.strictEqual(request.body.client_id, 'id');
+    assert.strictEqual(request.body.code_verifier, 'verifier');
+    assert.strictEqual(request.headers.get('authorization'), null);
+  });
+
+  it('exchange rejects for an invalid grant', async () => {
+    const { spotify } = client(ISSUED, APP, null);
+
+    await assert.rejects(spotify.auth.exchange(''), (e) => {
+      assert.ok(e instanceof ApiError);
+      assert.deepStrictEqual(e.error, {
+        status: 400,
+        message: 'Invalid authorization code',
+      });
+      return true;
+    });
+  });
+
+  it('requests renew a revoked access token with the refresh token', async () => {
+    const { spotify, mock } = client(ISSUED, APP, null);
+    const refreshed = [];
+
+    spotify.on('tokenRefreshed', (token) => refreshed.push(token));
+
+    const token = await spotify.auth.exchange('code');
+    mock.revoke(token.access_token);
+
+    assert.strictEqual((await spotify.users.me()).id, ids.user);
+    assert.notStrictEqual(spotify.access_token, token.access_token);
+    assert.strictEqual(
+      last(mock, '/api/token').body.grant_type,
+      'refresh_token'
+    );
+    assert.strictEqual(refreshed.length, 1);
+  });
+
+  it('concurrent requests renew an expired access token once', async () => {
+    const { spotify, mock } = client(ISSUED, APP, null);
+    const token = await spotify.auth.exchange('code');
+
+    spotify.auth.expires_at = Date.now() - 1000;
+
+    const [me, markets, album] = await Promise.all([
+      spotify.users.me(),
+      spotify.markets(),
+      spotify.albums.get(ids.ziggy),
+    ]);
+
+    assert.strictEqual(me.id, ids.user);
+    assert.deepStrictEqual(markets, ['GB', 'SE', 'US']);
+    assert.strictEqual(album.id, ids.ziggy);
+
+    const renewals = mock.requests.filter(
+      (request) =>
+        request.path == '/api/token' &&
+        request.body.grant_type == 'refresh_token'
+    );
+    assert.strictEqual(renewals.length, 1);
+    assert.notStrictEqual(spotify.access_token, token.access_token);
+    assert.ok(spotify.auth.expires_at > Date.now());
+  });
+
+  it('requests get an app access token without an access token', async () => {
+    const { spotify, mock } = client(ISSUED, APP, null);
+
+    assert.deepStrictEqual(await spotify.markets(), ['GB', 'SE', 'US']);
+    assert.strictEqual(spotify.auth.grant, 'client_credentials');
+    assert.strictEqual(
+      last(mock, '/api/token').body.grant_type,
+      'client_credentials'
+    );
+  });
+
+  it('requests of a user reject with an AppAccessError with app access', async () => {
+    const { spotify, mock } = client(ISSUED, APP, null);
+
+    await spotify.auth.credentials();
+
+    await assert.rejects(spotify.users.me(), (e) => {
+      assert.ok(e instanceof AppAccessError);
+      assert.strictEqual(e.method, 'get');
+      assert.strictEqual(e.path, 'https://api.spotify.com/v1/me');
+      return true;
+    });
+    assert.deepStrictEqual(
+      mock.requests.map((request) => request.path),
+      ['/api/token']
+    );
+  });
+
+  it('missing resolves the scopes which were not granted', () => {
+    const { spotify } = client(ISSUED, APP, null);
+
+    assert.deepStrictEqual(spotify.auth.missing(['user-read-email']), []);
+
+    spotify.auth.update({
+      access_token: 'xxx',
+      scope: 'user-read-email user-read-playback-state',
+    });
+
+    assert.deepStrictEqual(
+      spotify.auth.missing([
+        'user-read-email',
+        ['user-read-currently-playing', 'user-read-playback-state'],
+        'streaming',
+        ['playlist-modify-public', 'playlist-modify-private'],
+      ]),
+      ['streaming', ['playlist-modify-public', 'playlist-modify-private']]
+    );
+  });
+
+  it('a token request succeeds when the store fails to save it', async () => {
+    const error = new Error('write failed');
+    const store = { get: () => null, set: () => Promise.reject(error) };
+    const { spotify } = client(ISSUED, Object.assign({ store }, APP), null);
+    const events = [];
+
+    spotify.on('storeError', (event) => events.push(event));
+
+    const token = await spotify.auth.exchange('code');
+
+    assert.strictEqual(spotify.access_token, token.access_token);
+    assert.deepStrictEqual(events, [
+      { key: 'default', operation: 'save', error },
+    ]);
+  });
+
+  it('load counts a failed read as no token and reads again the next time', async () => {
+    const error = new Error('read failed');
+    let reads = 0;
+    const store = {
+      get: () => {
+        reads++;
+        return reads == 1
+          ? Promise.reject(error)
+          : { access_token: 'stored', expires_at: Date.now() + 3600000 };
+      },
+      set: () => null,
+    };
+    const { spotify } = client(ISSUED, Object.assign({ store }, APP), null);
+    const events = [];
+
+    spotify.on('storeError', (event) => events.push(event));
+
+    assert.strictEqual(await spotify.auth.load(), null);
+    assert.strictEqual(spotify.access_token, null);
+    assert.deepStrictEqual(events, [
+      { key: 'default', operation: 'read', error },
+    ]);
+
+    assert.strictEqual((await spotify.auth.load()).access_token, 'stored');
+    assert.strictEqual(spotify.access_token, 'stored');
+    assert.strictEqual(reads, 2);
+  });
+});
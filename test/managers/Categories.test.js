@@ -0,0 +1,53 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { client, errors, last } = require('../helpers.js');
+const { Page } = require('../../src/index.js');
+
+describe('CategoryManager', () => {
+  it('get resolves a category', async () => {
+    const { spotify, mock } = client();
+    const category = await spotify.categories.get('rock', 'GB', 'en_GB');
+
+    assert.strictEqual(category.name, 'Rock');
+    assert.deepStrictEqual(last(mock, '/browse/categories/rock').query, {
+      country: 'GB',
+      locale: 'en_GB',
+    });
+  });
+
+  it('all resolves a page of the categories', async () => {
+    const { spotify } = client();
+    const categories = await spotify.categories.all();
+
+    assert.ok(categories instanceof Page);
+    assert.deepStrictEqual(
+      categories.map((c) => c.id),
+      ['rock']
+    );
+  });
+
+  it('all pages through the categories', async () => {
+    const { spotify } = client({
+      fixtures: {
+        categories: [
+          { id: 'rock', name: 'Rock' },
+          { id: 'pop', name: 'Pop' },
+        ],
+      },
+    });
+
+    const first = await spotify.categories.all({ limit: 1 });
+    const second = await first.next();
+
+    assert.strictEqual(first.pages, 2);
+    assert.strictEqual(second[0].id, 'pop');
+    assert.strictEqual(await second.next(), null);
+  });
+
+  describe('errors', () => {
+    errors({
+      get: (spotify) => spotify.categories.get('rock'),
+      all: (spotify) => spotify.categories.all(),
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, errors, last } = require('../helpers.js');
+const { Episode, Page } = require('../../src/index.js');
+
+describe('EpisodeManager', () => {
+  it('get resolves an episode with its show', async () => {
+    const { spotify } = client();
+    const episode = await spotify.episodes.get(ids.one);
+
+    assert.ok(episode instanceof Episode);
+    assert.strictEqual(episode.name, 'Episode One');
+    assert.strictEqual(episode.show.id, ids.show);
+  });
+
+  it('getMany resolves the episodes in the order of their ids', async () => {
+    const { spotify } = client();
+    const episodes = await spotify.episodes.getMany([ids.two, ids.one]);
+
+    assert.deepStrictEqual(
+      episodes.map((e) => e.name),
+      ['Episode Two', 'Episode One']
+    );
+  });
+
+  it('get and getMany send the market', async () => {
+    const { spotify, mock } = client();
+    spotify.set('market', 'SE');
+
+    const episode = await spotify.episodes.get(ids.one);
+    assert.strictEqual(last(mock, '/episodes/' + ids.one).query.market, 'SE');
+    assert.strictEqual(episode.is_playable, true);
+
+    await spotify.episodes.getMany([ids.one], { market: 'GB' });
+    assert.strictEqual(last(mock, '/episodes').query.market, 'GB');
+  });
+
+  it('users resolves the saved episodes with when they were saved', async () => {
+    const { spotify } = client();
+
+    await spotify.episodes.save(ids.two);
+    const episodes = await spotify.episodes.users();
+
+    assert.ok(episodes instanceof Page);
+    assert.ok(episodes[0] instanceof Episode);
+    assert.strictEqual(episodes[0].id, ids.two);
+    assert.ok(episodes[0].added_at);
+  });
+
+  it('save, starred and remove change the library', async () => {
+    const { spotify } = client();
+
+    assert.deepStrictEqual(await spotify.episodes.save([ids.one]), {
+      status: 200,
+    });
+    assert.deepStrictEqual(await spotify.episodes.starred([ids.one, ids.two]), [
+      true,
+      false,
+    ]);
+    assert.deepStrictEqual(await spotify.episodes.remove(ids.one), {
+      status: 200,
+    });
+    assert.deepStrictEqual(await spotify.episodes.starred(ids.one), [false]);
+  });
+
+  it('search resolves the matching episodes', async () => {
+    const { spotify } = client();
+    const episodes = await spotify.episodes.search('two');
+
+    assert.deepStrictEqual(
+      episodes.map((e) => e.id),
+      [ids.two]
+    );
+  });
+
+  describe('errors', () => {
+    errors({
+      get: (spotify) => spotify.episodes.get(ids.one),
+      getMany: (spotify) => spotify.episodes.getMany([ids.one]),
+      users: (spotify) => spotify.episodes.users(),
+      save: (spotify) => spotify.episodes.save(ids.one),
+      remove: (spotify) => spotify.episodes.remove(ids.one),
+      starred: (spotify) => spotify.episodes.starred(ids.one),
+      search: (spotify) => spotify.episodes.search('x'),
+    });
+  });
+});
@@ -0,0 +1,363 @@
+const assert = require('node:assert');
+const { once } = require('node:events');
+const { describe, it } = require('node:test');
+const { ids, client, stub, errors, last } = require('../helpers.js');
+const {
+  ApiError,
+  HTTPError,
+  MissingScopeError,
+  NoActiveDeviceError,
+  Track,
+  CursorPage,
+  PlaybackWatcher,
+} = require('../../src/index.js');
+
+const ALBUM = 'spotify:album:' + ids.opera;
+
+/**
+ * Creates a client whose player is playing an album on the mock device.
+ * @returns {Promise<{spotify: Spotify, mock: MockSpotify}>}
+ */
+async function playing() {
+  const { spotify, mock } = client();
+
+  await spotify.player.start(ALBUM, { device: ids.device });
+  return { spotify, mock };
+}
+
+describe('PlayerManager', () => {
+  it('state rejects with an HTTPError while no device is active', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(spotify.player.state(), (e) => {
+      assert.ok(e instanceof HTTPError);
+      assert.strictEqual(e.response.status, 204);
+      return true;
+    });
+  });
+
+  it('state resolves the playback state', async () => {
+    const { spotify, mock } = await playing();
+    const state = await spotify.player.state(['track', 'episode']);
+
+    assert.strictEqual(state.is_playing, true);
+    assert.strictEqual(state.device.id, ids.device);
+    assert.strictEqual(state.item.name, 'Love of My Life');
+    assert.strictEqual(state.context.uri, ALBUM);
+    assert.strictEqual(
+      last(mock, '/me/player').query.additional_types,
+      'track,episode'
+    );
+  });
+
+  it('devices resolves the devices of the user', async () => {
+    const { spotify } = client();
+    const devices = await spotify.player.devices();
+
+    assert.deepStrictEqual(
+      devices.map((d) => [d.id, d.is_active]),
+      [[ids.device, false]]
+    );
+  });
+
+  it('transfer moves the playback to a device', async () => {
+    const { spotify, mock } = await playing();
+
+    await spotify.player.pause();
+    assert.deepStrictEqual(await spotify.player.transfer(ids.device), {
+      status: 204,
+    });
+    assert.deepStrictEqual(last(mock, '/me/player').body, {
+      device_ids: [ids.device],
+      play: true,
+    });
+    assert.strictEqual((await spotify.player.state()).is_playing, true);
+  });
+
+  it('current resolves what is being played', async () => {
+    const { spotify } = await playing();
+    const current = await spotify.player.current();
+
+    assert.ok(current instanceof Track);
+    assert.strictEqual(current.item.id, ids.love);
+    assert.strictEqual(current.is_playing, true);
+  });
+
+  it('current needs either of the scopes to read the playback', async () => {
+    const { spotify } = await playing();
+
+    spotify.auth.update({
+      access_token: 'mock-token',
+      scope: 'user-read-playback-state',
+    });
+
+    assert.strictEqual((await spotify.player.current()).item.id, ids.love);
+  });
+
+  it('current rejects with a MissingScopeError without a scope to read the playback', async () => {
+    const { spotify, mock } = client();
+
+    spotify.auth.update({
+      access_token: 'mock-token',
+      scope: 'user-read-email',
+    });
+
+    await assert.rejects(spotify.player.current(), (e) => {
+      assert.ok(e instanceof MissingScopeError);
+      assert.deepStrictEqual(e.scopes, [
+        ['user-read-currently-playing', 'user-read-playback-state'],
+      ]);
+      return true;
+    });
+    assert.deepStrictEqual(mock.requests, []);
+  });
+
+  it('start plays a context from an offset', async () => {
+    const { spotify, mock } = client();
+
+    assert.deepStrictEqual(
+      await spotify.player.start(ALBUM, {
+        device: ids.device,
+        offset: 1,
+        ms: 1000,
+      }),
+      { status: 204 }
+    );
+
+    const request = last(mock, '/me/player/play');
+    assert.strictEqual(request.query.device_id, ids.device);
+    assert.deepStrictEqual(request.body, {
+      context_uri: ALBUM,
+      position_ms: 1000,
+      offset: { position: 1 },
+    });
+
+    const state = await spotify.player.state();
+    assert.strictEqual(state.item.id, ids.rhapsody);
+    assert.ok(state.progress_ms >= 1000);
+  });
+
+  it('start rejects with the reason while no device is active', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(spotify.player.start(ALBUM), (e) => {
+      assert.ok(e instanceof ApiError);
+      assert.strictEqual(e.error.status, 404);
+      assert.strictEqual(e.error.reason, 'NO_ACTIVE_DEVICE');
+      return true;
+    });
+  });
+
+  it('pause and resume the playback', async () => {
+    const { spotify } = await playing();
+
+    assert.deepStrictEqual(await spotify.player.pause(), { status: 204 });
+    assert.strictEqual((await spotify.player.state()).is_playing, false);
+
+    await assert.rejects(spotify.player.pause(), (e) => {
+      assert.strictEqual(e.error.reason, 'ALREADY_PAUSED');
+      return true;
+    });
+
+    assert.deepStrictEqual(await spotify.player.resume(ids.device), {
+      status: 204,
+    });
+    assert.strictEqual((await spotify.player.state()).is_playing, true);
+  });
+
+  it('next and back skip through the context', async () => {
+    const { spotify } = await playing();
+
+    assert.deepStrictEqual(await spotify.player.next(), { status: 204 });
+    assert.strictEqual((await spotify.player.state()).item.id, ids.rhapsody);
+
+    assert.deepStrictEqual(await spotify.player.back(), { status: 204 });
+    assert.strictEqual((await spotify.player.state()).item.id, ids.love);
+
+    await assert.rejects(spotify.player.back(), (e) => {
+      assert.strictEqual(e.error.reason, 'NO_PREV_TRACK');
+      return true;
+    });
+  });
+
+  it('seek, repeat, volume and shuffle change the playback', async () => {
+    const { spotify, mock } = await playing();
+
+    await spotify.player.pause();
+    await spotify.player.seek(5000, ids.device);
+    await spotify.player.repeat('context');
+    await spotify.player.volume(20);
+    await spotify.player.shuffle(true);
+
+    const state = await spotify.player.state();
+
+    assert.strictEqual(state.progress_ms, 5000);
+    assert.strictEqual(state.repeat_state, 'context');
+    assert.strictEqual(state.device.volume_percent, 20);
+    assert.strictEqual(state.shuffle_state, true);
+    assert.strictEqual(
+      last(mock, '/me/player/seek').query.device_id,
+      ids.device
+    );
+  });
+
+  it('queue adds an item which is played next', async () => {
+    const { spotify, mock } = await playing();
+    const uri = 'spotify:track:' + ids.starman;
+
+    assert.deepStrictEqual(await spotify.player.queue(uri), { status: 204 });
+    assert.strictEqual(last(mock, '/me/player/queue').query.uri, uri);
+
+    await spotify.player.next();
+    assert.strictEqual((await spotify.player.state()).item.id, ids.starman);
+  });
+
+  it('recent resolves the recently played tracks', async () => {
+    const { spotify } = await playing();
+
+    await spotify.player.next();
+    const tracks = await spotify.player.recent({ limit: 10 });
+
+    assert.ok(tracks instanceof CursorPage);
+    assert.ok(tracks[0] instanceof Track);
+    assert.deepStrictEqual(
+      tracks.map((t) => t.id),
+      [ids.rhapsody, ids.love]
+    );
+    assert.ok(tracks.cursors.before);
+  });
+
+  it('recent throws when both after and before are given', () => {
+    const { spotify } = client();
+
+    assert.throws(() => spotify.player.recent({ after: 1, before: 2 }));
+  });
+
+  it('watch polls the playback and emits the changes', async () => {
+    const { spotify } = await playing();
+    const watcher = spotify.player.watch({ interval: 60000 });
+
+    try {
+      assert.ok(watcher instanceof PlaybackWatcher);
+
+      const [item, previous] = await once(watcher, 'trackChange');
+      assert.strictEqual(item.id, ids.love);
+      assert.strictEqual(previous, null);
+    } finally {
+      watcher.stop();
+    }
+  });
+
+  it('state, devices and transfer keep the last known device', async () => {
+    const { spotify } = client();
+
+    assert.strictEqual(spotify.player.device, null);
+
+    await spotify.player.transfer(ids.device, false);
+    assert.strictEqual(spotify.player.device, ids.device);
+
+    spotify.player.device = null;
+    await spotify.player.devices();
+    assert.strictEqual(spotify.player.device, ids.device);
+
+    spotify.player.device = null;
+    await spotify.player.state();
+    assert.strictEqual(spotify.player.device, ids.device);
+  });
+
+  it('start plays on the last known device with autoTransfer', async () => {
+    const { spotify, mock } = await playing();
+
+    mock.playback.device = null;
+    spotify.player.autoTransfer = true;
+
+    assert.deepStrictEqual(await spotify.player.start(ALBUM, { offset: 1 }), {
+      status: 204,
+    });
+    assert.strictEqual(
+      last(mock, '/me/player/play').query.device_id,
+      ids.device
+    );
+
+    const state = await spotify.player.state();
+    assert.strictEqual(state.device.id, ids.device);
+    assert.strictEqual(state.item.id, ids.rhapsody);
+  });
+
+  it('resume transfers to the last known device with autoTransfer', async () => {
+    const { spotify, mock } = client({}, { autoTransfer: true });
+
+    await spotify.player.start(ALBUM, { device: ids.device });
+    await spotify.player.pause();
+    mock.playback.device = null;
+
+    assert.deepStrictEqual(await spotify.player.resume(), { status: 204 });
+    assert.deepStrictEqual(last(mock, '/me/player').body, {
+      device_ids: [ids.device],
+      play: true,
+    });
+    assert.strictEqual((await spotify.player.state()).is_playing, true);
+  });
+
+  it('start plays on the first device of a new client with autoTransfer', async () => {
+    const { spotify, mock } = client({}, { autoTransfer: true });
+
+    assert.strictEqual(spotify.player.device, null);
+    assert.deepStrictEqual(await spotify.player.start(ALBUM), {
+      status: 204,
+    });
+    assert.ok(last(mock, '/me/player/devices'));
+    assert.strictEqual(
+      last(mock, '/me/player/play').query.device_id,
+      ids.device
+    );
+    assert.strictEqual((await spotify.player.state()).device.id, ids.device);
+  });
+
+  it('resume rejects without autoTransfer or a device which can be controlled', async () => {
+    const { spotify, mock } = await playing();
+
+    mock.playback.device = null;
+    await assert.rejects(spotify.player.resume(), NoActiveDeviceError);
+
+    spotify.player.autoTransfer = true;
+    spotify.player.device = null;
+    mock.data.devices.get(ids.device).is_restricted = true;
+    await assert.rejects(spotify.player.resume(), NoActiveDeviceError);
+  });
+
+  it('commands reject with the reason of a player error', async () => {
+    const { spotify } = stub(403, {
+      error: {
+        status: 403,
+        message: 'Player command failed: Premium required',
+        reason: 'PREMIUM_REQUIRED',
+      },
+    });
+
+    await assert.rejects(spotify.player.pause(), (e) => {
+      assert.strictEqual(e.error.reason, 'PREMIUM_REQUIRED');
+      return true;
+    });
+  });
+
+  describe('errors', () => {
+    errors({
+      state: (spotify) => spotify.player.state(),
+      transfer: (spotify) => spotify.player.transfer(ids.device),
+      devices: (spotify) => spotify.player.devices(),
+      current: (spotify) => spotify.player.current(),
+      start: (spotify) => spotify.player.start(ALBUM),
+      resume: (spotify) => spotify.player.resume(),
+      pause: (spotify) => spotify.player.pause(),
+      next: (spotify) => spotify.player.next(),
+      back: (spotify) => spotify.player.back(),
+      seek: (spotify) => spotify.player.seek(1000),
+      repeat: (spotify) => spotify.player.repeat('off'),
+      volume: (spotify) => spotify.player.volume(50),
+      shuffle: (spotify) => spotify.player.shuffle(false),
+      recent: (spotify) => spotify.player.recent(),
+      queue: (spotify) => spotify.player.queue('spotify:track:' + ids.love),
+    });
+  });
+});
@@ -0,0 +1,318 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, errors, last } = require('../helpers.js');
+const { Playlist, Track, Album, Page } = require('../../src/index.js');
+
+const STARMAN = 'spotify:track:' + ids.starman;
+const STARDUST = 'spotify:track:' + ids.stardust;
+const RHAPSODY = 'spotify:track:' + ids.rhapsody;
+const LOVE = 'spotify:track:' + ids.love;
+
+/**
+ * Get the uris of the items of a playlist.
+ * @param {Spotify} spotify - The spotify client.
+ * @returns {Promise<string[]>}
+ */
+function items(spotify) {
+  return spotify.playlists.tracks
+    .fetchAll(ids.playlist)
+    .then((tracks) => tracks.map((t) => t.uri));
+}
+
+describe('PlaylistManager', () => {
+  it('get resolves a playlist with its tracks', async () => {
+    const { spotify } = client();
+    const playlist = await spotify.playlists.get(ids.playlist);
+
+    assert.ok(playlist instanceof Playlist);
+    assert.strictEqual(playlist.name, 'Mock Mix');
+    assert.strictEqual(playlist.owner.id, ids.user);
+    assert.ok(playlist.tracks[0] instanceof Track);
+    assert.deepStrictEqual(
+      playlist.tracks.map((t) => t.uri),
+      [STARMAN, RHAPSODY]
+    );
+  });
+
+  it('get and tracks send the market', async () => {
+    const { spotify, mock } = client();
+    spotify.set('market', 'US');
+
+    const playlist = await spotify.playlists.get(ids.playlist);
+    assert.strictEqual(
+      last(mock, '/playlists/' + ids.playlist).query.market,
+      'US'
+    );
+    assert.strictEqual(playlist.tracks[0].is_playable, true);
+
+    await spotify.playlists.tracks(ids.playlist, { market: 'GB' });
+    assert.strictEqual(
+      last(mock, '/playlists/' + ids.playlist + '/tracks').query.market,
+      'GB'
+    );
+  });
+
+  it('tracks have the playability and the album of the track', async () => {
+    const { spotify } = client();
+    await spotify.playlists.add(ids.playlist, LOVE, 2);
+
+    const tracks = await spotify.playlists.tracks(ids.playlist, {
+      market: 'US',
+    });
+    const love = tracks.find((t) => t.id == ids.love);
+
+    assert.ok(love.added_at);
+    assert.strictEqual(love.is_playable, false);
+    assert.deepStrictEqual(love.restrictions, { reason: 'market' });
+    assert.ok(love.album instanceof Album);
+    assert.strictEqual(love.track, undefined);
+
+    const track = await spotify.tracks.get(ids.love, { market: 'US' });
+    assert.strictEqual(love.is_playable, track.is_playable);
+    assert.strictEqual(tracks[0].is_playable, true);
+  });
+
+  it('modify changes the details of a playlist', async () => {
+    const { spotify } = client();
+
+    assert.deepStrictEqual(
+      await spotify.playlists.modify(ids.playlist, {
+        name: 'Renamed',
+        public: false,
+      }),
+      { status: 200 }
+    );
+
+    const playlist = await spotify.playlists.get(ids.playlist);
+    assert.strictEqual(playlist.name, 'Renamed');
+    assert.strictEqual(playlist.public, false);
+  });
+
+  it('update replaces the items of a playlist', async () => {
+    const { spotify, mock } = client();
+    const result = await spotify.playlists.update(ids.playlist, {
+      uris: [LOVE, STARDUST],
+    });
+
+    assert.strictEqual(result.status, 200);
+    assert.ok(result.snapshot);
+    assert.strictEqual(
+      last(mock, '/playlists/' + ids.playlist + '/tracks').query.uris,
+      LOVE + ',' + STARDUST
+    );
+    assert.deepStrictEqual(await items(spotify), [LOVE, STARDUST]);
+  });
+
+  it('update reorders the items of a playlist', async () => {
+    const { spotify } = client();
+
+    await spotify.playlists.update(ids.playlist, { start: 1, before: 0 });
+    assert.deepStrictEqual(await items(spotify), [RHAPSODY, STARMAN]);
+  });
+
+  it('tracks resolves a page of the tracks with when they were added', async () => {
+    const { spotify } = client();
+    const tracks = await spotify.playlists.tracks(ids.playlist, { limit: 1 });
+
+    assert.ok(tracks instanceof Page);
+    assert.ok(tracks[0] instanceof Track);
+    assert.strictEqual(tracks[0].uri, STARMAN);
+    assert.ok(tracks[0].added_at);
+    assert.strictEqual(tracks.total, 2);
+    assert.strictEqual((await tracks.next())[0].uri, RHAPSODY);
+  });
+
+  it('add inserts items at a position', async () => {
+    const { spotify, mock } = client();
+    const result = await spotify.playlists.add(ids.playlist, [LOVE], 1);
+
+    assert.ok(result.snapshot);
+    assert.deepStrictEqual(
+      last(mock, '/playlists/' + ids.playlist + '/tracks').body,
+      { uris: [LOVE], position: 1 }
+    );
+    assert.deepStrictEqual(await items(spotify), [STARMAN, LOVE, RHAPSODY]);
+  });
+
+  it('add sends lists over 100 items in order', async () => {
+    const { spotify, mock } = client();
+    const uris = Array.from({ length: 150 }, (_, i) =>
+      i % 2 ? LOVE : STARDUST
+    );
+
+    await spotify.playlists.add(ids.playlist, uris);
+
+    const requests = mock.requests.filter((r) => r.method == 'post');
+    assert.deepStrictEqual(
+      requests.map((r) => [r.body.uris.length, r.body.position]),
+      [
+        [100, 0],
+        [50, 100],
+      ]
+    );
+    assert.strictEqual((await items(spotify)).length, 152);
+  });
+
+  it('remove removes every occurrence of items', async () => {
+    const { spotify, mock } = client();
+    const { snapshot } = await spotify.playlists.add(ids.playlist, [STARMAN]);
+
+    const result = await spotify.playlists.remove(
+      ids.playlist,
+      [STARMAN],
+      snapshot
+    );
+
+    assert.ok(result.snapshot);
+    assert.deepStrictEqual(
+      last(mock, '/playlists/' + ids.playlist + '/tracks').body,
+      { tracks: [{ uri: STARMAN }], snapshot_id: snapshot }
+    );
+    assert.deepStrictEqual(await items(spotify), [RHAPSODY]);
+  });
+
+  it('remove makes the removals of lists over 100 items against the snapshot before them', async () => {
+    const { spotify, mock } = client();
+    const uris = Array.from({ length: 150 }, (_, i) =>
+      i % 2 ? LOVE : STARDUST
+    );
+    const { snapshot } = await spotify.playlists.add(ids.playlist, uris);
+
+    const result = await spotify.playlists.remove(ids.playlist, uris, snapshot);
+
+    const requests = mock.requests.filter((r) => r.method == 'delete');
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[0].body.tracks.length, 100);
+    assert.strictEqual(requests[0].body.snapshot_id, snapshot);
+    assert.strictEqual(requests[1].body.tracks.length, 50);
+    assert.ok(requests[1].body.snapshot_id);
+    assert.notStrictEqual(requests[1].body.snapshot_id, snapshot);
+    assert.notStrictEqual(result.snapshot, requests[1].body.snapshot_id);
+    assert.deepStrictEqual(await items(spotify), [STARMAN, RHAPSODY]);
+  });
+
+  it('users resolves the playlists of a user', async () => {
+    const { spotify } = client();
+
+    const mine = await spotify.playlists.users();
+    const theirs = await spotify.playlists.users(ids.other);
+
+    assert.ok(mine[0] instanceof Playlist);
+    assert.deepStrictEqual(
+      mine.map((p) => p.id),
+      [ids.playlist]
+    );
+    assert.strictEqual(theirs.length, 0);
+  });
+
+  it('follow, followers and unfollow change the followers', async () => {
+    const { spotify } = client();
+
+    assert.deepStrictEqual(await spotify.playlists.follow(ids.playlist), {
+      status: 200,
+    });
+    assert.deepStrictEqual(
+      await spotify.playlists.followers(ids.playlist, [ids.user, ids.other]),
+      [true, false]
+    );
+    assert.deepStrictEqual(await spotify.playlists.unfollow(ids.playlist), {
+      status: 200,
+    });
+    assert.deepStrictEqual(
+      await spotify.playlists.followers(ids.playlist, ids.user),
+      [false]
+    );
+  });
+
+  it('create resolves the new playlist', async () => {
+    const { spotify } = client();
+    const playlist = await spotify.playlists.create(ids.user, {
+      name: 'New',
+      description: 'A new playlist.',
+    });
+
+    assert.ok(playlist instanceof Playlist);
+    assert.strictEqual(playlist.name, 'New');
+    assert.strictEqual((await spotify.playlists.get(playlist.id)).name, 'New');
+  });
+
+  it('create rejects for another user', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(
+      spotify.playlists.create(ids.other, { name: 'New' }),
+      (e) => {
+        assert.strictEqual(e.error.status, 403);
+        return true;
+      }
+    );
+  });
+
+  it('featured resolves the featured playlists', async () => {
+    const { spotify } = client();
+    const playlists = await spotify.playlists.featured();
+
+    assert.ok(playlists[0] instanceof Playlist);
+    assert.strictEqual(playlists[0].id, ids.playlist);
+  });
+
+  it('categories resolves the playlists of a category', async () => {
+    const { spotify } = client();
+    const playlists = await spotify.playlists.categories('rock');
+
+    assert.deepStrictEqual(
+      playlists.map((p) => p.id),
+      [ids.playlist]
+    );
+  });
+
+  it('cover uploads and resolves the cover of a playlist', async () => {
+    const { spotify, mock } = client();
+
+    assert.deepStrictEqual(
+      await spotify.playlists.cover(ids.playlist, 'AAAA'),
+      {
+        status: 202,
+      }
+    );
+
+    const request = last(mock, '/playlists/' + ids.playlist + '/images');
+    assert.strictEqual(request.headers.get('content-type'), 'image/jpeg');
+    assert.strictEqual(request.body, 'AAAA');
+
+    const images = await spotify.playlists.cover(ids.playlist);
+    assert.strictEqual(images[0].url, 'data:image/jpeg;base64,AAAA');
+  });
+
+  it('search resolves the matching playlists', async () => {
+    const { spotify } = client();
+    const playlists = await spotify.playlists.search('mix');
+
+    assert.deepStrictEqual(
+      playlists.map((p) => p.id),
+      [ids.playlist]
+    );
+  });
+
+  describe('errors', () => {
+    errors({
+      get: (spotify) => spotify.playlists.get(ids.playlist),
+      modify: (spotify) => spotify.playlists.modify(ids.playlist, {}),
+      update: (spotify) =>
+        spotify.playlists.update(ids.playlist, { uris: [STARMAN] }),
+      tracks: (spotify) => spotify.playlists.tracks(ids.playlist),
+      add: (spotify) => spotify.playlists.add(ids.playlist, [STARMAN]),
+      remove: (spotify) => spotify.playlists.remove(ids.playlist, [STARMAN]),
+      users: (spotify) => spotify.playlists.users(ids.user),
+      follow: (spotify) => spotify.playlists.follow(ids.playlist),
+      unfollow: (spotify) => spotify.playlists.unfollow(ids.playlist),
+      followers: (spotify) =>
+        spotify.playlists.followers(ids.playlist, ids.user),
+      create: (spotify) => spotify.playlists.create(ids.user, { name: 'x' }),
+      featured: (spotify) => spotify.playlists.featured(),
+      categories: (spotify) => spotify.playlists.categories('rock'),
+      cover: (spotify) => spotify.playlists.cover(ids.playlist),
+      search: (spotify) => spotify.playlists.search('x'),
+    });
+  });
+});
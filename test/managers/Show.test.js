@@ -0,0 +1,98 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, errors, last } = require('../helpers.js');
+const { Show, Episode } = require('../../src/index.js');
+
+describe('ShowManager', () => {
+  it('get resolves a show with its episodes', async () => {
+    const { spotify } = client();
+    const show = await spotify.shows.get(ids.show);
+
+    assert.ok(show instanceof Show);
+    assert.strictEqual(show.name, 'Mock Radio');
+    assert.deepStrictEqual(
+      show.episodes.map((e) => e.id),
+      [ids.two, ids.one]
+    );
+    assert.ok(show.episodes[0] instanceof Episode);
+  });
+
+  it('getMany resolves the shows in the order of their ids', async () => {
+    const { spotify } = client();
+    const shows = await spotify.shows.getMany([ids.show, 'xxx']);
+
+    assert.strictEqual(shows[0].name, 'Mock Radio');
+    assert.strictEqual(shows[1], null);
+  });
+
+  it('episodes resolves a page of the episodes of a show', async () => {
+    const { spotify } = client();
+    const episodes = await spotify.shows.episodes(ids.show, { limit: 1 });
+
+    assert.strictEqual(episodes.total, 2);
+    assert.strictEqual(episodes[0].id, ids.two);
+    assert.strictEqual((await episodes.next())[0].id, ids.one);
+  });
+
+  it('get, getMany and episodes send the market', async () => {
+    const { spotify, mock } = client();
+    spotify.set('market', 'SE');
+
+    await spotify.shows.get(ids.show);
+    assert.strictEqual(last(mock, '/shows/' + ids.show).query.market, 'SE');
+
+    await spotify.shows.getMany([ids.show]);
+    assert.strictEqual(last(mock, '/shows').query.market, 'SE');
+
+    await spotify.shows.episodes(ids.show, { market: 'GB' });
+    assert.strictEqual(
+      last(mock, '/shows/' + ids.show + '/episodes').query.market,
+      'GB'
+    );
+  });
+
+  it('users resolves the saved shows with when they were saved', async () => {
+    const { spotify } = client();
+    const shows = await spotify.shows.users();
+
+    assert.ok(shows[0] instanceof Show);
+    assert.strictEqual(shows[0].id, ids.show);
+    assert.ok(shows[0].added_at);
+  });
+
+  it('save, starred and remove change the library', async () => {
+    const { spotify } = client();
+
+    assert.deepStrictEqual(await spotify.shows.remove(ids.show), {
+      status: 200,
+    });
+    assert.deepStrictEqual(await spotify.shows.starred(ids.show), [false]);
+    assert.deepStrictEqual(await spotify.shows.save([ids.show]), {
+      status: 200,
+    });
+    assert.deepStrictEqual(await spotify.shows.starred(ids.show), [true]);
+  });
+
+  it('search resolves the matching shows', async () => {
+    const { spotify } = client();
+    const shows = await spotify.shows.search('mock');
+
+    assert.deepStrictEqual(
+      shows.map((s) => s.id),
+      [ids.show]
+    );
+  });
+
+  describe('errors', () => {
+    errors({
+      get: (spotify) => spotify.shows.get(ids.show),
+      getMany: (spotify) => spotify.shows.getMany([ids.show]),
+      episodes: (spotify) => spotify.shows.episodes(ids.show),
+      users: (spotify) => spotify.shows.users(),
+      save: (spotify) => spotify.shows.save(ids.show),
+      remove: (spotify) => spotify.shows.remove(ids.show),
+      starred: (spotify) => spotify.shows.starred(ids.show),
+      search: (spotify) => spotify.shows.search('x'),
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, stub, errors, last } = require('../helpers.js');
+const { Track, Album, Page, Query } = require('../../src/index.js');
+
+describe('TrackManager', () => {
+  it('get resolves a track with its album and artists', async () => {
+    const { spotify } = client();
+    const track = await spotify.tracks.get(ids.rhapsody);
+
+    assert.ok(track instanceof Track);
+    assert.strictEqual(track.name, 'Bohemian Rhapsody');
+    assert.ok(track.album instanceof Album);
+    assert.strictEqual(track.album.id, ids.opera);
+    assert.strictEqual(track.artists[0].name, 'Queen');
+  });
+
+  it('getMany resolves the tracks in the order of their ids', async () => {
+    const { spotify } = client();
+    const tracks = await spotify.tracks.getMany([ids.love, 'xxx', ids.starman]);
+
+    assert.deepStrictEqual(
+      tracks.map((t) => t && t.name),
+      ['Love of My Life', null, 'Starman']
+    );
+  });
+
+  it('get marks the track as playable or not in the market', async () => {
+    const { spotify, mock } = client();
+
+    const track = await spotify.tracks.get(ids.love, { market: 'US' });
+    assert.strictEqual(last(mock, '/tracks/' + ids.love).query.market, 'US');
+    assert.strictEqual(track.is_playable, false);
+    assert.deepStrictEqual(track.restrictions, { reason: 'market' });
+    assert.strictEqual(track.available_markets, undefined);
+
+    const playable = await spotify.tracks.get(ids.love, { market: 'GB' });
+    assert.strictEqual(playable.is_playable, true);
+    assert.strictEqual(playable.restrictions, null);
+  });
+
+  it('get and getMany use the market of the client unless one is given', async () => {
+    const { spotify, mock } = client();
+    spotify.set('market', 'from_token');
+
+    const track = await spotify.tracks.get(ids.love);
+    assert.strictEqual(
+      last(mock, '/tracks/' + ids.love).query.market,
+      'from_token'
+    );
+    assert.strictEqual(track.is_playable, true);
+
+    const tracks = await spotify.tracks.getMany([ids.love], { market: 'US' });
+    assert.strictEqual(last(mock, '/tracks').query.market, 'US');
+    assert.strictEqual(tracks[0].is_playable, false);
+
+    const unknown = await spotify.tracks.get(ids.love, { market: null });
+    assert.strictEqual(
+      last(mock, '/tracks/' + ids.love).query.market,
+      undefined
+    );
+    assert.strictEqual(unknown.is_playable, null);
+    assert.deepStrictEqual(unknown.available_markets, ['GB', 'SE']);
+  });
+
+  it('get rejects for an invalid market', async () => {
+    const { spotify } = client();
+
+    await assert.rejects(
+      spotify.tracks.get(ids.love, { market: 'XX' }),
+      (e) => {
+        assert.strictEqual(e.status, 400);
+        return true;
+      }
+    );
+  });
+
+  it('saved resolves the saved tracks with when they were saved', async () => {
+    const { spotify } = client();
+    const tracks = await spotify.tracks.saved();
+
+    assert.ok(tracks instanceof Page);
+    assert.ok(tracks[0] instanceof Track);
+    assert.strictEqual(tracks[0].id, ids.starman);
+    assert.ok(tracks[0].added_at);
+  });
+
+  it('save, starred and remove change the library', async () => {
+    const { spotify } = client();
+
+    await spotify.tracks.save([ids.rhapsody, ids.love]);
+    assert.deepStrictEqual(
+      await spotify.tracks.starred([ids.rhapsody, ids.love, ids.stardust]),
+      [true, true, false]
+    );
+
+    assert.deepStrictEqual(await spotify.tracks.remove(ids.love), {
+      status: 200,
+    });
+    assert.deepStrictEqual(await spotify.tracks.starred(ids.love), [false]);
+
+    const saved = await spotify.tracks.saved();
+    assert.deepStrictEqual(
+      saved.map((t) => t.id),
+      [ids.rhapsody, ids.starman]
+    );
+  });
+
+  it('save sends lists over 50 ids in several requests', async () => {
+    const { spotify, mock } = client({
+      fixtures: {
+        tracks: Array.from({ length: 60 }, (_, i) => ({ id: 't' + i })),
+      },
+    });
+
+    await spotify.tracks.save(Array.from({ length: 60 }, (_, i) => 't' + i));
+
+    const requests = mock.requests.filter((r) => r.method == 'put');
+    assert.deepStrictEqual(
+      requests.map((r) => r.query.ids.split(',').length),
+      [50, 10]
+    );
+  });
+
+  it('search resolves the matching tracks', async () => {
+    const { spotify, mock } = client();
+    const tracks = await spotify.tracks.search(Query.track('ziggy'), {
+      limit: 5,
+    });
+
+    assert.deepStrictEqual(
+      tracks.map((t) => t.name),
+      ['Ziggy Stardust']
+    );
+    assert.deepStrictEqual(last(mock, '/search').query, {
+      q: 'track:ziggy',
+      type: 'track',
+      limit: '5',
+      offset: '0',
+    });
+  });
+
+  it('recommendations sends the seeds and attributes', async () => {
+    const { spotify, requests } = stub(200, {
+      seeds: [],
+      tracks: [{ id: ids.starman, name: 'Starman' }],
+    });
+
+    const tracks = await spotify.tracks.recommendations({
+      seeds: { artists: [ids.bowie, ids.queen], genres: ['glam rock'] },
+      min: { energy: 0.5 },
+      target: { mode: 0 },
+      limit: 10,
+    });
+
+    const { searchParams } = new URL(requests[0].url);
+
+    assert.ok(tracks[0] instanceof Track);
+    assert.strictEqual(tracks[0].name, 'Starman');
+    assert.strictEqual(
+      searchParams.get('seed_artists'),
+      ids.bowie + ',' + ids.queen
+    );
+    assert.strictEqual(searchParams.get('seed_genres'), 'glam rock');
+    assert.strictEqual(searchParams.get('min_energy'), '0.5');
+    assert.strictEqual(searchParams.get('target_mode'), '0');
+    assert.strictEqual(searchParams.get('limit'), '10');
+  });
+
+  describe('errors', () => {
+    errors({
+      get: (spotify) => spotify.tracks.get(ids.starman),
+      getMany: (spotify) => spotify.tracks.getMany([ids.starman]),
+      saved: (spotify) => spotify.tracks.saved(),
+      save: (spotify) => spotify.tracks.save(ids.starman),
+      remove: (spotify) => spotify.tracks.remove(ids.starman),
+      starred: (spotify) => spotify.tracks.starred(ids.starman),
+      search: (spotify) => spotify.tracks.search('x'),
+      recommendations: (spotify) =>
+        spotify.tracks.recommendations({ seeds: { tracks: [ids.starman] } }),
+    });
+  });
+});
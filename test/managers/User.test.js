@@ -0,0 +1,89 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, errors, last } = require('../helpers.js');
+const { User, Artist, Track, Page, CursorPage } = require('../../src/index.js');
+
+describe('UserManager', () => {
+  it('get resolves the profile of a user', async () => {
+    const { spotify } = client();
+    const user = await spotify.users.get(ids.other);
+
+    assert.ok(user instanceof User);
+    assert.strictEqual(user.display_name, 'Other User');
+  });
+
+  it('me resolves the profile of the current user', async () => {
+    const { spotify } = client();
+    const user = await spotify.users.me();
+
+    assert.ok(user instanceof User);
+    assert.strictEqual(user.id, ids.user);
+    assert.strictEqual(user.product, 'premium');
+  });
+
+  it('top resolves the top tracks from the first one', async () => {
+    const { spotify, mock } = client();
+    const tracks = await spotify.users.top('tracks', { range: 'short' });
+
+    assert.ok(tracks instanceof Page);
+    assert.ok(tracks[0] instanceof Track);
+    assert.strictEqual(tracks[0].id, ids.rhapsody);
+    assert.deepStrictEqual(last(mock, '/me/top/tracks').query, {
+      time_range: 'short_term',
+      limit: '20',
+      offset: '0',
+    });
+  });
+
+  it('top resolves the top artists', async () => {
+    const { spotify } = client();
+    const artists = await spotify.users.top('artists');
+
+    assert.ok(artists[0] instanceof Artist);
+    assert.deepStrictEqual(
+      artists.map((a) => a.id),
+      [ids.queen, ids.bowie]
+    );
+  });
+
+  it('followed resolves a cursor page of the followed artists', async () => {
+    const { spotify } = client();
+
+    await spotify.artists.follow(ids.bowie);
+    const artists = await spotify.users.followed({ limit: 1 });
+
+    assert.ok(artists instanceof CursorPage);
+    assert.ok(artists[0] instanceof Artist);
+    assert.strictEqual(artists[0].id, ids.queen);
+    assert.strictEqual(artists.cursors.after, ids.queen);
+
+    const next = await artists.next();
+    assert.strictEqual(next[0].id, ids.bowie);
+  });
+
+  it('follow, following and unfollow change the followed users', async () => {
+    const { spotify } = client();
+
+    assert.deepStrictEqual(await spotify.users.following(ids.other), [false]);
+    assert.deepStrictEqual(await spotify.users.follow(ids.other), {
+      status: 204,
+    });
+    assert.deepStrictEqual(await spotify.users.following([ids.other]), [true]);
+    assert.deepStrictEqual(await spotify.users.unfollow(ids.other), {
+      status: 204,
+    });
+    assert.deepStrictEqual(await spotify.users.following(ids.other), [false]);
+  });
+
+  describe('errors', () => {
+    errors({
+      get: (spotify) => spotify.users.get(ids.other),
+      me: (spotify) => spotify.users.me(),
+      top: (spotify) => spotify.users.top('tracks'),
+      followed: (spotify) => spotify.users.followed(),
+      follow: (spotify) => spotify.users.follow(ids.other),
+      unfollow: (spotify) => spotify.users.unfollow(ids.other),
+      following: (spotify) => spotify.users.following(ids.other),
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert');
+const { describe, it, before, after } = require('node:test');
+const { ids, client } = require('../helpers.js');
+const { FileCache } = require('../../src/index.js');
+
+describe('FileCache', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotifylib-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('get resolves null for a response which is not cached', async () => {
+    const cache = new FileCache(path.join(dir, 'empty'));
+
+    assert.strictEqual(await cache.get('https://api.spotify.com/v1/x'), null);
+  });
+
+  it('set caches a response which other caches of the directory read', async () => {
+    const cache = new FileCache(path.join(dir, 'shared'));
+    const entry = { body: '{}', headers: [], etag: null, expires_at: 1 };
+
+    await cache.set('https://api.spotify.com/v1/x', entry);
+
+    assert.deepStrictEqual(
+      await new FileCache(cache.dir).get('https://api.spotify.com/v1/x'),
+      entry
+    );
+  });
+
+  it('caches the responses of concurrent identical requests', async () => {
+    const cache = new FileCache(path.join(dir, 'concurrent'));
+    const { spotify, mock } = client({}, { cache: { store: cache } });
+
+    const albums = await Promise.all([
+      spotify.albums.get(ids.ziggy),
+      spotify.albums.get(ids.ziggy),
+      spotify.albums.get(ids.ziggy),
+    ]);
+
+    assert.deepStrictEqual(
+      albums.map((album) => album.id),
+      [ids.ziggy, ids.ziggy, ids.ziggy]
+    );
+    assert.deepStrictEqual(
+      fs.readdirSync(cache.dir).filter((name) => name.endsWith('.tmp')),
+      []
+    );
+
+    await spotify.albums.get(ids.ziggy);
+    assert.strictEqual(mock.requests.length, 3);
+  });
+});
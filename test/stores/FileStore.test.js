@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert');
+const { describe, it, before, after } = require('node:test');
+const { Spotify, MockSpotify, FileStore } = require('../../src/index.js');
+
+describe('FileStore', () => {
+  let dir;
+  let files = 0;
+
+  /**
+   * Get the path of a new token file in the temporary directory.
+   * @returns {string}
+   */
+  const file = () => path.join(dir, 'tokens-' + files++ + '.json');
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotifylib-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('get resolves null before anything is saved', async () => {
+    const store = new FileStore(file());
+
+    assert.strictEqual(await store.get('default'), null);
+  });
+
+  it('set saves a token which other stores of the file read', async () => {
+    const store = new FileStore(file());
+    const token = { access_token: 'a', expires_at: 1 };
+
+    await store.set('a', token);
+
+    assert.deepStrictEqual(await store.get('a'), token);
+    assert.deepStrictEqual(await new FileStore(store.path).get('a'), token);
+  });
+
+  it('keeps every token of concurrent writes', async () => {
+    const store = new FileStore(file());
+    const keys = ['a', 'b', 'c', 'd', 'e'];
+
+    await Promise.all(keys.map((key) => store.set(key, { access_token: key })));
+
+    for (const key of keys) {
+      assert.deepStrictEqual(await store.get(key), { access_token: key });
+    }
+
+    /* Every temporary file was renamed */
+    assert.deepStrictEqual(
+      fs.readdirSync(dir).filter((name) => name.endsWith('.tmp')),
+      []
+    );
+  });
+
+  it('keeps writing after a write failed', async () => {
+    const store = new FileStore(path.join(dir, 'missing', 'tokens.json'));
+
+    await assert.rejects(store.set('a', { access_token: 'a' }), {
+      code: 'ENOENT',
+    });
+
+    store.path = file();
+    await store.set('b', { access_token: 'b' });
+    assert.deepStrictEqual(await store.get('b'), { access_token: 'b' });
+  });
+
+  it('rejects when the file is not json', async () => {
+    const store = new FileStore(file());
+    fs.writeFileSync(store.path, 'xxx');
+
+    await assert.rejects(store.get('a'), SyntaxError);
+  });
+
+  it('shares the token of a client with the clients of the same file', async () => {
+    const mock = new MockSpotify();
+    const store = new FileStore(file());
+    const options = { fetch: mock.fetch, store };
+
+    const first = new Spotify(null, options);
+    await first.auth.update({ access_token: 'mock-token', expires_in: 3600 });
+
+    const second = new Spotify(null, {
+      fetch: mock.fetch,
+      store: new FileStore(store.path),
+    });
+    const me = await second.users.me();
+
+    assert.strictEqual(second.access_token, 'mock-token');
+    assert.strictEqual(me.id, 'mockuser');
+  });
+});
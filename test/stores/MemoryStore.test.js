@@ -0,0 +1,45 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { client } = require('../helpers.js');
+const { MemoryStore } = require('../../src/index.js');
+
+describe('MemoryStore', () => {
+  it('get resolves null before anything is saved', async () => {
+    const store = new MemoryStore();
+
+    assert.strictEqual(await store.get('default'), null);
+  });
+
+  it('set saves a token under its key', async () => {
+    const store = new MemoryStore();
+
+    await store.set('a', { access_token: 'a' });
+    await store.set('b', { access_token: 'b' });
+
+    assert.deepStrictEqual(await store.get('a'), { access_token: 'a' });
+    assert.deepStrictEqual(await store.get('b'), { access_token: 'b' });
+  });
+
+  it('saves the token a client is given and the token it is refreshed to', async () => {
+    const store = new MemoryStore();
+    const { spotify } = client(
+      { tokens: [] },
+      { clientId: 'id', clientSecret: 'secret', store, storeKey: 'user' },
+      null
+    );
+
+    await spotify.auth.update({
+      access_token: 'old',
+      refresh_token: 'refresh',
+      expires_in: 3600,
+    });
+    assert.strictEqual((await store.get('user')).access_token, 'old');
+
+    await spotify.auth.refresh();
+    const saved = await store.get('user');
+
+    assert.strictEqual(saved.access_token, spotify.access_token);
+    assert.notStrictEqual(saved.access_token, 'old');
+    assert.strictEqual(saved.refresh_token, 'refresh');
+  });
+});
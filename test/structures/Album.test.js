@@ -0,0 +1,29 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, last } = require('../helpers.js');
+
+describe('Album', () => {
+  it('play starts the album', async () => {
+    const { spotify, mock } = client();
+    const album = await spotify.albums.get(ids.opera);
+
+    await album.play({ device: ids.device });
+
+    assert.strictEqual(
+      last(mock, '/me/player/play').body.context_uri,
+      'spotify:album:' + ids.opera
+    );
+    assert.strictEqual((await spotify.player.state()).item.id, ids.love);
+  });
+
+  it('save, starred and remove change the library', async () => {
+    const { spotify } = client();
+    const album = await spotify.albums.get(ids.ziggy);
+
+    await album.save();
+    assert.deepStrictEqual(await album.starred(), [true]);
+
+    await album.remove();
+    assert.deepStrictEqual(await album.starred(), [false]);
+  });
+});
@@ -0,0 +1,28 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client } = require('../helpers.js');
+
+describe('Artist', () => {
+  it('albums, top and related get the catalog of the artist', async () => {
+    const { spotify } = client();
+    const artist = await spotify.artists.get(ids.bowie);
+
+    assert.deepStrictEqual(
+      (await artist.albums()).map((a) => a.id),
+      [ids.ziggy]
+    );
+    assert.strictEqual((await artist.top({ market: 'GB' }))[0].id, ids.starman);
+    assert.strictEqual((await artist.related())[0].id, ids.queen);
+  });
+
+  it('follow, following and unfollow change the followed artists', async () => {
+    const { spotify } = client();
+    const artist = await spotify.artists.get(ids.bowie);
+
+    await artist.follow();
+    assert.deepStrictEqual(await artist.following(), [true]);
+
+    await artist.unfollow();
+    assert.deepStrictEqual(await artist.following(), [false]);
+  });
+});
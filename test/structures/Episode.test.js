@@ -0,0 +1,30 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, last } = require('../helpers.js');
+
+describe('Episode', () => {
+  it('save, starred and remove change the library', async () => {
+    const { spotify } = client();
+    const episode = await spotify.episodes.get(ids.one);
+
+    await episode.save();
+    assert.deepStrictEqual(await episode.starred(), [true]);
+
+    await episode.remove();
+    assert.deepStrictEqual(await episode.starred(), [false]);
+  });
+
+  it('queue adds the episode to the queue', async () => {
+    const { spotify, mock } = client();
+    const episode = await spotify.episodes.get(ids.two);
+
+    await spotify.player.start('spotify:show:' + ids.show, {
+      device: ids.device,
+    });
+    await episode.queue(ids.device);
+
+    const request = last(mock, '/me/player/queue');
+    assert.strictEqual(request.query.uri, 'spotify:episode:' + ids.two);
+    assert.strictEqual(request.query.device_id, ids.device);
+  });
+});
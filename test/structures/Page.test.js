@@ -0,0 +1,63 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client } = require('../helpers.js');
+const { Page, CursorPage, Track } = require('../../src/index.js');
+
+describe('Page', () => {
+  it('is an array of the items with the paging of the page', async () => {
+    const { spotify } = client();
+    const page = await spotify.albums.tracks(ids.opera, { limit: 1 });
+
+    assert.ok(Array.isArray(page));
+    assert.ok(page[0] instanceof Track);
+    assert.strictEqual(page.length, 1);
+    assert.strictEqual(page.limit, 1);
+    assert.strictEqual(page.offset, 0);
+    assert.strictEqual(page.total, 2);
+    assert.strictEqual(page.page, 1);
+    assert.strictEqual(page.pages, 2);
+  });
+
+  it('next and previous request the other pages', async () => {
+    const { spotify } = client();
+    const first = await spotify.albums.tracks(ids.opera, { limit: 1 });
+
+    const second = await first.next();
+    assert.ok(second instanceof Page);
+    assert.strictEqual(second.page, 2);
+    assert.strictEqual(second[0].id, ids.rhapsody);
+    assert.strictEqual(await second.next(), null);
+
+    const previous = await second.previous();
+    assert.strictEqual(previous[0].id, ids.love);
+    assert.strictEqual(await first.previous(), null);
+  });
+
+  it('array methods return plain arrays', async () => {
+    const { spotify } = client();
+    const page = await spotify.albums.tracks(ids.opera);
+    const names = page.map((t) => t.name);
+
+    assert.ok(!(names instanceof Page));
+    assert.deepStrictEqual(names, ['Love of My Life', 'Bohemian Rhapsody']);
+  });
+});
+
+describe('CursorPage', () => {
+  it('pages with the cursors', async () => {
+    const { spotify } = client();
+
+    await spotify.artists.follow(ids.bowie);
+    const page = await spotify.users.followed({ limit: 1 });
+
+    assert.ok(page instanceof CursorPage);
+    assert.deepStrictEqual(page.cursors, { after: ids.queen });
+    assert.strictEqual(page.total, 2);
+
+    const next = await page.next();
+    assert.ok(next instanceof CursorPage);
+    assert.strictEqual(next[0].id, ids.bowie);
+    assert.deepStrictEqual(next.cursors, { after: null });
+    assert.strictEqual(await next.next(), null);
+  });
+});
@@ -0,0 +1,58 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, last } = require('../helpers.js');
+
+const LOVE = 'spotify:track:' + ids.love;
+
+describe('Playlist', () => {
+  it('play starts the playlist', async () => {
+    const { spotify, mock } = client();
+    const playlist = await spotify.playlists.get(ids.playlist);
+
+    await playlist.play({ device: ids.device });
+
+    assert.strictEqual(
+      last(mock, '/me/player/play').body.context_uri,
+      'spotify:playlist:' + ids.playlist
+    );
+    assert.strictEqual((await spotify.player.state()).item.id, ids.starman);
+  });
+
+  it('modify, add and remove change the playlist', async () => {
+    const { spotify } = client();
+    const playlist = await spotify.playlists.get(ids.playlist);
+
+    await playlist.modify({ description: 'Changed.' });
+    const { snapshot } = await playlist.add(LOVE);
+    await playlist.remove('spotify:track:' + ids.starman, snapshot);
+
+    const changed = await spotify.playlists.get(ids.playlist);
+    assert.strictEqual(changed.description, 'Changed.');
+    assert.deepStrictEqual(
+      changed.tracks.map((t) => t.uri),
+      [LOVE, 'spotify:track:' + ids.rhapsody]
+    );
+  });
+
+  it('follow, following and unfollow change the followers', async () => {
+    const { spotify } = client();
+    const playlist = await spotify.playlists.get(ids.playlist);
+
+    await playlist.follow();
+    assert.deepStrictEqual(await playlist.following(ids.user), [true]);
+
+    await playlist.unfollow();
+    assert.deepStrictEqual(await playlist.following(ids.user), [false]);
+  });
+
+  it('cover uploads and gets the cover', async () => {
+    const { spotify } = client();
+    const playlist = await spotify.playlists.get(ids.playlist);
+
+    await playlist.cover('AAAA');
+    assert.strictEqual(
+      (await playlist.cover())[0].url,
+      'data:image/jpeg;base64,AAAA'
+    );
+  });
+});
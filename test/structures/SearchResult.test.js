@@ -0,0 +1,45 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { client } = require('../helpers.js');
+const {
+  SearchResult,
+  Page,
+  Album,
+  Artist,
+  Track,
+  Playlist,
+  Show,
+  Episode,
+} = require('../../src/index.js');
+
+describe('SearchResult', () => {
+  it('has a page of structures for every type', async () => {
+    const { spotify } = client();
+    const result = await spotify.search('a');
+
+    const structures = {
+      tracks: Track,
+      albums: Album,
+      artists: Artist,
+      playlists: Playlist,
+      shows: Show,
+      episodes: Episode,
+    };
+
+    Object.entries(structures).forEach(([key, Structure]) => {
+      assert.ok(result[key] instanceof Page, key);
+      result[key].forEach((item) => assert.ok(item instanceof Structure));
+    });
+  });
+
+  it('types lists the types which can be searched for', () => {
+    assert.deepStrictEqual(SearchResult.types, [
+      'track',
+      'album',
+      'artist',
+      'playlist',
+      'show',
+      'episode',
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, last } = require('../helpers.js');
+
+describe('Show', () => {
+  it('play starts the show', async () => {
+    const { spotify, mock } = client();
+    const show = await spotify.shows.get(ids.show);
+
+    await show.play({ device: ids.device });
+
+    assert.strictEqual(
+      last(mock, '/me/player/play').body.context_uri,
+      'spotify:show:' + ids.show
+    );
+  });
+
+  it('save, starred and remove change the library', async () => {
+    const { spotify } = client();
+    const show = await spotify.shows.get(ids.show);
+
+    assert.deepStrictEqual(await show.starred(), [true]);
+
+    await show.remove();
+    assert.deepStrictEqual(await show.starred(), [false]);
+
+    await show.save();
+    assert.deepStrictEqual(await show.starred(), [true]);
+  });
+});
@@ -0,0 +1,81 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client, stub } = require('../helpers.js');
+const { Track, Album, Audio } = require('../../src/index.js');
+
+describe('Track', () => {
+  it('has its album and its audio', async () => {
+    const { spotify } = client();
+    const track = await spotify.tracks.get(ids.starman);
+
+    assert.ok(track.album instanceof Album);
+    assert.strictEqual(track.album.id, ids.ziggy);
+    assert.ok(track.audio instanceof Audio);
+    assert.strictEqual(track.audio.id, ids.starman);
+  });
+
+  it('has the playability of the track', async () => {
+    const { spotify } = stub(200);
+    const data = { type: 'track', id: ids.rhapsody };
+    const linked_from = { type: 'track', id: ids.love };
+
+    const unknown = new Track(spotify, data);
+    assert.strictEqual(unknown.is_playable, null);
+    assert.strictEqual(unknown.linked_from, null);
+    assert.strictEqual(unknown.restrictions, null);
+
+    const relinked = new Track(
+      spotify,
+      Object.assign({ is_playable: true, linked_from }, data)
+    );
+    assert.strictEqual(relinked.is_playable, true);
+    assert.deepStrictEqual(relinked.linked_from, linked_from);
+
+    const restricted = new Track(
+      spotify,
+      Object.assign({ restrictions: { reason: 'explicit' } }, data)
+    );
+    assert.strictEqual(restricted.is_playable, false);
+    assert.deepStrictEqual(restricted.restrictions, { reason: 'explicit' });
+  });
+
+  it('save, starred and remove change the library', async () => {
+    const { spotify } = client();
+    const track = await spotify.tracks.get(ids.rhapsody);
+
+    await track.save();
+    assert.deepStrictEqual(await track.starred(), [true]);
+
+    await track.remove();
+    assert.deepStrictEqual(await track.starred(), [false]);
+  });
+
+  it('queue adds the track to the queue', async () => {
+    const { spotify } = client();
+    const track = await spotify.tracks.get(ids.starman);
+
+    await spotify.player.start('spotify:album:' + ids.opera, {
+      device: ids.device,
+    });
+    await track.queue();
+    await spotify.player.next();
+
+    assert.strictEqual((await spotify.player.state()).item.id, ids.starman);
+  });
+
+  it('audio gets the features and the analysis of the track', async () => {
+    const { spotify, requests } = stub(200, { id: ids.starman });
+    const audio = new Audio(spotify, { id: ids.starman });
+
+    await audio.features();
+    await audio.analysis();
+
+    assert.deepStrictEqual(
+      requests.map((r) => r.url),
+      [
+        'https://api.spotify.com/v1/audio-features/' + ids.starman,
+        'https://api.spotify.com/v1/audio-analysis/' + ids.starman,
+      ]
+    );
+  });
+});
@@ -0,0 +1,16 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { ids, client } = require('../helpers.js');
+
+describe('User', () => {
+  it('follow, following and unfollow change the followed users', async () => {
+    const { spotify } = client();
+    const user = await spotify.users.get(ids.other);
+
+    await user.follow();
+    assert.deepStrictEqual(await user.following(), [true]);
+
+    await user.unfollow();
+    assert.deepStrictEqual(await user.following(), [false]);
+  });
+});